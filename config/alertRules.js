@@ -0,0 +1,375 @@
+// config/alertRules.js - User-defined alert rules stored in the database
+//
+// A rule is an expression (see config/rules.js) evaluated in one of two scopes:
+//   pair   every pair that goes through the filter pipeline, saved or rejected
+//          { pair, rugData, metrics, filter: { passed, failedRules } }
+//   delta  every token that got a snapshot this scan, comparing the latest snapshot
+//          with the oldest one in the last window_minutes
+//          { token, current, previous, change }
+const { pool } = require('./database');
+const { logger } = require('./logging');
+const { evaluateExpression, validateExpression, formatMessage } = require('./rules');
+const { snapshotToInputs } = require('./backtest');
+const { CHANNEL_NAMES } = require('./notifiers');
+
+const ALERT_RULE_SCOPES = ['pair', 'delta'];
+
+const SCOPE_ROOTS = {
+  pair: ['pair', 'rugData', 'metrics', 'filter'],
+  delta: ['token', 'current', 'previous', 'change']
+};
+
+// Snapshot values available under current/previous; change gets <name> (difference) and <name>Pct
+const DELTA_METRICS = {
+  priceUsd: 'price_usd',
+  liquidityUsd: 'liquidity_usd',
+  solLiquidity: 'sol_liquidity',
+  volume24h: 'volume_24h',
+  volume1h: 'volume_1h',
+  holdersCount: 'holders_count',
+  topHolderPercentage: 'top_holder_percentage',
+  top10HolderPercentage: 'top10_holder_percentage',
+  top20HolderPercentage: 'top20_holder_percentage',
+  rugScore: 'rug_score'
+};
+
+const RULE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+
+// The built-in shouldAlert() check records its alerts under this name
+const RESERVED_RULE_NAMES = ['promising_token'];
+
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Validate a complete rule (after merging an update into the stored row); returns [] when valid
+function validateAlertRule(rule) {
+  const errors = [];
+
+  if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+    errors.push('name must be 1-100 lowercase letters, digits, "-" or "_"');
+  } else if (RESERVED_RULE_NAMES.includes(rule.name)) {
+    errors.push(`name "${rule.name}" is reserved`);
+  }
+
+  if (!ALERT_RULE_SCOPES.includes(rule.scope)) {
+    errors.push(`scope must be one of ${ALERT_RULE_SCOPES.join(', ')}`);
+  } else {
+    // Alert rules have no parameters, so every operand is a literal or a $field
+    errors.push(...validateExpression(rule.expression, { roots: SCOPE_ROOTS[rule.scope], params: [] }));
+  }
+
+  if (rule.scope === 'delta') {
+    if (!Number.isInteger(rule.windowMinutes) || rule.windowMinutes < 1 || rule.windowMinutes > MAX_WINDOW_MINUTES) {
+      errors.push(`windowMinutes must be an integer between 1 and ${MAX_WINDOW_MINUTES} for delta rules`);
+    }
+  } else if (rule.windowMinutes !== null && rule.windowMinutes !== undefined) {
+    errors.push('windowMinutes only applies to delta rules');
+  }
+
+  if (rule.channels !== null && rule.channels !== undefined) {
+    if (!Array.isArray(rule.channels) || rule.channels.length === 0 || rule.channels.some(channel => !CHANNEL_NAMES.includes(channel))) {
+      errors.push(`channels must be null or a non-empty list of ${CHANNEL_NAMES.join(', ')}`);
+    }
+  }
+
+  if (rule.cooldownMinutes !== null && rule.cooldownMinutes !== undefined && !Number.isInteger(rule.cooldownMinutes)) {
+    errors.push('cooldownMinutes must be null or a whole number of minutes');
+  } else if (rule.cooldownMinutes < 0) {
+    errors.push('cooldownMinutes must not be negative');
+  }
+
+  if (rule.realertImprovementPct !== null && rule.realertImprovementPct !== undefined && !isNonNegativeNumber(rule.realertImprovementPct)) {
+    errors.push('realertImprovementPct must be null or a non-negative number');
+  }
+
+  if (rule.pairAddresses !== null && rule.pairAddresses !== undefined) {
+    if (!Array.isArray(rule.pairAddresses) || rule.pairAddresses.length === 0 || rule.pairAddresses.some(address => typeof address !== 'string' || address.length === 0)) {
+      errors.push('pairAddresses must be null or a non-empty list of pair addresses');
+    }
+  }
+
+  if (rule.message !== null && rule.message !== undefined && typeof rule.message !== 'string') {
+    errors.push('message must be a string');
+  }
+
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return errors;
+}
+
+// API field names for a stored row, used to merge partial updates
+function rowToRule(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    scope: row.scope,
+    expression: row.expression,
+    windowMinutes: row.window_minutes,
+    message: row.message,
+    channels: row.channels,
+    cooldownMinutes: row.cooldown_minutes,
+    realertImprovementPct: row.realert_improvement_pct === null ? null : parseFloat(row.realert_improvement_pct),
+    pairAddresses: row.pair_addresses,
+    enabled: row.enabled
+  };
+}
+
+async function listAlertRules({ chainId = 'solana', scope = null, enabled = null } = {}) {
+  const params = [chainId];
+  let whereClause = 'WHERE chain_id = $1';
+
+  if (scope) {
+    params.push(scope);
+    whereClause += ` AND scope = $${params.length}`;
+  }
+
+  if (enabled !== null) {
+    params.push(enabled);
+    whereClause += ` AND enabled = $${params.length}`;
+  }
+
+  const result = await pool.query(`SELECT * FROM alert_rules ${whereClause} ORDER BY name ASC`, params);
+  return result.rows;
+}
+
+async function getAlertRule(id, chainId = 'solana') {
+  const result = await pool.query('SELECT * FROM alert_rules WHERE id = $1 AND chain_id = $2', [id, chainId]);
+  return result.rows[0] || null;
+}
+
+async function createAlertRule(rule, actor, chainId = 'solana') {
+  const result = await pool.query(`
+    INSERT INTO alert_rules (
+      chain_id, name, description, scope, expression, window_minutes, message, channels,
+      cooldown_minutes, realert_improvement_pct, pair_addresses, enabled, created_by, updated_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13)
+    RETURNING *
+  `, [
+    chainId,
+    rule.name,
+    rule.description ?? null,
+    rule.scope,
+    JSON.stringify(rule.expression),
+    rule.windowMinutes ?? null,
+    rule.message ?? null,
+    rule.channels ?? null,
+    rule.cooldownMinutes ?? null,
+    rule.realertImprovementPct ?? null,
+    rule.pairAddresses ?? null,
+    rule.enabled ?? true,
+    actor
+  ]);
+  return result.rows[0];
+}
+
+// Replace every field with `rule` (callers merge partial updates first); returns null if not found
+async function updateAlertRule(id, rule, actor, chainId = 'solana') {
+  const result = await pool.query(`
+    UPDATE alert_rules SET
+      name = $3, description = $4, scope = $5, expression = $6, window_minutes = $7, message = $8,
+      channels = $9, cooldown_minutes = $10, realert_improvement_pct = $11, pair_addresses = $12,
+      enabled = $13, updated_by = $14
+    WHERE id = $1 AND chain_id = $2
+    RETURNING *
+  `, [
+    id,
+    chainId,
+    rule.name,
+    rule.description ?? null,
+    rule.scope,
+    JSON.stringify(rule.expression),
+    rule.windowMinutes ?? null,
+    rule.message ?? null,
+    rule.channels ?? null,
+    rule.cooldownMinutes ?? null,
+    rule.realertImprovementPct ?? null,
+    rule.pairAddresses ?? null,
+    rule.enabled ?? true,
+    actor
+  ]);
+  return result.rows[0] || null;
+}
+
+// Delete a rule; returns null if it does not exist (its past alerts keep alert_rule_id NULL)
+async function deleteAlertRule(id, chainId = 'solana') {
+  const result = await pool.query('DELETE FROM alert_rules WHERE id = $1 AND chain_id = $2 RETURNING *', [id, chainId]);
+  return result.rows[0] || null;
+}
+
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+// { current, previous, change } for a row holding cur_* and prev_* snapshot columns
+function buildDeltaScope(row) {
+  const current = { capturedAt: row.cur_captured_at };
+  const previous = { capturedAt: row.prev_captured_at };
+  const change = {
+    minutes: (new Date(row.cur_captured_at) - new Date(row.prev_captured_at)) / (1000 * 60)
+  };
+
+  for (const [name, column] of Object.entries(DELTA_METRICS)) {
+    const latest = toNumber(row[`cur_${column}`]);
+    const earliest = toNumber(row[`prev_${column}`]);
+    current[name] = latest;
+    previous[name] = earliest;
+    change[name] = latest === null || earliest === null ? null : latest - earliest;
+    change[`${name}Pct`] = latest === null || earliest === null || earliest === 0
+      ? null
+      : ((latest - earliest) / Math.abs(earliest)) * 100;
+  }
+
+  return {
+    token: {
+      id: row.token_id,
+      pairAddress: row.pair_address,
+      address: row.base_token_address,
+      symbol: row.base_token_symbol,
+      dexId: row.dex_id,
+      status: row.status
+    },
+    current,
+    previous,
+    change
+  };
+}
+
+// Loads the enabled rules once per scan and fires the ones that match through an AlertManager
+class AlertRuleEvaluator {
+  constructor({ alertManager, chainId = 'solana' }) {
+    this.alertManager = alertManager;
+    this.chainId = chainId;
+    this.rules = [];
+  }
+
+  async refresh() {
+    this.rules = await listAlertRules({ chainId: this.chainId, enabled: true });
+    return this.rules;
+  }
+
+  rulesFor(scope, pairAddress) {
+    return this.rules.filter(rule =>
+      rule.scope === scope && (!rule.pair_addresses || rule.pair_addresses.includes(pairAddress))
+    );
+  }
+
+  async fireRule(rule, { tokenId, alertData, values }) {
+    const message = rule.message
+      ? formatMessage(rule.message, { ...values, ...alertData })
+      : (rule.description || `Alert rule ${rule.name} matched`);
+
+    try {
+      const result = await this.alertManager.fire({
+        tokenId,
+        alertRuleId: rule.id,
+        rule: rule.name,
+        alertData: { ...alertData, rule: rule.name, message },
+        channels: rule.channels,
+        cooldownMinutes: rule.cooldown_minutes ?? undefined,
+        realertImprovementPct: rule.realert_improvement_pct === null ? undefined : parseFloat(rule.realert_improvement_pct)
+      });
+
+      if (result.sent) {
+        logger.info(`🔔 Alert rule ${rule.name} fired for ${alertData.symbol}: ${message}`);
+      }
+      return result.sent;
+    } catch (error) {
+      logger.warn(`⚠️ Alert rule ${rule.name} failed for ${alertData.symbol}:`, error.message);
+      return false;
+    }
+  }
+
+  // entries: [{ tokenId, scope: { pair, rugData, metrics, filter } }]. toAlertData(scope) builds
+  // the alert payload, only for pairs that matched. Returns alerts sent.
+  async evaluatePairs(entries, toAlertData) {
+    let sent = 0;
+
+    for (const { tokenId = null, scope } of entries) {
+      const matching = this.rulesFor('pair', scope.pair.pairAddress)
+        .filter(rule => evaluateExpression(rule.expression, scope));
+      if (matching.length === 0) continue;
+
+      const alertData = toAlertData(scope);
+      for (const rule of matching) {
+        if (await this.fireRule(rule, { tokenId, alertData, values: scope.metrics })) {
+          sent++;
+        }
+      }
+    }
+
+    return sent;
+  }
+
+  // Evaluate delta rules for tokens that got a snapshot this scan. toAlertData(pair, rugData, row)
+  // builds the alert payload from the rebuilt pair. Returns alerts sent.
+  async evaluateDeltas(tokenIds, toAlertData) {
+    const deltaRules = this.rules.filter(rule => rule.scope === 'delta');
+    if (deltaRules.length === 0 || tokenIds.length === 0) return 0;
+
+    let sent = 0;
+    const windows = [...new Set(deltaRules.map(rule => rule.window_minutes))];
+
+    for (const windowMinutes of windows) {
+      const snapshotColumns = ['captured_at', ...Object.values(DELTA_METRICS)];
+
+      // Oldest and latest snapshot per token within the window
+      const result = await pool.query(`
+        WITH windowed AS (
+          SELECT s.*,
+            ROW_NUMBER() OVER (PARTITION BY s.token_id ORDER BY s.captured_at ASC, s.id ASC) AS first_rank,
+            ROW_NUMBER() OVER (PARTITION BY s.token_id ORDER BY s.captured_at DESC, s.id DESC) AS last_rank
+          FROM token_snapshots s
+          WHERE s.token_id = ANY($1) AND s.captured_at >= CURRENT_TIMESTAMP - ($2 * INTERVAL '1 minute')
+        )
+        SELECT
+          c.token_id, c.pair_address, c.price_usd, c.price_sol, c.liquidity_usd, c.sol_liquidity,
+          c.volume_24h, c.volume_6h, c.volume_1h, c.volume_5m, c.price_change_24h, c.price_change_1h,
+          c.price_change_5m, c.holders_count, c.top_holder_percentage, c.top10_holder_percentage,
+          c.top20_holder_percentage, c.rug_score, c.captured_at,
+          ${snapshotColumns.map(column => `c.${column} AS cur_${column}, p.${column} AS prev_${column}`).join(', ')},
+          t.chain_id, t.dex_id, t.base_token_address, t.base_token_name, t.base_token_symbol,
+          t.quote_token_address, t.quote_token_symbol, t.pair_created_at, t.rug_risks,
+          t.freeze_authority, t.mint_authority, t.rug_score AS token_rug_score, t.status
+        FROM windowed c
+        JOIN windowed p ON p.token_id = c.token_id AND p.first_rank = 1
+        JOIN pair_details t ON t.id = c.token_id
+        WHERE c.last_rank = 1 AND p.id <> c.id
+      `, [tokenIds, windowMinutes]);
+
+      for (const row of result.rows) {
+        const scope = buildDeltaScope(row);
+        const matching = this.rulesFor('delta', row.pair_address)
+          .filter(rule => rule.window_minutes === windowMinutes && evaluateExpression(rule.expression, scope));
+        if (matching.length === 0) continue;
+
+        const { pair, rugData } = snapshotToInputs(row);
+        const alertData = toAlertData(pair, rugData, row);
+
+        for (const rule of matching) {
+          if (await this.fireRule(rule, { tokenId: row.token_id, alertData, values: scope.change })) {
+            sent++;
+          }
+        }
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = {
+  ALERT_RULE_SCOPES,
+  SCOPE_ROOTS,
+  DELTA_METRICS,
+  RESERVED_RULE_NAMES,
+  validateAlertRule,
+  rowToRule,
+  listAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  buildDeltaScope,
+  AlertRuleEvaluator
+};
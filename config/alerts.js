@@ -0,0 +1,173 @@
+// config/alerts.js - Alert deduplication, cooldowns and alert history
+const { pool } = require('./database');
+const { logger } = require('./logging');
+const { publishEvent } = require('./events');
+
+// Numeric alertData fields that can gate a re-alert
+const ALERT_METRICS = ['volume24h', 'liquidity', 'solLiquidity', 'holders', 'price', 'priceChange24h'];
+
+const ALERT_STATUSES = ['sent', 'partial', 'failed', 'no_channels'];
+
+function parseMetric(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Percentage change from `previous` to `current`; any rise from zero/unknown counts as 100%
+function improvementPct(previous, current) {
+  if (current === null) return null;
+  if (previous === null || previous === 0) return current > 0 ? 100 : 0;
+  return ((current - previous) / Math.abs(previous)) * 100;
+}
+
+function deliveryStatus(results) {
+  if (results.length === 0) return 'no_channels';
+  const delivered = results.filter(result => result.ok).length;
+  if (delivered === results.length) return 'sent';
+  return delivered > 0 ? 'partial' : 'failed';
+}
+
+// Sends alerts through a NotifierRegistry and records them in `alerts`.
+// A pair gets at most one alert per rule per cooldown window. After the window,
+// it re-alerts only if the re-alert metric improved by realertImprovementPct
+// since the last alert (0 re-alerts as soon as the cooldown ends).
+class AlertManager {
+  constructor({ notifiers, cooldownMinutes = 60, realertImprovementPct = 0, realertMetric = 'volume24h', chainId = 'solana' }) {
+    this.notifiers = notifiers;
+    this.cooldownMinutes = cooldownMinutes;
+    this.realertImprovementPct = realertImprovementPct;
+    this.realertMetric = realertMetric;
+    this.chainId = chainId;
+  }
+
+  // Most recent alert that reached at least one channel (or had none configured);
+  // alerts where every channel failed do not start a cooldown
+  async getLastAlert(pairAddress, rule) {
+    const result = await pool.query(`
+      SELECT id, metric, metric_value, created_at
+      FROM alerts
+      WHERE pair_address = $1 AND rule = $2 AND chain_id = $3 AND status <> 'failed'
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [pairAddress, rule, this.chainId]);
+    return result.rows[0] || null;
+  }
+
+  // Decide whether an alert may go out; returns { allowed, reason, lastAlert }
+  async checkAlert(pairAddress, rule, metricValue, { cooldownMinutes = this.cooldownMinutes, realertImprovementPct = this.realertImprovementPct } = {}) {
+    const lastAlert = await this.getLastAlert(pairAddress, rule);
+    if (!lastAlert) {
+      return { allowed: true, reason: 'first_alert', lastAlert: null };
+    }
+
+    const minutesSince = (Date.now() - new Date(lastAlert.created_at).getTime()) / (1000 * 60);
+    if (minutesSince < cooldownMinutes) {
+      return { allowed: false, reason: 'cooldown', lastAlert };
+    }
+
+    if (realertImprovementPct > 0) {
+      const improvement = improvementPct(parseMetric(lastAlert.metric_value), metricValue);
+      if (improvement === null || improvement < realertImprovementPct) {
+        return { allowed: false, reason: 'no_improvement', lastAlert, improvement };
+      }
+    }
+
+    return { allowed: true, reason: 'cooldown_elapsed', lastAlert };
+  }
+
+  // Check cooldowns, notify and record; returns { sent, reason, alert }
+  async fire({ tokenId = null, alertRuleId = null, rule, alertData, channels = null, cooldownMinutes, realertImprovementPct }) {
+    const metricValue = parseMetric(alertData[this.realertMetric]);
+    const decision = await this.checkAlert(alertData.pairAddress, rule, metricValue, {
+      cooldownMinutes: cooldownMinutes ?? this.cooldownMinutes,
+      realertImprovementPct: realertImprovementPct ?? this.realertImprovementPct
+    });
+
+    if (!decision.allowed) {
+      logger.debug(`🔕 Alert suppressed for ${alertData.symbol} (${rule}): ${decision.reason}`);
+      return { sent: false, reason: decision.reason, alert: null };
+    }
+
+    const results = await this.notifiers.notify(alertData, { channels });
+    const status = deliveryStatus(results);
+
+    const inserted = await pool.query(`
+      INSERT INTO alerts (
+        token_id, chain_id, pair_address, base_token_address, base_token_symbol,
+        rule, metric, metric_value, payload, channel_results, status, alert_rule_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      tokenId,
+      this.chainId,
+      alertData.pairAddress,
+      alertData.tokenAddress,
+      alertData.symbol,
+      rule,
+      this.realertMetric,
+      metricValue,
+      JSON.stringify(alertData),
+      JSON.stringify(results),
+      status,
+      alertRuleId
+    ]);
+
+    const alert = inserted.rows[0];
+    try {
+      await publishEvent('alert.fired', {
+        alertId: alert.id,
+        tokenId,
+        alertRuleId,
+        rule,
+        status,
+        reason: decision.reason,
+        pairAddress: alertData.pairAddress,
+        tokenAddress: alertData.tokenAddress,
+        symbol: alertData.symbol,
+        message: alertData.message || null
+      }, this.chainId);
+    } catch (error) {
+      logger.warn('⚠️ Could not publish alert event:', error.message);
+    }
+
+    return { sent: true, reason: decision.reason, alert };
+  }
+}
+
+async function listAlerts({ chainId = 'solana', pairAddress, tokenAddress, symbol, rule, alertRuleId, status, from, to, limit = 50, offset = 0 } = {}) {
+  const params = [chainId];
+  let whereClause = 'WHERE chain_id = $1';
+
+  const addFilter = (value, condition) => {
+    if (value === undefined || value === null || value === '') return;
+    params.push(value);
+    whereClause += ` AND ${condition.replace('?', `$${params.length}`)}`;
+  };
+
+  addFilter(pairAddress, 'pair_address = ?');
+  addFilter(tokenAddress, 'base_token_address = ?');
+  addFilter(symbol, 'base_token_symbol ILIKE ?');
+  addFilter(rule, 'rule = ?');
+  addFilter(alertRuleId, 'alert_rule_id = ?');
+  addFilter(status, 'status = ?');
+  addFilter(from, 'created_at >= ?');
+  addFilter(to, 'created_at < ?');
+
+  const result = await pool.query(`
+    SELECT * FROM alerts
+    ${whereClause}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM alerts ${whereClause}`, params);
+
+  return { alerts: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_STATUSES,
+  AlertManager,
+  listAlerts
+};
@@ -26,6 +26,16 @@ const apiConfig = {
     }
   },
 
+  // Solana JSON-RPC (mint account reads; see config/solanaRpc.js)
+  solanaRpc: {
+    url: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+    timeout: 10000,
+    rateLimit: {
+      requests: parseInt(process.env.SOLANA_RPC_REQUESTS_PER_MINUTE) || 300, // the public endpoint allows ~100 per 10s
+      interval: 60000
+    }
+  },
+
   // General API settings
   general: {
     rateLimitDelay: parseInt(process.env.RATE_LIMIT_DELAY_MS) || 200,
@@ -165,10 +175,18 @@ class RateLimiter {
     this.requests = requests;
     this.interval = interval;
     this.requestTimes = [];
+    this.pending = Promise.resolve();
   }
 
-  async acquire() {
-    const now = Date.now();
+  // Callers are served one at a time so concurrent workers cannot overshoot the limit
+  acquire() {
+    const slot = this.pending.then(() => this.waitForSlot());
+    this.pending = slot.catch(() => {});
+    return slot;
+  }
+
+  async waitForSlot() {
+    let now = Date.now();
     
     // Remove old requests outside the interval
     this.requestTimes = this.requestTimes.filter(time => now - time < this.interval);
@@ -182,6 +200,9 @@ class RateLimiter {
         console.log(`⏱️ Rate limit reached, waiting ${waitTime}ms...`);
         await sleep(waitTime);
       }
+
+      now = Date.now();
+      this.requestTimes = this.requestTimes.filter(time => now - time < this.interval);
     }
     
     this.requestTimes.push(now);
@@ -199,6 +220,11 @@ const rugCheckRateLimiter = new RateLimiter(
   apiConfig.rugCheck.rateLimit.interval
 );
 
+const solanaRpcRateLimiter = new RateLimiter(
+  apiConfig.solanaRpc.rateLimit.requests,
+  apiConfig.solanaRpc.rateLimit.interval
+);
+
 // Export configuration and utilities
 module.exports = {
   apiConfig,
@@ -206,6 +232,7 @@ module.exports = {
   rugCheckAPI,
   dexScreenerRateLimiter,
   rugCheckRateLimiter,
+  solanaRpcRateLimiter,
   sleep,
   retryRequest,
   RateLimiter
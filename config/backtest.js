@@ -0,0 +1,309 @@
+// config/backtest.js - Replay filter configurations over stored token snapshots and rejections
+const { pool } = require('./database');
+const { SolanaTokenFilter } = require('./filter');
+const { getActiveProfile, getProfile } = require('./profiles');
+
+// Refuse ranges that would load more snapshots and rejections than this into memory
+const MAX_SIMULATION_SNAPSHOTS = 100000;
+
+// How many example pair addresses to return per delta bucket
+const DELTA_SAMPLE_SIZE = 20;
+
+// Token statuses counted as a good or bad outcome; anything else (e.g. flagged) is undecided
+const GOOD_OUTCOMES = ['active'];
+const BAD_OUTCOMES = ['rug', 'delisted'];
+
+const toNumber = value => (value === null || value === undefined ? 0 : parseFloat(value));
+
+// Rebuild the filter inputs from a snapshot joined with its token row
+function snapshotToInputs(row) {
+  const pair = {
+    pairAddress: row.pair_address,
+    chainId: row.chain_id,
+    dexId: row.dex_id,
+    baseToken: { address: row.base_token_address, name: row.base_token_name, symbol: row.base_token_symbol },
+    quoteToken: { address: row.quote_token_address, symbol: row.quote_token_symbol },
+    priceUsd: row.price_usd,
+    priceNative: row.price_sol,
+    volume: {
+      h24: toNumber(row.volume_24h),
+      h6: toNumber(row.volume_6h),
+      h1: toNumber(row.volume_1h),
+      m5: toNumber(row.volume_5m)
+    },
+    priceChange: {
+      h24: toNumber(row.price_change_24h),
+      h1: toNumber(row.price_change_1h),
+      m5: toNumber(row.price_change_5m)
+    },
+    liquidity: { usd: toNumber(row.liquidity_usd) },
+    pairCreatedAt: row.pair_created_at ? new Date(row.pair_created_at).getTime() : undefined
+  };
+
+  // Snapshots record the authorities of their time; older ones fall back to the mint's current values
+  const authority = row.snapshot_authority_source
+    ? { freeze: row.snapshot_freeze_authority, mint: row.snapshot_mint_authority, source: row.snapshot_authority_source }
+    : { freeze: row.freeze_authority, mint: row.mint_authority, source: row.authority_source };
+
+  const rugData = {
+    score: row.rug_score === null ? row.token_rug_score : row.rug_score,
+    risks: row.rug_risks || [],
+    freezeAuthority: authority.freeze,
+    mintAuthority: authority.mint,
+    authoritySource: authority.source,
+    // Mints saved before authority_source was recorded passed the authority checks of their time
+    authorityVerified: authority.source !== 'none',
+    mintAccount: row.token_program ? { tokenProgram: row.token_program, extensions: row.mint_extensions || {} } : null,
+    holderData: {
+      count: row.holders_count, // null when unknown, which holders_min skips
+      topPercentage: toNumber(row.top_holder_percentage),
+      top10Percentage: toNumber(row.top10_holder_percentage),
+      top20Percentage: toNumber(row.top20_holder_percentage)
+    }
+  };
+
+  return { pair, rugData, now: new Date(row.captured_at).getTime() };
+}
+
+// The filter inputs of a rejected pair, kept in token_rejections.filter_inputs: the pair
+// fields and rug data the rules read, in the shape snapshotToInputs rebuilds for snapshots.
+// holderData is what the filter computed (it falls back to RugCheck's holder list).
+function toReplayInputs(pair, rugData, holderData, totalLiquidityUSD) {
+  return {
+    pair: {
+      pairAddress: pair.pairAddress,
+      chainId: pair.chainId,
+      dexId: pair.dexId,
+      baseToken: pair.baseToken,
+      quoteToken: pair.quoteToken,
+      priceUsd: pair.priceUsd,
+      priceNative: pair.priceNative,
+      volume: pair.volume,
+      priceChange: pair.priceChange,
+      liquidity: { usd: pair.liquidity?.usd },
+      pairCreatedAt: pair.pairCreatedAt
+    },
+    rugData: {
+      score: rugData.score ?? null,
+      risks: rugData.risks || [],
+      freezeAuthority: rugData.freezeAuthority ?? null,
+      mintAuthority: rugData.mintAuthority ?? null,
+      authoritySource: rugData.authoritySource ?? null,
+      authorityVerified: rugData.authorityVerified,
+      mintAccount: rugData.mintAccount ? { tokenProgram: rugData.mintAccount.tokenProgram, extensions: rugData.mintAccount.extensions } : null,
+      holderData: {
+        source: holderData.source,
+        count: holderData.count ?? null,
+        topPercentage: holderData.topPercentage,
+        top10Percentage: holderData.top10Percentage,
+        top20Percentage: holderData.top20Percentage
+      }
+    },
+    totalLiquidityUSD: totalLiquidityUSD ?? null
+  };
+}
+
+// Rebuild the filter inputs from a token_rejections row with filter_inputs
+function rejectionToInputs(row) {
+  const { pair, rugData, totalLiquidityUSD } = row.filter_inputs;
+  return { pair, rugData, totalLiquidityUSD: totalLiquidityUSD ?? undefined, now: new Date(row.rejected_at).getTime() };
+}
+
+function outcomeOf(status) {
+  if (GOOD_OUTCOMES.includes(status)) return 'good';
+  if (BAD_OUTCOMES.includes(status)) return 'bad';
+  return 'undecided';
+}
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Confusion matrix of "token passed at least once" against its later status
+function scoreOutcomes(tokens, passedKey) {
+  const matrix = { passedGood: 0, passedBad: 0, rejectedGood: 0, rejectedBad: 0, undecided: 0 };
+
+  for (const token of tokens.values()) {
+    const outcome = outcomeOf(token.status);
+    if (outcome === 'undecided') {
+      matrix.undecided++;
+    } else if (token[passedKey]) {
+      matrix[outcome === 'good' ? 'passedGood' : 'passedBad']++;
+    } else {
+      matrix[outcome === 'good' ? 'rejectedGood' : 'rejectedBad']++;
+    }
+  }
+
+  return {
+    ...matrix,
+    precision: ratio(matrix.passedGood, matrix.passedGood + matrix.passedBad),
+    recall: ratio(matrix.passedGood, matrix.passedGood + matrix.rejectedGood),
+    badRejectionRate: ratio(matrix.rejectedBad, matrix.rejectedBad + matrix.passedBad)
+  };
+}
+
+function summarise(tokens, passedKey, counts, ruleFailures) {
+  let passedTokens = 0;
+  for (const token of tokens.values()) {
+    if (token[passedKey]) passedTokens++;
+  }
+
+  return {
+    snapshots: counts.snapshots,
+    rejections: counts.rejections,
+    tokens: { evaluated: tokens.size, passed: passedTokens, failed: tokens.size - passedTokens },
+    ruleFailures,
+    outcomes: scoreOutcomes(tokens, passedKey)
+  };
+}
+
+// Replay the current filter config and a candidate over every snapshot and every recorded
+// rejection in [from, to). Snapshots only exist for pairs that were saved, so the rejections
+// are what lets a looser candidate pass pairs the filter turned away; rejections recorded
+// before filter_inputs existed cannot be replayed and are left out. `candidate` holds param
+// overrides applied on top of the current config, or on top of a stored profile when
+// `profile` is given. A token counts as passed if any of its snapshots or rejections in the
+// range passed. Pairs that were never saved have no status, so their outcome is undecided.
+async function simulateFilters({ candidate = {}, profile = null, from, to, chainId = 'solana' }) {
+  const currentFilter = new SolanaTokenFilter({}, { chainId });
+  currentFilter.setProfile(await getActiveProfile(chainId));
+
+  const candidateFilter = new SolanaTokenFilter({}, { chainId });
+  if (profile) {
+    const baseProfile = await getProfile(profile, chainId);
+    if (!baseProfile) {
+      return { error: `Filter profile not found: ${profile}`, status: 404 };
+    }
+    candidateFilter.setProfile(baseProfile);
+  } else {
+    candidateFilter.setProfile(currentFilter.profile);
+  }
+  candidateFilter.updateConfig(candidate);
+
+  const countResult = await pool.query(`
+    SELECT
+      (SELECT COUNT(*)
+       FROM token_snapshots s
+       JOIN pairs t ON t.id = s.token_id
+       WHERE t.chain_id = $1 AND s.captured_at >= $2 AND s.captured_at < $3) AS snapshots,
+      (SELECT COUNT(*)
+       FROM token_rejections r
+       WHERE r.chain_id = $1 AND r.rejected_at >= $2 AND r.rejected_at < $3 AND r.filter_inputs IS NOT NULL) AS rejections
+  `, [chainId, from, to]);
+
+  const snapshotTotal = parseInt(countResult.rows[0].snapshots);
+  const rejectionTotal = parseInt(countResult.rows[0].rejections);
+  if (snapshotTotal + rejectionTotal > MAX_SIMULATION_SNAPSHOTS) {
+    return {
+      error: `Range contains ${snapshotTotal} snapshots and ${rejectionTotal} rejections (max ${MAX_SIMULATION_SNAPSHOTS} together); narrow from/to`,
+      status: 400
+    };
+  }
+
+  const snapshotResult = await pool.query(`
+    SELECT
+      s.pair_address, s.price_usd, s.price_sol, s.liquidity_usd, s.volume_24h, s.volume_6h,
+      s.volume_1h, s.volume_5m, s.price_change_24h, s.price_change_1h, s.price_change_5m,
+      s.holders_count, s.top_holder_percentage, s.top10_holder_percentage, s.top20_holder_percentage,
+      s.rug_score, s.captured_at, s.freeze_authority AS snapshot_freeze_authority,
+      s.mint_authority AS snapshot_mint_authority, s.authority_source AS snapshot_authority_source,
+      t.chain_id, t.dex_id, t.base_token_address, t.base_token_name, t.base_token_symbol,
+      t.quote_token_address, t.quote_token_symbol, t.pair_created_at, t.rug_risks,
+      t.freeze_authority, t.mint_authority, t.rug_score AS token_rug_score, t.status,
+      t.authority_source, t.token_program, t.mint_extensions
+    FROM token_snapshots s
+    JOIN pair_details t ON t.id = s.token_id
+    WHERE t.chain_id = $1 AND s.captured_at >= $2 AND s.captured_at < $3
+    ORDER BY s.captured_at ASC
+  `, [chainId, from, to]);
+
+  const rejectionResult = await pool.query(`
+    SELECT r.pair_address, r.base_token_symbol, r.filter_inputs, r.rejected_at, p.status
+    FROM token_rejections r
+    LEFT JOIN pairs p ON p.pair_address = r.pair_address
+    WHERE r.chain_id = $1 AND r.rejected_at >= $2 AND r.rejected_at < $3 AND r.filter_inputs IS NOT NULL
+    ORDER BY r.rejected_at ASC
+  `, [chainId, from, to]);
+
+  const tokens = new Map();
+  const emptyCounts = () => ({
+    snapshots: { evaluated: 0, passed: 0, failed: 0 },
+    rejections: { evaluated: 0, passed: 0, failed: 0 }
+  });
+  const counts = { current: emptyCounts(), candidate: emptyCounts() };
+  const ruleFailures = { current: {}, candidate: {} };
+
+  const replay = async (row, source, { pair, rugData, totalLiquidityUSD, now }) => {
+    const token = tokens.get(row.pair_address) || {
+      pairAddress: row.pair_address,
+      symbol: row.base_token_symbol,
+      status: row.status,
+      currentPassed: false,
+      candidatePassed: false
+    };
+
+    for (const [key, filter] of [['current', currentFilter], ['candidate', candidateFilter]]) {
+      const filterResult = await filter.evaluateToken(pair, rugData, { now, totalLiquidityUSD });
+      counts[key][source].evaluated++;
+
+      if (filterResult.passed) {
+        counts[key][source].passed++;
+        token[`${key}Passed`] = true;
+      } else {
+        counts[key][source].failed++;
+        for (const rule of filterResult.filters) {
+          ruleFailures[key][rule] = (ruleFailures[key][rule] || 0) + 1;
+        }
+      }
+    }
+
+    tokens.set(row.pair_address, token);
+  };
+
+  for (const row of snapshotResult.rows) {
+    await replay(row, 'snapshots', snapshotToInputs(row));
+  }
+
+  for (const row of rejectionResult.rows) {
+    await replay(row, 'rejections', rejectionToInputs(row));
+  }
+
+  const newlyPassed = [];
+  const newlyRejected = [];
+  for (const token of tokens.values()) {
+    if (token.candidatePassed && !token.currentPassed) newlyPassed.push(token);
+    if (!token.candidatePassed && token.currentPassed) newlyRejected.push(token);
+  }
+
+  const sample = list => list.slice(0, DELTA_SAMPLE_SIZE).map(({ pairAddress, symbol, status }) => ({ pairAddress, symbol, status }));
+
+  const current = summarise(tokens, 'currentPassed', counts.current, ruleFailures.current);
+  const simulated = summarise(tokens, 'candidatePassed', counts.candidate, ruleFailures.candidate);
+
+  return {
+    range: { from, to },
+    current: { profile: currentFilter.profile ? currentFilter.profile.name : null, config: currentFilter.getConfig(), ...current },
+    candidate: { profile: candidateFilter.profile ? candidateFilter.profile.name : null, config: candidateFilter.getConfig(), ...simulated },
+    delta: {
+      passedTokens: simulated.tokens.passed - current.tokens.passed,
+      passedSnapshots: simulated.snapshots.passed - current.snapshots.passed,
+      passedRejections: simulated.rejections.passed - current.rejections.passed,
+      newlyPassed: { count: newlyPassed.length, sample: sample(newlyPassed) },
+      newlyRejected: { count: newlyRejected.length, sample: sample(newlyRejected) },
+      precision: current.outcomes.precision === null || simulated.outcomes.precision === null
+        ? null
+        : simulated.outcomes.precision - current.outcomes.precision,
+      recall: current.outcomes.recall === null || simulated.outcomes.recall === null
+        ? null
+        : simulated.outcomes.recall - current.outcomes.recall
+    }
+  };
+}
+
+module.exports = {
+  GOOD_OUTCOMES,
+  BAD_OUTCOMES,
+  MAX_SIMULATION_SNAPSHOTS,
+  snapshotToInputs,
+  toReplayInputs,
+  rejectionToInputs,
+  simulateFilters
+};
@@ -1,4 +1,4 @@
-// config/chains.js - Solana-focused blockchain configuration
+// config/chains.js - Chain registry: DEXs, native currency and explorer per chain
 require('dotenv').config();
 
 // Solana blockchain configuration
@@ -10,11 +10,13 @@ const solanaConfig = {
   blockExplorer: 'https://solscan.io',
   dexscreenerPath: 'solana',
   cluster: process.env.SOLANA_CLUSTER || 'mainnet-beta', // Explicitly add cluster
+  rugCheck: true, // RugCheck reports (score, risks, holders, authorities) are Solana-only
+  splMints: true, // mint accounts are SPL Token / Token-2022 and can be read over RPC
   stablecoins: {
     USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
     USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
   },
-  wsol: 'So11111111111111111111111111111111111111112' // Wrapped SOL
+  wrappedNative: 'So11111111111111111111111111111111111111112' // Wrapped SOL
 };
 
 // Solana DEX configurations
@@ -27,7 +29,7 @@ const solanaDEXs = {
     trustScore: 9,
     priority: 1
   },
-  
+
   orca: {
     name: 'Orca',
     type: 'AMM',
@@ -36,7 +38,7 @@ const solanaDEXs = {
     trustScore: 8,
     priority: 2
   },
-  
+
   jupiter: {
     name: 'Jupiter',
     type: 'Aggregator',
@@ -45,7 +47,7 @@ const solanaDEXs = {
     trustScore: 9,
     priority: 3
   },
-  
+
   serum: {
     name: 'Serum',
     type: 'CLOB',
@@ -56,16 +58,152 @@ const solanaDEXs = {
   }
 };
 
-// Get Solana configuration
-const getChainConfig = () => {
-  return solanaConfig;
+// Base (Ethereum L2) configuration
+const baseConfig = {
+  id: 'base',
+  name: 'Base',
+  nativeCurrency: 'ETH',
+  rpcUrl: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
+  blockExplorer: 'https://basescan.org',
+  dexscreenerPath: 'base',
+  rugCheck: false,
+  stablecoins: {
+    USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    USDbC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA'
+  },
+  wrappedNative: '0x4200000000000000000000000000000000000006' // WETH
+};
+
+const baseDEXs = {
+  uniswap: {
+    name: 'Uniswap',
+    type: 'AMM',
+    website: 'https://app.uniswap.org',
+    fees: [0.05, 0.3, 1.0],
+    trustScore: 9,
+    priority: 1
+  },
+
+  aerodrome: {
+    name: 'Aerodrome',
+    type: 'AMM',
+    website: 'https://aerodrome.finance',
+    fees: [0.05, 0.3],
+    trustScore: 8,
+    priority: 2
+  },
+
+  sushiswap: {
+    name: 'SushiSwap',
+    type: 'AMM',
+    website: 'https://www.sushi.com',
+    fees: [0.3],
+    trustScore: 7,
+    priority: 3
+  },
+
+  baseswap: {
+    name: 'BaseSwap',
+    type: 'AMM',
+    website: 'https://baseswap.fi',
+    fees: [0.25],
+    trustScore: 6,
+    priority: 4
+  }
+};
+
+// BNB Smart Chain configuration
+const bscConfig = {
+  id: 'bsc',
+  name: 'BNB Smart Chain',
+  nativeCurrency: 'BNB',
+  rpcUrl: process.env.BSC_RPC_URL || 'https://bsc-dataseed.bnbchain.org',
+  blockExplorer: 'https://bscscan.com',
+  dexscreenerPath: 'bsc',
+  rugCheck: false,
+  stablecoins: {
+    USDT: '0x55d398326f99059fF775485246999027B3197955',
+    USDC: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d'
+  },
+  wrappedNative: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c' // WBNB
+};
+
+const bscDEXs = {
+  pancakeswap: {
+    name: 'PancakeSwap',
+    type: 'AMM',
+    website: 'https://pancakeswap.finance',
+    fees: [0.25],
+    trustScore: 9,
+    priority: 1
+  },
+
+  uniswap: {
+    name: 'Uniswap',
+    type: 'AMM',
+    website: 'https://app.uniswap.org',
+    fees: [0.05, 0.3, 1.0],
+    trustScore: 8,
+    priority: 2
+  },
+
+  biswap: {
+    name: 'Biswap',
+    type: 'AMM',
+    website: 'https://biswap.org',
+    fees: [0.1],
+    trustScore: 6,
+    priority: 3
+  },
+
+  thena: {
+    name: 'Thena',
+    type: 'AMM',
+    website: 'https://thena.fi',
+    fees: [0.04, 0.2],
+    trustScore: 6,
+    priority: 4
+  }
+};
+
+// Every chain the monitor knows how to scan, keyed by DexScreener chain id. The DEX lists are
+// the built-in defaults seeded into the dexes table (migration 016), which is the live DEX registry.
+const chains = {
+  solana: { ...solanaConfig, dexs: solanaDEXs },
+  base: { ...baseConfig, dexs: baseDEXs },
+  bsc: { ...bscConfig, dexs: bscDEXs }
+};
+
+const DEFAULT_CHAIN = 'solana';
+
+// Get all supported chain IDs
+const getSupportedChains = () => {
+  return Object.keys(chains);
+};
+
+const isSupportedChain = (chainId) => {
+  return chains.hasOwnProperty(chainId);
+};
+
+// Chains to run a monitor for: MONITOR_CHAINS, e.g. "solana,base,bsc" (default: solana)
+const getMonitoredChains = () => {
+  const value = process.env.MONITOR_CHAINS || DEFAULT_CHAIN;
+  return [...new Set(value.split(',').map(chainId => chainId.trim().toLowerCase()).filter(Boolean))];
+};
+
+// Get chain configuration (without its DEX list)
+const getChainConfig = (chainId = DEFAULT_CHAIN) => {
+  const chain = chains[chainId];
+  if (!chain) return null;
+  const { dexs, ...config } = chain;
+  return config;
 };
 
 // Get DEX configuration
-const getDEXConfig = (dexId) => {
-  const config = solanaDEXs[dexId];
+const getDEXConfig = (dexId, chainId = DEFAULT_CHAIN) => {
+  const config = chains[chainId]?.dexs[dexId];
   if (!config) {
-    console.warn(`Unknown Solana DEX: ${dexId}`);
+    console.warn(`Unknown ${chains[chainId]?.name || chainId} DEX: ${dexId}`);
     return {
       name: dexId,
       type: 'Unknown',
@@ -79,67 +217,80 @@ const getDEXConfig = (dexId) => {
 };
 
 // Get all supported DEX IDs
-const getSupportedDEXs = () => {
-  return Object.keys(solanaDEXs);
+const getSupportedDEXs = (chainId = DEFAULT_CHAIN) => {
+  return Object.keys(chains[chainId]?.dexs || {});
 };
 
 // Get DEXs sorted by priority (lower number = higher priority)
-const getDEXsByPriority = () => {
-  return Object.entries(solanaDEXs)
+const getDEXsByPriority = (chainId = DEFAULT_CHAIN) => {
+  return Object.entries(chains[chainId]?.dexs || {})
     .sort(([,a], [,b]) => a.priority - b.priority)
     .map(([dexId]) => dexId);
 };
 
 // Get stablecoin address
-const getStablecoinAddress = (symbol = 'USDC') => {
-  return solanaConfig.stablecoins[symbol] || null;
+const getStablecoinAddress = (symbol = 'USDC', chainId = DEFAULT_CHAIN) => {
+  return chains[chainId]?.stablecoins[symbol] || null;
 };
 
 // Get wrapped SOL address
 const getWrappedSOLAddress = () => {
-  return solanaConfig.wsol;
+  return solanaConfig.wrappedNative;
+};
+
+// Get the wrapped native token (WSOL, WETH, WBNB) address
+const getWrappedNativeAddress = (chainId = DEFAULT_CHAIN) => {
+  return chains[chainId]?.wrappedNative || null;
 };
 
 // Check if token is a stablecoin
-const isStablecoin = (tokenAddress) => {
-  const stablecoinAddresses = Object.values(solanaConfig.stablecoins).map(addr => addr.toLowerCase());
+const isStablecoin = (tokenAddress, chainId = DEFAULT_CHAIN) => {
+  const stablecoinAddresses = Object.values(chains[chainId]?.stablecoins || {}).map(addr => addr.toLowerCase());
   return stablecoinAddresses.includes(tokenAddress.toLowerCase());
 };
 
 // Get chain info for display
-const getChainDisplayInfo = () => {
+const getChainDisplayInfo = (chainId = DEFAULT_CHAIN) => {
+  const chain = chains[chainId];
+  if (!chain) return null;
   return {
-    id: solanaConfig.id,
-    name: solanaConfig.name,
-    currency: solanaConfig.nativeCurrency,
-    explorer: solanaConfig.blockExplorer,
-    dexscreenerPath: solanaConfig.dexscreenerPath
+    id: chain.id,
+    name: chain.name,
+    currency: chain.nativeCurrency,
+    explorer: chain.blockExplorer,
+    dexscreenerPath: chain.dexscreenerPath
   };
 };
 
 // Get DEX trust score
-const getDEXTrustScore = (dexId) => {
-  const config = getDEXConfig(dexId);
+const getDEXTrustScore = (dexId, chainId = DEFAULT_CHAIN) => {
+  const config = getDEXConfig(dexId, chainId);
   return config.trustScore;
 };
 
-// Validate DEX exists on Solana
-const validateDEX = (dexId) => {
-  return solanaDEXs.hasOwnProperty(dexId);
+// Validate DEX exists on the chain
+const validateDEX = (dexId, chainId = DEFAULT_CHAIN) => {
+  return Boolean(chains[chainId]) && chains[chainId].dexs.hasOwnProperty(dexId);
 };
 
-// Export Solana-focused configurations and utilities
+// Export the chain registry and its utilities
 module.exports = {
+  chains,
+  DEFAULT_CHAIN,
   solanaConfig,
   solanaDEXs,
+  getSupportedChains,
+  isSupportedChain,
+  getMonitoredChains,
   getChainConfig,
   getDEXConfig,
   getSupportedDEXs,
   getDEXsByPriority,
   getStablecoinAddress,
   getWrappedSOLAddress,
+  getWrappedNativeAddress,
   isStablecoin,
   getChainDisplayInfo,
   getDEXTrustScore,
   validateDEX
-};
\ No newline at end of file
+};
@@ -82,6 +82,22 @@ async function testConnection() {
   }
 }
 
+// Run fn(client) inside a transaction; rolls back if it throws
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Graceful shutdown function
 async function closeDatabase() {
   try {
@@ -109,5 +125,6 @@ module.exports = {
   pool,
   dbConfig,
   testConnection,
+  withTransaction,
   closeDatabase
 };
\ No newline at end of file
@@ -0,0 +1,223 @@
+// config/dexes.js - DEX registry stored in the dexes table; unknown dexIds are recorded as scans meet them
+const { pool } = require('./database');
+const { logger } = require('./logging');
+
+const DEX_ID_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,99}$/;
+
+// Values a discovered DEX starts with (the column defaults in migration 016)
+const DEX_DEFAULTS = {
+  type: 'Unknown',
+  website: null,
+  fees: [],
+  trustScore: 5,
+  priority: 10,
+  enabled: true
+};
+
+// Fields an admin can set through /api/config/dexs
+const DEX_FIELDS = ['name', 'type', 'website', 'fees', 'trustScore', 'priority', 'enabled'];
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Validate a complete DEX (after merging an update into the stored row); returns [] when valid
+function validateDex(dex) {
+  const errors = [];
+
+  if (typeof dex.dexId !== 'string' || !DEX_ID_PATTERN.test(dex.dexId)) {
+    errors.push('dexId must be 1-100 lowercase letters, digits, ".", "-" or "_" (the DexScreener dexId)');
+  }
+
+  if (typeof dex.name !== 'string' || dex.name.trim().length === 0 || dex.name.length > 100) {
+    errors.push('name must be a string of 1-100 characters');
+  }
+
+  if (typeof dex.type !== 'string' || dex.type.length === 0 || dex.type.length > 50) {
+    errors.push('type must be a string of 1-50 characters');
+  }
+
+  if (dex.website !== null && (typeof dex.website !== 'string' || dex.website.length > 255)) {
+    errors.push('website must be null or a URL of at most 255 characters');
+  }
+
+  if (!Array.isArray(dex.fees) || dex.fees.length > 10 || dex.fees.some(fee => typeof fee !== 'number' || !Number.isFinite(fee) || fee < 0)) {
+    errors.push('fees must be a list of at most 10 non-negative numbers (percent)');
+  }
+
+  if (!isInteger(dex.trustScore, 0, 10)) {
+    errors.push('trustScore must be an integer from 0 to 10');
+  }
+
+  if (!isInteger(dex.priority, 1, 1000)) {
+    errors.push('priority must be an integer from 1 to 1000 (lower is scanned first)');
+  }
+
+  if (typeof dex.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return errors;
+}
+
+// API shape of a stored row
+function rowToDex(row) {
+  return {
+    id: row.dex_id,
+    chainId: row.chain_id,
+    name: row.name,
+    type: row.type,
+    website: row.website,
+    fees: row.fees,
+    trustScore: row.trust_score,
+    priority: row.priority,
+    enabled: row.enabled,
+    source: row.source,
+    pairCount: parseInt(row.pair_count),
+    tokenCount: row.token_count === undefined ? undefined : row.token_count,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// The DEX a registry has no row for yet (shown until the next scan records it)
+const unknownDex = (dexId, chainId) => ({ id: dexId, chainId, name: dexId, ...DEX_DEFAULTS, source: null });
+
+// DEXs on the chains by priority, with the number of active saved pairs on each
+async function listDexes(chainIds = ['solana'], { enabled = null } = {}) {
+  const result = await pool.query(`
+    SELECT d.*, COUNT(t.id)::int AS token_count
+    FROM dexes d
+    LEFT JOIN pairs t ON t.chain_id = d.chain_id AND t.dex_id = d.dex_id AND t.status = 'active'
+    WHERE d.chain_id = ANY($1) AND ($2::boolean IS NULL OR d.enabled = $2)
+    GROUP BY d.id
+    ORDER BY d.chain_id ASC, d.priority ASC, d.dex_id ASC
+  `, [chainIds, enabled]);
+  return result.rows.map(rowToDex);
+}
+
+async function getDex(dexId, chainId = 'solana') {
+  const result = await pool.query('SELECT * FROM dexes WHERE dex_id = $1 AND chain_id = $2', [dexId, chainId]);
+  return result.rows[0] ? rowToDex(result.rows[0]) : null;
+}
+
+async function createDex(dex, actor, chainId = 'solana') {
+  const result = await pool.query(`
+    INSERT INTO dexes (chain_id, dex_id, name, type, website, fees, trust_score, priority, enabled, source, created_by, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'api', $10, $10)
+    RETURNING *
+  `, [chainId, dex.dexId, dex.name, dex.type, dex.website, JSON.stringify(dex.fees), dex.trustScore, dex.priority, dex.enabled, actor]);
+  return rowToDex(result.rows[0]);
+}
+
+// Replace the editable fields with `dex` (callers merge partial updates first); returns null if not found
+async function updateDex(dexId, dex, actor, chainId = 'solana') {
+  const result = await pool.query(`
+    UPDATE dexes SET
+      name = $3, type = $4, website = $5, fees = $6, trust_score = $7, priority = $8, enabled = $9, updated_by = $10
+    WHERE dex_id = $1 AND chain_id = $2
+    RETURNING *
+  `, [dexId, chainId, dex.name, dex.type, dex.website, JSON.stringify(dex.fees), dex.trustScore, dex.priority, dex.enabled, actor]);
+  return result.rows[0] ? rowToDex(result.rows[0]) : null;
+}
+
+// Returns null if the DEX does not exist; a deleted dexId is recorded again the next time a scan sees it
+async function deleteDex(dexId, chainId = 'solana') {
+  const result = await pool.query('DELETE FROM dexes WHERE dex_id = $1 AND chain_id = $2 RETURNING *', [dexId, chainId]);
+  return result.rows[0] ? rowToDex(result.rows[0]) : null;
+}
+
+// Count the pairs per dexId from one fetch; dexIds without a row are inserted as 'discovered'.
+// Returns the newly discovered dexIds.
+async function recordSeenDexes(pairs, chainId = 'solana') {
+  const counts = new Map();
+  for (const pair of pairs) {
+    if (!pair.dexId) continue;
+    counts.set(pair.dexId, (counts.get(pair.dexId) || 0) + 1);
+  }
+  if (counts.size === 0) return [];
+
+  const result = await pool.query(`
+    INSERT INTO dexes (chain_id, dex_id, name, source, pair_count, first_seen_at, last_seen_at, created_by, updated_by)
+    SELECT $1, seen.dex_id, seen.dex_id, 'discovered', seen.pair_count, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 'scanner', 'scanner'
+    FROM unnest($2::text[], $3::int[]) AS seen(dex_id, pair_count)
+    ON CONFLICT (chain_id, dex_id) DO UPDATE SET
+      pair_count = dexes.pair_count + EXCLUDED.pair_count,
+      first_seen_at = COALESCE(dexes.first_seen_at, EXCLUDED.first_seen_at),
+      last_seen_at = EXCLUDED.last_seen_at
+    RETURNING dex_id, (xmax = 0) AS discovered
+  `, [chainId, [...counts.keys()], [...counts.values()]]);
+
+  return result.rows.filter(row => row.discovered).map(row => row.dex_id);
+}
+
+// In-memory view of one chain's dexes rows for lookups in hot paths (scans, alerts,
+// API responses). load() refreshes it; DEXs without a row get the discovery defaults.
+class DexRegistry {
+  constructor(chainId = 'solana') {
+    this.chainId = chainId;
+    this.dexes = new Map();
+  }
+
+  async load() {
+    const result = await pool.query('SELECT * FROM dexes WHERE chain_id = $1', [this.chainId]);
+    this.dexes = new Map(result.rows.map(row => [row.dex_id, rowToDex(row)]));
+    return this;
+  }
+
+  get(dexId) {
+    return this.dexes.get(dexId) || unknownDex(dexId, this.chainId);
+  }
+
+  has(dexId) {
+    return this.dexes.has(dexId);
+  }
+
+  // Unknown DEXs count as enabled: they are recorded and reach the filter like any other
+  isEnabled(dexId) {
+    return this.get(dexId).enabled;
+  }
+
+  // Enabled DEX ids, lowest priority number first
+  getEnabledDEXs() {
+    return [...this.dexes.values()]
+      .filter(dex => dex.enabled)
+      .sort((a, b) => a.priority - b.priority || a.id.localeCompare(b.id))
+      .map(dex => dex.id);
+  }
+
+  // Record the dexIds of a fetch and reload; a database error keeps the current view
+  async recordSeen(pairs) {
+    try {
+      const discovered = await recordSeenDexes(pairs, this.chainId);
+      discovered.forEach(dexId => logger.info(`🆕 New ${this.chainId} DEX recorded: ${dexId}`));
+      await this.load();
+    } catch (error) {
+      logger.warn(`⚠️ Failed to record ${this.chainId} DEXs:`, error.message);
+    }
+  }
+}
+
+// Loaded registries for several chains, keyed by chain id
+async function loadDexRegistries(chainIds) {
+  const registries = await Promise.all(chainIds.map(chainId => new DexRegistry(chainId).load()));
+  return new Map(registries.map(registry => [registry.chainId, registry]));
+}
+
+module.exports = {
+  DEX_ID_PATTERN,
+  DEX_DEFAULTS,
+  DEX_FIELDS,
+  validateDex,
+  rowToDex,
+  listDexes,
+  getDex,
+  createDex,
+  updateDex,
+  deleteDex,
+  recordSeenDexes,
+  DexRegistry,
+  loadDexRegistries
+};
@@ -0,0 +1,194 @@
+// config/events.js - Event log and live event stream over Postgres LISTEN/NOTIFY
+const { Client } = require('pg');
+const { pool, dbConfig } = require('./database');
+const { logger } = require('./logging');
+
+const EVENT_TYPES = ['token.saved', 'token.updated', 'token.status_changed', 'alert.fired', 'scan.completed'];
+
+const EVENTS_CHANNEL = 'token_monitor_events';
+
+// Most events sent to a client resuming with Last-Event-ID
+const MAX_REPLAY_EVENTS = 1000;
+
+// Store events and NOTIFY listeners in one statement; returns the stored rows.
+// Only the event id goes through NOTIFY (payloads are capped at 8000 bytes).
+async function publishEvents(events, chainId = 'solana') {
+  if (events.length === 0) return [];
+
+  const result = await pool.query(`
+    WITH inserted AS (
+      INSERT INTO events (chain_id, type, data)
+      SELECT $1, event->>'type', event->'data'
+      FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS e(event, position)
+      ORDER BY position
+      RETURNING *
+    )
+    SELECT id, chain_id, type, data, created_at, pg_notify($3, id::text) AS notified
+    FROM inserted
+    ORDER BY id
+  `, [chainId, JSON.stringify(events), EVENTS_CHANNEL]);
+
+  return result.rows.map(({ notified, ...event }) => event);
+}
+
+async function publishEvent(type, data, chainId = 'solana') {
+  const [event] = await publishEvents([{ type, data }], chainId);
+  return event;
+}
+
+// Events after `lastId`, oldest first
+async function getEventsSince(lastId, limit = MAX_REPLAY_EVENTS) {
+  const result = await pool.query(
+    'SELECT * FROM events WHERE id > $1 ORDER BY id ASC LIMIT $2',
+    [lastId, limit]
+  );
+  return result.rows;
+}
+
+async function getEventsByIds(ids) {
+  const result = await pool.query('SELECT * FROM events WHERE id = ANY($1) ORDER BY id ASC', [ids]);
+  return result.rows;
+}
+
+// Delete events older than the retention window; returns how many were removed
+async function pruneEvents(retentionHours) {
+  const result = await pool.query(
+    "DELETE FROM events WHERE created_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 hour')",
+    [retentionHours]
+  );
+  return result.rowCount;
+}
+
+// Delivers published events to in-process subscribers (e.g. SSE connections).
+// Uses one dedicated connection for LISTEN; if it drops, it reconnects after
+// reconnectMs and catches up on the events published in between.
+class EventStream {
+  constructor({ reconnectMs = 5000, batchDelayMs = 50 } = {}) {
+    this.reconnectMs = reconnectMs;
+    this.batchDelayMs = batchDelayMs;
+    this.client = null;
+    this.subscribers = new Set();
+    this.pendingIds = [];
+    this.flushTimer = null;
+    this.reconnectTimer = null;
+    this.lastId = null;
+    this.stopped = true;
+  }
+
+  async start() {
+    this.stopped = false;
+    await this.connect();
+  }
+
+  async connect() {
+    const client = new Client(dbConfig);
+    client.on('notification', (message) => this.enqueue(message.payload));
+    client.on('error', (error) => {
+      logger.warn('⚠️ Event stream connection error:', error.message);
+      this.scheduleReconnect(client);
+    });
+    client.on('end', () => this.scheduleReconnect(client));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${EVENTS_CHANNEL}`);
+      this.client = client;
+      logger.info('📡 Event stream listening for events');
+
+      // Catch up on anything published while disconnected
+      if (this.lastId !== null) {
+        this.deliver(await getEventsSince(this.lastId));
+      }
+    } catch (error) {
+      logger.warn('⚠️ Event stream could not connect:', error.message);
+      this.scheduleReconnect(client);
+    }
+  }
+
+  scheduleReconnect(client) {
+    if (this.client && this.client !== client) return;
+    this.client = null;
+
+    client.removeAllListeners();
+    client.on('error', () => {});
+    client.end().catch(() => {});
+
+    if (this.stopped || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectMs);
+  }
+
+  // Notifications arrive one id at a time; read them back in small batches
+  enqueue(payload) {
+    const id = parseInt(payload);
+    if (!Number.isInteger(id)) return;
+
+    this.pendingIds.push(id);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.batchDelayMs);
+    }
+  }
+
+  async flush() {
+    this.flushTimer = null;
+    const ids = this.pendingIds;
+    this.pendingIds = [];
+
+    try {
+      this.deliver(await getEventsByIds(ids));
+    } catch (error) {
+      logger.warn(`⚠️ Could not load ${ids.length} event(s):`, error.message);
+    }
+  }
+
+  deliver(events) {
+    for (const event of events) {
+      const id = parseInt(event.id);
+      if (this.lastId === null || id > this.lastId) this.lastId = id;
+
+      for (const subscriber of this.subscribers) {
+        try {
+          subscriber(event);
+        } catch (error) {
+          logger.warn('⚠️ Event subscriber failed:', error.message);
+        }
+      }
+    }
+  }
+
+  // Call `fn(event)` for every event from now on; returns an unsubscribe function
+  subscribe(fn) {
+    this.subscribers.add(fn);
+    return () => this.subscribers.delete(fn);
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.reconnectTimer);
+    this.flushTimer = null;
+    this.reconnectTimer = null;
+
+    const client = this.client;
+    this.client = null;
+    if (client) {
+      client.removeAllListeners();
+      client.on('error', () => {});
+      await client.end().catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EVENTS_CHANNEL,
+  MAX_REPLAY_EVENTS,
+  publishEvents,
+  publishEvent,
+  getEventsSince,
+  getEventsByIds,
+  pruneEvents,
+  EventStream
+};
@@ -1,79 +1,222 @@
 // config/filters.js - Solana-optimized token filtering configuration
+const fs = require('fs');
+const path = require('path');
+const { evaluateExpression, validateExpression, resolvePath, resolveOperand, formatMessage } = require('./rules');
+const { logger } = require('./logging');
+const { getTransferFeeBasisPoints } = require('./solanaRpc');
+
+// Filter thresholds and rules live in a JSON rule file so they can change without a deploy
+const DEFAULT_RULES_PATH = process.env.FILTER_RULES_PATH
+  ? path.resolve(process.env.FILTER_RULES_PATH)
+  : path.join(__dirname, 'filter-rules.json');
+
+// Solana uses FILTER_RULES_PATH / filter-rules.json; every other chain has its own file,
+// FILTER_RULES_PATH_<CHAIN> or filter-rules.<chain>.json (e.g. filter-rules.base.json)
+function getRulesPath(chainId = 'solana') {
+  if (chainId === 'solana') return DEFAULT_RULES_PATH;
+  const override = process.env[`FILTER_RULES_PATH_${chainId.toUpperCase()}`];
+  return override ? path.resolve(override) : path.join(__dirname, `filter-rules.${chainId}.json`);
+}
+
+const RULE_SEVERITIES = ['critical', 'high', 'medium', 'low'];
 
-// Solana-specific filter configuration
-const filterConfig = {
-  // Holder requirements (Solana typical values)
-  minHolders: 10, // Lower threshold for Solana
-  maxTopHolderPercentage: 40, // Slightly more lenient
+// Scope names a rule may read fields from
+const RULE_SCOPE_ROOTS = ['pair', 'rugData', 'metrics'];
 
-  // Volume requirements (USD) - Solana has lower fees, so smaller volumes are viable
-  minVolume24h: 10, // Lower minimum for Solana
-  maxVolume24h: null,
+// Wait for editors to finish writing before re-reading the rule file
+const RELOAD_DEBOUNCE_MS = 250;
 
-  // Liquidity requirements (USD) - Solana DEXs typically have lower liquidity requirements
-  minLiquidity: 100, // Lower for Solana ecosystem
-  maxLiquidity: null,
+// Last rule set that validated, per file, so a bad edit never takes filtering down
+const lastGoodRuleSets = new Map();
 
-  // Trading activity - Solana's fast transactions enable more traders
-  minNetTraders: 5,
+// Check a parsed rule file; returns a list of problems ([] when valid)
+function validateRuleSet(ruleSet) {
+  const errors = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object') {
+    return ['rule set must be a JSON object'];
+  }
 
-  // Token age requirements - Solana tokens can move faster
-  maxTokenAgeHours: 24,
-  minTokenAgeMinutes: 3, // Faster for Solana
+  if (!Number.isInteger(ruleSet.version)) {
+    errors.push('version must be an integer');
+  }
 
-  // Solana-specific risk assessment
-  maxRugScore: 6, // Slightly more strict
-  blockedRiskTypes: ['honeypot', 'mint_function', 'proxy_contract', 'freeze_authority'],
+  if (!ruleSet.params || typeof ruleSet.params !== 'object' || Array.isArray(ruleSet.params)) {
+    errors.push('params must be an object');
+    return errors;
+  }
 
-  // Price change filters
-  maxPriceChange24h: null,
-  minPriceChange24h: null,
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+    return errors;
+  }
 
-  // Solana DEX filters
-  allowedDEXs: ['raydium', 'orca', 'jupiter'],
-  blockedDEXs: [],
+  const paramNames = Object.keys(ruleSet.params);
+  const seenIds = new Set();
 
-  // Market cap estimates for Solana tokens
-  minMarketCapUSD: null,
-  maxMarketCapUSD: null,
+  ruleSet.rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
 
-  // Solana-specific filters
-  minSOLLiquidity: 5, // Minimum SOL in liquidity pool
-  maxSlippage: 5, // Maximum expected slippage %
-};
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+
+    if (typeof rule.id !== 'string' || !/^[a-z0-9_]+$/.test(rule.id)) {
+      errors.push(`${at}.id: must be a snake_case string`);
+    } else if (seenIds.has(rule.id)) {
+      errors.push(`${at}.id: duplicate rule id "${rule.id}"`);
+    } else {
+      seenIds.add(rule.id);
+    }
+
+    if (!RULE_SEVERITIES.includes(rule.severity)) {
+      errors.push(`${at}.severity: must be one of ${RULE_SEVERITIES.join(', ')}`);
+    }
+
+    if (typeof rule.message !== 'string' || rule.message.length === 0) {
+      errors.push(`${at}.message: must be a non-empty string`);
+    }
 
-// Solana-focused token filter class
+    if (rule.observed !== undefined && (typeof rule.observed !== 'string' || !RULE_SCOPE_ROOTS.includes(rule.observed.split('.')[0]))) {
+      errors.push(`${at}.observed: must be a field path starting with one of ${RULE_SCOPE_ROOTS.join(', ')}`);
+    }
+
+    if (rule.threshold && typeof rule.threshold === 'object' && '$param' in rule.threshold && !paramNames.includes(rule.threshold.$param)) {
+      errors.push(`${at}.threshold: unknown parameter "${rule.threshold.$param}"`);
+    }
+
+    errors.push(...validateExpression(rule.assert, { roots: RULE_SCOPE_ROOTS, params: paramNames }, `${at}.assert`));
+  });
+
+  return errors;
+}
+
+// Read and validate a rule file; throws with every problem listed if it is invalid
+function loadRuleSet(rulesPath = DEFAULT_RULES_PATH) {
+  let ruleSet;
+  try {
+    ruleSet = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read filter rules from ${rulesPath}: ${error.message}`);
+  }
+
+  const errors = validateRuleSet(ruleSet);
+  if (errors.length > 0) {
+    throw new Error(`Invalid filter rules in ${rulesPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  lastGoodRuleSets.set(rulesPath, ruleSet);
+  return ruleSet;
+}
+
+// Load a rule file, falling back to the last good version if the file is currently invalid
+function getRuleSet(rulesPath = DEFAULT_RULES_PATH) {
+  try {
+    return loadRuleSet(rulesPath);
+  } catch (error) {
+    const lastGood = lastGoodRuleSets.get(rulesPath);
+    if (!lastGood) throw error;
+    logger.warn(`⚠️ ${error.message}\nUsing last good filter rules (version ${lastGood.version})`);
+    return lastGood;
+  }
+}
+
+// Default thresholds come from the rule file; validated at startup
+const filterConfig = { ...loadRuleSet(DEFAULT_RULES_PATH).params };
+
+// Token filter for one chain (Solana unless options.chainId says otherwise)
 class SolanaTokenFilter {
-  constructor(config = filterConfig) {
-    this.config = config;
-    this.chainId = 'solana';
+  // Effective params are layered: rule file < active profile < runtime `overrides`.
+  // Profile and overrides survive rule file reloads.
+  constructor(overrides = {}, options = {}) {
+    this.chainId = options.chainId || 'solana';
+    this.rulesPath = options.rulesPath || getRulesPath(this.chainId);
+    this.overrides = { ...overrides };
+    this.profile = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.applyRuleSet(getRuleSet(this.rulesPath));
+  }
+
+  rebuildConfig() {
+    this.config = {
+      ...this.ruleSet.params,
+      ...(this.profile ? this.profile.params : {}),
+      ...this.overrides
+    };
+  }
+
+  applyRuleSet(ruleSet) {
+    this.ruleSet = ruleSet;
+    this.rebuildConfig();
+  }
+
+  // Apply a filter_profiles row (or null to go back to the rule file params)
+  setProfile(profile) {
+    this.profile = profile ? { id: profile.id, name: profile.name, params: profile.params || {} } : null;
+    this.rebuildConfig();
+  }
+
+  // Re-read the rule file; an invalid file is rejected and the current rules kept
+  reloadRules() {
+    try {
+      const ruleSet = loadRuleSet(this.rulesPath);
+      this.applyRuleSet(ruleSet);
+      logger.info(`🔄 Filter rules reloaded (version ${ruleSet.version}, ${ruleSet.rules.length} rules)`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ ${error.message}\nKeeping filter rules version ${this.ruleSet.version}`);
+      return false;
+    }
+  }
+
+  // Reload the rules whenever the rule file changes. Watches the directory
+  // so editors that replace the file on save are picked up too.
+  watchRules() {
+    if (this.watcher) return;
+
+    const fileName = path.basename(this.rulesPath);
+    this.watcher = fs.watch(path.dirname(this.rulesPath), (eventType, changedFile) => {
+      if (changedFile && changedFile !== fileName) return;
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reloadRules(), RELOAD_DEBOUNCE_MS);
+    });
+
+    logger.info(`👀 Watching filter rules: ${this.rulesPath}`);
   }
 
-  // Calculate holder distribution for Solana tokens
+  unwatchRules() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  // Calculate holder distribution for Solana tokens from RugCheck's holder payload
+  // (the on-chain equivalent is HolderAnalysisProvider in config/holders.js)
   calculateHolderDistribution(holdersData) {
     if (!holdersData || !holdersData.top) {
-      return { count: 0, topPercentage: 100 };
+      return { source: 'none', count: 0, topPercentage: 100, top10Percentage: 100, top20Percentage: 100 };
     }
     
     const holders = holdersData.top;
     const totalSupply = holdersData.total || 1;
     
-    let topHolderPercentage = 0;
-    if (holders.length > 0) {
-      // For Solana, exclude burn addresses and program accounts
-      const realHolders = holders.filter(holder => 
-        !this.isBurnAddress(holder.address) && 
-        !this.isProgramAccount(holder.address)
-      );
-      
-      if (realHolders.length > 0) {
-        topHolderPercentage = (realHolders[0].balance / totalSupply) * 100;
-      }
-    }
+    // For Solana, exclude burn addresses and program accounts
+    const realHolders = holders.filter(holder => 
+      !this.isBurnAddress(holder.address) && 
+      !this.isProgramAccount(holder.address)
+    );
+    const sharePercentage = (count) => (realHolders.slice(0, count).reduce((sum, holder) => sum + holder.balance, 0) / totalSupply) * 100;
 
     return {
+      source: 'rugcheck',
       count: holdersData.count || holders.length,
-      topPercentage: topHolderPercentage,
+      topPercentage: sharePercentage(1),
+      top10Percentage: sharePercentage(10),
+      top20Percentage: sharePercentage(20),
       distribution: holders.map(holder => ({
         address: holder.address,
         balance: holder.balance,
@@ -126,238 +269,107 @@ class SolanaTokenFilter {
     return (liquidityUSD * 0.5) / solPrice;
   }
 
-  // Main filtering function for Solana tokens
-  async filterToken(pair, rugData = {}) {
-    const filters = [];
-    
-    // Basic validation
-    if (!pair || !pair.pairAddress) {
-      return { passed: false, reason: 'Invalid pair data', filters: ['validation'] };
-    }
-
-    // Ensure this is a Solana token
-    if (pair.chainId !== 'solana') {
-      return { 
-        passed: false, 
-        reason: `Non-Solana token detected: ${pair.chainId}`,
-        filters: ['chain_mismatch'] 
-      };
-    }
-
-    // Age filters
-    const now = Date.now();
+  // Derived metrics the rule file can reference as metrics.*
+  // totalLiquidityUSD is the liquidity of the mint across all its pools (defaults to this pool's)
+  buildContext(pair, rugData, now, { totalLiquidityUSD } = {}) {
     const tokenAge = now - (pair.pairCreatedAt || now);
-    const tokenAgeHours = tokenAge / (1000 * 60 * 60);
-    const tokenAgeMinutes = tokenAge / (1000 * 60);
-
-    if (tokenAgeHours > this.config.maxTokenAgeHours) {
-      filters.push('age_max');
-      return { 
-        passed: false, 
-        reason: `Token too old: ${tokenAgeHours.toFixed(1)} hours (max: ${this.config.maxTokenAgeHours})`,
-        filters 
-      };
-    }
-
-    if (tokenAgeMinutes < this.config.minTokenAgeMinutes) {
-      filters.push('age_min');
-      return { 
-        passed: false, 
-        reason: `Token too new: ${tokenAgeMinutes.toFixed(1)} minutes (min: ${this.config.minTokenAgeMinutes})`,
-        filters 
-      };
-    }
-
-    // DEX filters - Solana specific
-    if (this.config.blockedDEXs.includes(pair.dexId)) {
-      filters.push('dex_blocked');
-      return { 
-        passed: false, 
-        reason: `DEX blocked: ${pair.dexId}`,
-        filters 
-      };
-    }
-
-    if (this.config.allowedDEXs && !this.config.allowedDEXs.includes(pair.dexId)) {
-      filters.push('dex_allowed');
-      return { 
-        passed: false, 
-        reason: `DEX not allowed: ${pair.dexId} (allowed: ${this.config.allowedDEXs.join(', ')})`,
-        filters 
-      };
-    }
-
-    // Volume filters
     const volume24h = pair.volume?.h24 || 0;
-    
-    if (volume24h < this.config.minVolume24h) {
-      filters.push('volume_min');
-      return { 
-        passed: false, 
-        reason: `Volume too low: $${volume24h.toLocaleString()} (min: $${this.config.minVolume24h.toLocaleString()})`,
-        filters 
-      };
-    }
-
-    if (this.config.maxVolume24h && volume24h > this.config.maxVolume24h) {
-      filters.push('volume_max');
-      return { 
-        passed: false, 
-        reason: `Volume too high: $${volume24h.toLocaleString()} (max: $${this.config.maxVolume24h.toLocaleString()})`,
-        filters 
-      };
-    }
-
-    // Liquidity filters (USD)
-    const liquidityUSD = pair.liquidity?.usd || 0;
-    
-    if (liquidityUSD < this.config.minLiquidity) {
-      filters.push('liquidity_min');
-      return { 
-        passed: false, 
-        reason: `Liquidity too low: $${liquidityUSD.toLocaleString()} (min: $${this.config.minLiquidity.toLocaleString()})`,
-        filters 
-      };
-    }
+    // On-chain holder analysis and replays pass precomputed holder stats ({ count, topPercentage,
+    // top10Percentage, top20Percentage }) instead of the raw holder list
+    const holderData = rugData.holderData || this.calculateHolderDistribution(rugData.holders);
 
-    if (this.config.maxLiquidity && liquidityUSD > this.config.maxLiquidity) {
-      filters.push('liquidity_max');
-      return { 
-        passed: false, 
-        reason: `Liquidity too high: $${liquidityUSD.toLocaleString()} (max: $${this.config.maxLiquidity.toLocaleString()})`,
-        filters 
-      };
-    }
-
-    // SOL liquidity filter
-    const solLiquidity = this.getSOLLiquidity(pair);
-    if (solLiquidity < this.config.minSOLLiquidity) {
-      filters.push('sol_liquidity');
-      return { 
-        passed: false, 
-        reason: `SOL liquidity too low: ${solLiquidity.toFixed(2)} SOL (min: ${this.config.minSOLLiquidity})`,
-        filters 
-      };
-    }
-
-    // Price change filters
-    const priceChange24h = pair.priceChange?.h24 || 0;
-    
-    if (this.config.maxPriceChange24h && priceChange24h > this.config.maxPriceChange24h) {
-      filters.push('price_change_max');
-      return { 
-        passed: false, 
-        reason: `Price pump too high: ${priceChange24h.toFixed(2)}% (max: ${this.config.maxPriceChange24h}%)`,
-        filters 
-      };
-    }
+    return {
+      holderData,
+      scope: {
+        pair,
+        rugData,
+        metrics: {
+          tokenAgeHours: tokenAge / (1000 * 60 * 60),
+          tokenAgeMinutes: tokenAge / (1000 * 60),
+          volume24h,
+          liquidityUSD: pair.liquidity?.usd || 0,
+          totalLiquidityUSD: totalLiquidityUSD ?? (pair.liquidity?.usd || 0),
+          solLiquidity: this.getSOLLiquidity(pair),
+          priceChange24h: pair.priceChange?.h24 || 0,
+          holdersCount: holderData.count,
+          topHolderPercentage: holderData.topPercentage,
+          top10HolderPercentage: holderData.top10Percentage,
+          top20HolderPercentage: holderData.top20Percentage,
+          rugScore: rugData.score || 0,
+          risks: rugData.risks || [],
+          netTraders: Math.floor(volume24h / 50), // Lower divisor for Solana
+          // Token-2022 extension names and transfer fee from the mint account read over RPC
+          mintExtensions: Object.keys(rugData.mintAccount?.extensions || {}),
+          transferFeeBps: getTransferFeeBasisPoints(rugData.mintAccount),
+          estimatedMarketCap: this.estimateMarketCap(pair)
+        }
+      }
+    };
+  }
 
-    if (this.config.minPriceChange24h && priceChange24h < this.config.minPriceChange24h) {
-      filters.push('price_change_min');
-      return { 
-        passed: false, 
-        reason: `Price dump too low: ${priceChange24h.toFixed(2)}% (min: ${this.config.minPriceChange24h}%)`,
-        filters 
-      };
-    }
+  // Main filtering function for Solana tokens.
+  // By default this stops at the first failing rule (the fast path used by scans).
+  // With { evaluateAll: true } every rule runs and `filters` lists all failures.
+  // Either way `report` holds one entry per evaluated rule.
+  async filterToken(pair, rugData = {}, options = {}) {
+    const { evaluateAll = false, now = Date.now(), totalLiquidityUSD } = options;
+    const { rules } = this.ruleSet;
+    const config = this.config;
 
-    // Holder distribution analysis
-    const holderData = this.calculateHolderDistribution(rugData.holders);
-    
-    if (holderData.count < this.config.minHolders) {
-      filters.push('holders_min');
-      return { 
-        passed: false, 
-        reason: `Not enough holders: ${holderData.count} (min: ${this.config.minHolders})`,
-        filters 
+    // Basic validation - nothing else can be evaluated without a pair
+    if (!pair || !pair.pairAddress) {
+      return {
+        passed: false,
+        reason: 'Invalid pair data',
+        observed: null,
+        threshold: null,
+        filters: ['validation'],
+        report: [{ rule: 'validation', passed: false, observed: null, threshold: null, severity: 'critical' }]
       };
     }
 
-    if (holderData.topPercentage > this.config.maxTopHolderPercentage) {
-      filters.push('holder_concentration');
-      return { 
-        passed: false, 
-        reason: `Top holder owns too much: ${holderData.topPercentage.toFixed(2)}% (max: ${this.config.maxTopHolderPercentage}%)`,
-        filters 
-      };
-    }
+    const { holderData, scope } = this.buildContext(pair, rugData, now, { totalLiquidityUSD });
+    const report = [];
+    let firstFailure = null;
 
-    // Rug score filter
-    const rugScore = rugData.score || 0;
-    if (rugScore > this.config.maxRugScore) {
-      filters.push('rug_score');
-      return { 
-        passed: false, 
-        reason: `Rug score too high: ${rugScore}/10 (max: ${this.config.maxRugScore})`,
-        filters 
-      };
-    }
+    for (const rule of rules) {
+      const threshold = rule.threshold === undefined ? null : resolveOperand(rule.threshold, scope, config);
 
-    // Solana-specific risk type filters
-    const risks = rugData.risks || [];
-    const blockedRisks = risks.filter(risk => this.config.blockedRiskTypes.includes(risk));
-    if (blockedRisks.length > 0) {
-      filters.push('risk_types');
-      return { 
-        passed: false, 
-        reason: `Blocked risk types: ${blockedRisks.join(', ')}`,
-        filters 
-      };
-    }
+      // A rule whose threshold parameter is unset is not applicable
+      if (rule.threshold !== undefined && (threshold === null || threshold === undefined)) {
+        report.push({ rule: rule.id, passed: true, skipped: true, observed: null, threshold: null, severity: rule.severity });
+        continue;
+      }
 
-    // Net traders estimation (more accurate for Solana's fast/cheap transactions)
-    const netTraders = Math.floor(volume24h / 50); // Lower divisor for Solana
-    if (netTraders < this.config.minNetTraders) {
-      filters.push('net_traders');
-      return { 
-        passed: false, 
-        reason: `Not enough estimated traders: ${netTraders} (min: ${this.config.minNetTraders})`,
-        filters 
+      const observed = rule.observed ? resolvePath(scope, rule.observed) : null;
+      const passed = evaluateExpression(rule.assert, scope, config);
+      const entry = {
+        rule: rule.id,
+        passed,
+        observed: observed ?? null,
+        threshold,
+        severity: rule.severity
       };
-    }
 
-    // Market cap filters
-    if (this.config.minMarketCapUSD || this.config.maxMarketCapUSD) {
-      const estimatedMarketCap = this.estimateMarketCap(pair);
-      
-      if (this.config.minMarketCapUSD && estimatedMarketCap < this.config.minMarketCapUSD) {
-        filters.push('market_cap_min');
-        return { 
-          passed: false, 
-          reason: `Market cap too low: ~$${estimatedMarketCap.toLocaleString()} (min: $${this.config.minMarketCapUSD.toLocaleString()})`,
-          filters 
-        };
+      if (!passed) {
+        entry.reason = formatMessage(rule.message, { observed: entry.observed, threshold });
       }
+      report.push(entry);
 
-      if (this.config.maxMarketCapUSD && estimatedMarketCap > this.config.maxMarketCapUSD) {
-        filters.push('market_cap_max');
-        return { 
-          passed: false, 
-          reason: `Market cap too high: ~$${estimatedMarketCap.toLocaleString()} (max: $${this.config.maxMarketCapUSD.toLocaleString()})`,
-          filters 
-        };
+      if (!passed && !firstFailure) {
+        firstFailure = entry;
+        if (!evaluateAll) break;
       }
     }
 
-    // Solana-specific additional checks
-    
-    // Check for freeze authority (common Solana rug vector)
-    if (rugData.freezeAuthority && rugData.freezeAuthority !== null) {
-      filters.push('freeze_authority');
-      return { 
-        passed: false, 
-        reason: `Token has freeze authority: ${rugData.freezeAuthority}`,
-        filters 
-      };
-    }
-
-    // Check mint authority (another Solana rug vector)
-    if (rugData.mintAuthority && rugData.mintAuthority !== null) {
-      filters.push('mint_authority');
-      return { 
-        passed: false, 
-        reason: `Token has mint authority: ${rugData.mintAuthority}`,
-        filters 
+    if (firstFailure) {
+      return {
+        passed: false,
+        reason: firstFailure.reason,
+        observed: firstFailure.observed,
+        threshold: firstFailure.threshold,
+        filters: report.filter(entry => !entry.passed).map(entry => entry.rule),
+        report
       };
     }
 
@@ -365,20 +377,33 @@ class SolanaTokenFilter {
     return { 
       passed: true, 
       holderData,
-      netTraders,
-      rugScore,
-      risks,
-      solLiquidity,
-      estimatedMarketCap: this.estimateMarketCap(pair),
-      filters: []
+      netTraders: scope.metrics.netTraders,
+      rugScore: scope.metrics.rugScore,
+      risks: scope.metrics.risks,
+      solLiquidity: scope.metrics.solLiquidity,
+      estimatedMarketCap: scope.metrics.estimatedMarketCap,
+      filters: [],
+      report
     };
   }
 
+  // Run every rule and return the full report
+  async evaluateToken(pair, rugData = {}, options = {}) {
+    return this.filterToken(pair, rugData, { ...options, evaluateAll: true });
+  }
+
   // Get filter statistics
   getFilterStats() {
     return {
       config: this.config,
       chainId: this.chainId,
+      rules: {
+        path: this.rulesPath,
+        version: this.ruleSet.version,
+        count: this.ruleSet.rules.length,
+        overrides: this.overrides
+      },
+      profile: this.profile ? this.profile.name : null,
       summary: {
         minHolders: this.config.minHolders,
         maxTopHolder: `${this.config.maxTopHolderPercentage}%`,
@@ -391,9 +416,10 @@ class SolanaTokenFilter {
     };
   }
 
-  // Update configuration at runtime
+  // Update configuration at runtime (kept on top of the rule file across reloads)
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    this.overrides = { ...this.overrides, ...newConfig };
+    this.rebuildConfig();
   }
 
   // Get current configuration
@@ -405,5 +431,10 @@ class SolanaTokenFilter {
 // Export Solana-focused filter configuration and class
 module.exports = {
   filterConfig,
+  DEFAULT_RULES_PATH,
+  getRulesPath,
+  validateRuleSet,
+  loadRuleSet,
+  getRuleSet,
   SolanaTokenFilter
-};
\ No newline at end of file
+};
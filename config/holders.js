@@ -0,0 +1,83 @@
+// config/holders.js - On-chain holder analysis from the largest token accounts of a mint
+const { logger } = require('./logging');
+const { decodeTokenAccount } = require('./solanaRpc');
+
+// Pool authorities that own the token vaults of AMM pools. Vaults owned by the pool account
+// itself (CLMMs, Orca Whirlpools, Meteora) are caught by passing the mint's pool addresses.
+const KNOWN_LP_AUTHORITIES = {
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': 'Raydium AMM v4',
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL': 'Raydium CPMM'
+};
+
+// Share of `supply` held by `amount`, in percent (both raw u64 amounts as BigInt), to 2 decimals
+const percentageOf = (amount, supply) => (supply > 0n ? Number((amount * 10000n) / supply) / 100 : 0);
+
+// Holder concentration from getTokenLargestAccounts (the 20 largest token accounts) and the
+// mint supply. Token accounts are resolved to their owners, and owners that are LP vaults,
+// burn/incinerator addresses or program accounts (see SolanaTokenFilter) are left out.
+class HolderAnalysisProvider {
+  constructor({ rpc, filter, lpAuthorities = KNOWN_LP_AUTHORITIES }) {
+    this.rpc = rpc;
+    this.filter = filter;
+    this.lpAuthorities = lpAuthorities;
+  }
+
+  // Why an owner is left out of the holder stats ('lp', 'burn', 'program'), or null for a real holder
+  classifyOwner(owner, poolAddresses) {
+    if (this.lpAuthorities[owner] || poolAddresses.has(owner)) return 'lp';
+    if (this.filter.isBurnAddress(owner)) return 'burn';
+    if (this.filter.isProgramAccount(owner)) return 'program';
+    return null;
+  }
+
+  // `supply` is the raw mint supply (string), e.g. from SolanaRpcClient.getMint.
+  // The largest accounts say nothing about the total number of holders, so count is null;
+  // largestHolderCount is the number of real holders among them (at most 20).
+  async analyze(mintAddress, { supply, poolAddresses = [] }) {
+    const totalSupply = BigInt(supply);
+    const largestAccounts = (await this.rpc.getTokenLargestAccounts(mintAddress)).filter(account => BigInt(account.amount) > 0n);
+    const accounts = await this.rpc.getMultipleAccounts(largestAccounts.map(account => account.address));
+    const pools = new Set(poolAddresses);
+
+    // One owner can hold several token accounts of the mint
+    const balances = new Map();
+    largestAccounts.forEach((account, index) => {
+      let owner = account.address;
+      if (accounts[index]) {
+        try {
+          owner = decodeTokenAccount(accounts[index].data, accounts[index].owner).owner;
+        } catch (error) {
+          logger.warn(`Could not decode token account ${account.address} of ${mintAddress}:`, error.message);
+        }
+      }
+      balances.set(owner, (balances.get(owner) || 0n) + BigInt(account.amount));
+    });
+
+    const distribution = [...balances]
+      .map(([address, balance]) => ({ address, balance, excluded: this.classifyOwner(address, pools) }))
+      .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+    const realHolders = distribution.filter(holder => !holder.excluded);
+    const share = (count) => percentageOf(realHolders.slice(0, count).reduce((sum, holder) => sum + holder.balance, 0n), totalSupply);
+
+    return {
+      source: 'rpc-largest',
+      count: null,
+      largestHolderCount: realHolders.length,
+      topPercentage: share(1),
+      top10Percentage: share(10),
+      top20Percentage: share(20),
+      excludedPercentage: percentageOf(distribution.filter(holder => holder.excluded).reduce((sum, holder) => sum + holder.balance, 0n), totalSupply),
+      distribution: distribution.map(holder => ({
+        address: holder.address,
+        balance: holder.balance.toString(),
+        percentage: percentageOf(holder.balance, totalSupply),
+        excluded: holder.excluded
+      }))
+    };
+  }
+}
+
+module.exports = {
+  KNOWN_LP_AUTHORITIES,
+  HolderAnalysisProvider
+};
@@ -2,33 +2,80 @@
 require('dotenv').config();
 
 // Import Solana-specific configuration modules
-const { pool, dbConfig, testConnection, closeDatabase } = require('./database');
+const { pool, dbConfig, testConnection, withTransaction, closeDatabase } = require('./database');
 const { 
   apiConfig, 
   dexScreenerAPI, 
   rugCheckAPI, 
   dexScreenerRateLimiter, 
   rugCheckRateLimiter,
+  solanaRpcRateLimiter,
   sleep,
   retryRequest,
   RateLimiter 
 } = require('./api');
-const { filterConfig, SolanaTokenFilter } = require('./filter');
+const { filterConfig, DEFAULT_RULES_PATH, getRulesPath, validateRuleSet, loadRuleSet, getRuleSet, SolanaTokenFilter } = require('./filter');
 const {
+  chains,
+  DEFAULT_CHAIN,
   solanaConfig,
   solanaDEXs,
+  getSupportedChains,
+  isSupportedChain,
+  getMonitoredChains,
   getChainConfig,
   getDEXConfig,
   getSupportedDEXs,
   getDEXsByPriority,
   getStablecoinAddress,
   getWrappedSOLAddress,
+  getWrappedNativeAddress,
   isStablecoin,
   getChainDisplayInfo,
   getDEXTrustScore,
   validateDEX
 } = require('./chains');
 const { Logger, logger, loggingConfig } = require('./logging');
+const { Pipeline, BoundedQueue } = require('./pipeline');
+const { evaluateExpression, validateExpression, formatMessage, resolvePath } = require('./rules');
+const profiles = require('./profiles');
+const backtest = require('./backtest');
+const notifiers = require('./notifiers');
+const webhooks = require('./webhooks');
+const alerts = require('./alerts');
+const alertRules = require('./alertRules');
+const watchlists = require('./watchlists');
+const events = require('./events');
+const tokenStatus = require('./status');
+const rugDetector = require('./rugDetector');
+const dexes = require('./dexes');
+const solanaRpc = require('./solanaRpc');
+const holders = require('./holders');
+
+// Parse "maxAgeHours:staleAfterMinutes" pairs, e.g. "1:5,6:15,24:30"
+const parseStalenessWindows = (value) => {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [maxAgeHours, staleAfterMinutes] = entry.split(':').map(Number);
+      return { maxAgeHours, staleAfterMinutes };
+    })
+    .sort((a, b) => a.maxAgeHours - b.maxAgeHours);
+};
+
+// Optional setting: unset, empty and the literal "null" (used in .env.example) all mean not configured
+const optionalEnv = (name) => {
+  const value = process.env[name];
+  return value === undefined || value === '' || value === 'null' ? null : value;
+};
+
+// Numeric setting where 0 is a meaningful value (parseInt(...) || default would discard it)
+const numberEnv = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : defaultValue;
+};
 
 // Solana-focused application configuration
 const appConfig = {
@@ -37,13 +84,50 @@ const appConfig = {
   port: parseInt(process.env.PORT) || 3000,
   debug: process.env.DEBUG === 'true',
 
+  // One monitor instance per chain in MONITOR_CHAINS (default: solana); each has its
+  // own rule file, filter profiles, scans and jobs
+  monitorChains: getMonitoredChains(),
+
   // Monitoring settings optimized for Solana
   scanInterval: parseInt(process.env.SCAN_INTERVAL_MINUTES) || 3, // Faster scanning for Solana
   maxTokensPerScan: parseInt(process.env.MAX_TOKENS_PER_SCAN) || 150, // Higher throughput
+
+  // Scan pipeline workers per stage (API stages are still paced by their rate limiters)
+  pipeline: {
+    rugCheckConcurrency: parseInt(process.env.PIPELINE_RUGCHECK_CONCURRENCY) || 5,
+    filterConcurrency: parseInt(process.env.PIPELINE_FILTER_CONCURRENCY) || 10,
+    queueSize: parseInt(process.env.PIPELINE_QUEUE_SIZE) || 20
+  },
+
+  // Passed tokens are upserted in multi-row batches of this size
+  bulkUpsertSize: parseInt(process.env.BULK_UPSERT_SIZE) || 50,
+
+  // How long a saved token stays fresh (not re-processed), by pair age.
+  // Younger pairs move faster, so they are refreshed more often.
+  stalenessWindows: parseStalenessWindows(process.env.STALENESS_WINDOWS || '1:5,6:15,24:30'),
+  defaultStalenessMinutes: parseInt(process.env.STALENESS_DEFAULT_MINUTES) || 60,
+
+  // Saved active tokens that are past their staleness window are re-fetched by pair
+  // address on this schedule, so they keep updating after leaving the latest-pairs feed
+  tokenRefreshIntervalMinutes: parseInt(process.env.TOKEN_REFRESH_INTERVAL_MINUTES) || 10,
+  tokenRefreshBatchSize: parseInt(process.env.TOKEN_REFRESH_BATCH_SIZE) || 150,
+
+  // The API marks tokens whose market data is older than this as stale
+  tokenStaleAfterMinutes: parseInt(process.env.TOKEN_STALE_AFTER_MINUTES) || 60,
+
+  // Watched pairs are re-fetched on their own, faster schedule (regardless of token age)
+  watchlistIntervalSeconds: parseInt(process.env.WATCHLIST_INTERVAL_SECONDS) || 60,
+
+  // Live events (GET /api/stream) are kept this long so clients can resume after a disconnect
+  eventRetentionHours: numberEnv('EVENT_RETENTION_HOURS', 24),
   
   // Solana-specific settings
   solanaCluster: process.env.SOLANA_CLUSTER || 'mainnet-beta',
   solanaRpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  // Read each mint account over RPC so authorities do not depend on RugCheck alone
+  verifyMintOnChain: process.env.VERIFY_MINT_ON_CHAIN !== 'false',
+  // Holder concentration from the mint's largest token accounts instead of RugCheck's holder list
+  holderAnalysisOnChain: process.env.HOLDER_ANALYSIS_ON_CHAIN !== 'false',
   
   // CORS settings
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -52,26 +136,46 @@ const appConfig = {
   apiRateLimit: parseInt(process.env.API_RATE_LIMIT_REQUESTS_PER_MINUTE) || 100,
   
   // Notification settings
-  webhookUrl: process.env.WEBHOOK_URL || null,
-  webhookSecret: process.env.WEBHOOK_SECRET || null,
+  webhookUrl: optionalEnv('WEBHOOK_URL'),
+  webhookSecret: optionalEnv('WEBHOOK_SECRET'),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000, // doubles per attempt
+  webhookRetryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000,
+  webhookRetryIntervalMs: parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 15000, // how often due retries are sent
+  notifierTimeoutMs: parseInt(process.env.NOTIFIER_TIMEOUT_MS) || 10000,
+
+  // Alert deduplication: one alert per pair and rule per cooldown, then only
+  // re-alert when the re-alert metric has improved by the given percentage (0 = always)
+  alertCooldownMinutes: numberEnv('ALERT_COOLDOWN_MINUTES', 60),
+  alertRealertImprovementPct: numberEnv('ALERT_REALERT_IMPROVEMENT_PCT', 25),
+  alertRealertMetric: process.env.ALERT_REALERT_METRIC || 'volume24h',
+
+  // Automatic rug detection after each scheduled scan: a batch of active/flagged tokens is
+  // re-checked; liquidity collapse -> rug, pair missing N checks in a row -> delisted,
+  // mint/freeze authority reappearing or a new blocked RugCheck risk -> flagged
+  rugDetectionEnabled: process.env.RUG_DETECTION_ENABLED !== 'false',
+  rugDetectionBatchSize: parseInt(process.env.RUG_DETECTION_BATCH_SIZE) || 50,
+  rugLiquidityDropPct: numberEnv('RUG_LIQUIDITY_DROP_PCT', 80),
+  rugMissingChecks: parseInt(process.env.RUG_MISSING_CHECKS) || 3,
   
   // Discord webhook for Solana alerts
-  discordWebhookUrl: process.env.DISCORD_WEBHOOK_URL || null,
+  discordWebhookUrl: optionalEnv('DISCORD_WEBHOOK_URL'),
   
-  // Telegram settings for Solana alerts
-  telegramBotToken: process.env.TELEGRAM_BOT_TOKEN || null,
-  telegramChatId: process.env.TELEGRAM_CHAT_ID || null,
+  // Telegram settings for Solana alerts (API URL is overridable for local testing)
+  telegramBotToken: optionalEnv('TELEGRAM_BOT_TOKEN'),
+  telegramChatId: optionalEnv('TELEGRAM_CHAT_ID'),
+  telegramApiUrl: optionalEnv('TELEGRAM_API_URL') || 'https://api.telegram.org',
   
   // Email settings
-  smtpHost: process.env.SMTP_HOST || null,
+  smtpHost: optionalEnv('SMTP_HOST'),
   smtpPort: parseInt(process.env.SMTP_PORT) || 587,
-  smtpUser: process.env.SMTP_USER || null,
-  smtpPass: process.env.SMTP_PASS || null,
-  emailFrom: process.env.EMAIL_FROM || null,
-  emailTo: process.env.EMAIL_TO || null,
+  smtpSecure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : parseInt(process.env.SMTP_PORT) === 465,
+  smtpUser: optionalEnv('SMTP_USER'),
+  smtpPass: optionalEnv('SMTP_PASS'),
+  emailFrom: optionalEnv('EMAIL_FROM'),
+  emailTo: optionalEnv('EMAIL_TO'),
 
   // Solana-specific monitoring preferences
-  priorityDEXs: filterConfig.allowedDEXs, // Use allowedDEXs as default priority
   monitorMemecoins: process.env.MONITOR_MEMECOINS !== 'false',
   monitorNewListings: process.env.MONITOR_NEW_LISTINGS !== 'false',
 };
@@ -88,13 +192,19 @@ const validateConfig = () => {
     }
   });
   
-  // Validate Solana DEXs
-  const supportedDEXs = getSupportedDEXs();
-  const allowedDEXs = filterConfig.allowedDEXs;
-  const invalidDEXs = allowedDEXs.filter(dex => !supportedDEXs.includes(dex));
-  if (invalidDEXs.length > 0) {
-    errors.push(`Invalid DEXs in ALLOWED_DEXS: ${invalidDEXs.join(', ')}. Supported: ${supportedDEXs.join(', ')}`);
+  // Validate monitored chains and load each chain's rule file (DEXs live in the dexes table)
+  const unknownChains = appConfig.monitorChains.filter(chainId => !isSupportedChain(chainId));
+  if (appConfig.monitorChains.length === 0 || unknownChains.length > 0) {
+    errors.push(`Invalid MONITOR_CHAINS: ${unknownChains.join(', ') || '(empty)'}. Supported: ${getSupportedChains().join(', ')}`);
   }
+
+  appConfig.monitorChains.filter(isSupportedChain).forEach(chainId => {
+    try {
+      getRuleSet(getRulesPath(chainId));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
   
   // Validate numeric values
   if (appConfig.port < 1 || appConfig.port > 65535) {
@@ -104,6 +214,56 @@ const validateConfig = () => {
   if (appConfig.scanInterval < 1) {
     errors.push('SCAN_INTERVAL_MINUTES must be at least 1');
   }
+
+  if (appConfig.tokenRefreshIntervalMinutes < 1 || appConfig.tokenRefreshBatchSize < 1 || appConfig.tokenStaleAfterMinutes < 1) {
+    errors.push('TOKEN_REFRESH_INTERVAL_MINUTES, TOKEN_REFRESH_BATCH_SIZE and TOKEN_STALE_AFTER_MINUTES must be at least 1');
+  }
+
+  // The refresh job runs on a "*/N * * * *" cron step, which only counts within the hour
+  if (appConfig.tokenRefreshIntervalMinutes > 59) {
+    errors.push('TOKEN_REFRESH_INTERVAL_MINUTES must be at most 59');
+  }
+
+  Object.entries(appConfig.pipeline).forEach(([key, value]) => {
+    if (value < 1) {
+      errors.push(`Pipeline setting ${key} must be at least 1`);
+    }
+  });
+
+  if (appConfig.bulkUpsertSize < 1) {
+    errors.push('BULK_UPSERT_SIZE must be at least 1');
+  }
+
+  const invalidWindows = appConfig.stalenessWindows.filter(window =>
+    !(window.maxAgeHours > 0) || !(window.staleAfterMinutes > 0)
+  );
+  if (invalidWindows.length > 0) {
+    errors.push('STALENESS_WINDOWS must be a list of positive "maxAgeHours:staleAfterMinutes" pairs, e.g. 1:5,6:15,24:30');
+  }
+  
+  if (appConfig.watchlistIntervalSeconds < 10) {
+    errors.push('WATCHLIST_INTERVAL_SECONDS must be at least 10');
+  }
+
+  if (!(appConfig.eventRetentionHours > 0)) {
+    errors.push('EVENT_RETENTION_HOURS must be greater than 0');
+  }
+
+  if (appConfig.alertCooldownMinutes < 0 || appConfig.alertRealertImprovementPct < 0) {
+    errors.push('ALERT_COOLDOWN_MINUTES and ALERT_REALERT_IMPROVEMENT_PCT must not be negative');
+  }
+
+  if (!(appConfig.rugLiquidityDropPct > 0 && appConfig.rugLiquidityDropPct <= 100)) {
+    errors.push('RUG_LIQUIDITY_DROP_PCT must be between 0 (exclusive) and 100');
+  }
+
+  if (appConfig.rugDetectionBatchSize < 1 || appConfig.rugMissingChecks < 1) {
+    errors.push('RUG_DETECTION_BATCH_SIZE and RUG_MISSING_CHECKS must be at least 1');
+  }
+
+  if (!alerts.ALERT_METRICS.includes(appConfig.alertRealertMetric)) {
+    errors.push(`Invalid ALERT_REALERT_METRIC: ${appConfig.alertRealertMetric}. Valid options: ${alerts.ALERT_METRICS.join(', ')}`);
+  }
   
   if (filterConfig.minHolders < 1) {
     errors.push('MIN_HOLDERS must be at least 1');
@@ -143,12 +303,14 @@ const initializeConfig = async () => {
     nodeEnv: appConfig.nodeEnv,
     port: appConfig.port,
     blockchain: 'Solana',
+    monitorChains: appConfig.monitorChains,
     cluster: appConfig.solanaCluster,
     rpcUrl: appConfig.solanaRpcUrl,
-    supportedDEXs: getSupportedDEXs(),
-    priorityDEXs: appConfig.priorityDEXs,
     scanInterval: `${appConfig.scanInterval} minutes`,
     maxTokensPerScan: appConfig.maxTokensPerScan,
+    pipeline: appConfig.pipeline,
+    stalenessWindows: appConfig.stalenessWindows,
+    tokenRefresh: `${appConfig.tokenRefreshBatchSize} tokens every ${appConfig.tokenRefreshIntervalMinutes} minutes`,
     logLevel: loggingConfig.level,
     dbHost: dbConfig.host,
     dbName: dbConfig.database,
@@ -248,6 +410,7 @@ module.exports = {
     pool,
     config: dbConfig,
     testConnection,
+    withTransaction,
     closeDatabase
   },
   
@@ -258,7 +421,8 @@ module.exports = {
     rugCheck: rugCheckAPI,
     rateLimiters: {
       dexScreener: dexScreenerRateLimiter,
-      rugCheck: rugCheckRateLimiter
+      rugCheck: rugCheckRateLimiter,
+      solanaRpc: solanaRpcRateLimiter
     },
     utils: {
       sleep,
@@ -270,7 +434,14 @@ module.exports = {
   // Solana-specific filtering
   filters: {
     config: filterConfig,
-    SolanaTokenFilter
+    rulesPath: DEFAULT_RULES_PATH,
+    getRulesPath,
+    validateRuleSet,
+    loadRuleSet,
+    getRuleSet,
+    SolanaTokenFilter,
+    profiles,
+    backtest
   },
   
   // Solana chain and DEX configuration
@@ -288,6 +459,72 @@ module.exports = {
     getDEXTrustScore,
     validateDEX
   },
+
+  // Chain registry (Solana, Base, BSC): DEXs, native currency and explorer per chain
+  chains: {
+    registry: chains,
+    defaultChain: DEFAULT_CHAIN,
+    getSupportedChains,
+    isSupportedChain,
+    getMonitoredChains,
+    getChainConfig,
+    getDEXConfig,
+    getSupportedDEXs,
+    getDEXsByPriority,
+    getStablecoinAddress,
+    getWrappedNativeAddress,
+    isStablecoin,
+    getChainDisplayInfo,
+    getDEXTrustScore,
+    validateDEX
+  },
+  
+  // Declarative rule expressions
+  rules: {
+    evaluateExpression,
+    validateExpression,
+    formatMessage,
+    resolvePath
+  },
+  
+  // Scan processing pipeline
+  pipeline: {
+    Pipeline,
+    BoundedQueue
+  },
+  
+  // Alert notification channels
+  notifiers,
+  
+  // Signed webhook delivery and its delivery log
+  webhooks,
+  
+  // Alert cooldowns, alert history and user-defined alert rules
+  alerts: {
+    ...alerts,
+    rules: alertRules
+  },
+  
+  // Watchlists and their change detection
+  watchlists,
+
+  // Live event log and LISTEN/NOTIFY stream
+  events,
+
+  // Token status changes and their audit trail
+  tokenStatus,
+
+  // Automatic rug/delisting detection for saved tokens
+  rugDetector,
+
+  // DEX registry (dexes table) and DEX discovery
+  dexes,
+
+  // Solana RPC client and SPL / Token-2022 mint decoding
+  solanaRpc,
+
+  // On-chain holder concentration (largest token accounts)
+  holders,
   
   // Logging
   logging: {
@@ -0,0 +1,276 @@
+// config/notifiers.js - Alert notification channels (Discord, Telegram, email, webhook)
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logging');
+const { createWebhookDispatcher } = require('./webhooks');
+
+// Channel names registered by createNotifiers()
+const CHANNEL_NAMES = ['webhook', 'discord', 'telegram', 'email'];
+
+// Discord embed colours
+const DISCORD_COLORS = {
+  up: 0x14f195,   // Solana green
+  down: 0xff4d4d,
+  neutral: 0x9945ff // Solana purple
+};
+
+const formatUSD = (value) => `$${Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const formatPercent = (value) => `${Number(value || 0) >= 0 ? '+' : ''}${Number(value || 0).toFixed(2)}%`;
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Plain-text lines shared by the text-based channels
+function alertLines(alertData) {
+  return [
+    // Alerts from user-defined rules carry the rule name and message
+    ...(alertData.rule ? [`Rule: ${alertData.rule} - ${alertData.message}`] : []),
+    `DEX: ${alertData.dexName || alertData.dex}`,
+    `Price: $${alertData.price} (${alertData.priceSOL} ${alertData.nativeCurrency || 'SOL'})`,
+    `24h change: ${formatPercent(alertData.priceChange24h)}`,
+    `24h volume: ${formatUSD(alertData.volume24h)}`,
+    `Liquidity: ${formatUSD(alertData.liquidity)} (${Number(alertData.solLiquidity || 0).toFixed(2)} ${alertData.nativeCurrency || 'SOL'})`,
+    `Holders: ${alertData.holders ?? 'n/a'} (top holder ${Number(alertData.topHolderPerc || 0).toFixed(2)}%)`,
+    `Rug score: ${alertData.rugScore ?? 'n/a'}/10`,
+    `Risks: ${alertData.risks && alertData.risks.length > 0 ? alertData.risks.join(', ') : 'none'}`,
+    `Token: ${alertData.tokenAddress}`,
+    `Pair: ${alertData.pairAddress}`
+  ];
+}
+
+// Discord webhook with a rich embed
+class DiscordNotifier {
+  constructor({ webhookUrl, timeoutMs = 10000 }) {
+    this.name = 'discord';
+    this.webhookUrl = webhookUrl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.webhookUrl);
+  }
+
+  format(alertData) {
+    const change = Number(alertData.priceChange24h || 0);
+    return {
+      username: 'Solana Token Monitor',
+      embeds: [{
+        title: `🚨 ${alertData.symbol} - ${alertData.name}`,
+        url: alertData.dexscreenerUrl,
+        description: alertData.rule ? `**${alertData.rule}**: ${alertData.message}` : undefined,
+        color: change > 0 ? DISCORD_COLORS.up : change < 0 ? DISCORD_COLORS.down : DISCORD_COLORS.neutral,
+        fields: [
+          { name: 'Price', value: `$${alertData.price}\n${alertData.priceSOL} ${alertData.nativeCurrency || 'SOL'}`, inline: true },
+          { name: '24h Change', value: formatPercent(change), inline: true },
+          { name: 'DEX', value: alertData.dexName || alertData.dex, inline: true },
+          { name: '24h Volume', value: formatUSD(alertData.volume24h), inline: true },
+          { name: 'Liquidity', value: `${formatUSD(alertData.liquidity)}\n${Number(alertData.solLiquidity || 0).toFixed(2)} ${alertData.nativeCurrency || 'SOL'}`, inline: true },
+          { name: 'Holders', value: `${alertData.holders ?? 'n/a'} (top ${Number(alertData.topHolderPerc || 0).toFixed(2)}%)`, inline: true },
+          { name: 'Rug Score', value: `${alertData.rugScore ?? 'n/a'}/10`, inline: true },
+          { name: 'Risks', value: alertData.risks && alertData.risks.length > 0 ? alertData.risks.join(', ') : 'none', inline: true },
+          { name: 'Token', value: `\`${alertData.tokenAddress}\`` }
+        ],
+        footer: { text: `Pair ${alertData.pairAddress}` },
+        timestamp: alertData.timestamp
+      }]
+    };
+  }
+
+  async send(alertData) {
+    await axios.post(this.webhookUrl, this.format(alertData), { timeout: this.timeoutMs });
+  }
+}
+
+// Telegram Bot API sendMessage with HTML formatting
+class TelegramNotifier {
+  constructor({ botToken, chatId, apiUrl = 'https://api.telegram.org', timeoutMs = 10000 }) {
+    this.name = 'telegram';
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.botToken && this.chatId);
+  }
+
+  format(alertData) {
+    const lines = alertLines(alertData).map(escapeHTML);
+    return {
+      chat_id: this.chatId,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      text: [
+        `🚨 <b>${escapeHTML(alertData.symbol)}</b> - ${escapeHTML(alertData.name)}`,
+        '',
+        ...lines,
+        '',
+        `<a href="${escapeHTML(alertData.dexscreenerUrl)}">View on DexScreener</a>`
+      ].join('\n')
+    };
+  }
+
+  async send(alertData) {
+    const response = await axios.post(
+      `${this.apiUrl}/bot${this.botToken}/sendMessage`,
+      this.format(alertData),
+      { timeout: this.timeoutMs }
+    );
+
+    // The Bot API reports some failures with HTTP 200 and ok: false
+    if (response.data && response.data.ok === false) {
+      throw new Error(`Telegram API error: ${response.data.description || 'unknown error'}`);
+    }
+  }
+}
+
+// SMTP email via nodemailer
+class EmailNotifier {
+  constructor({ host, port = 587, secure = false, user = null, pass = null, from, to, timeoutMs = 10000 }) {
+    this.name = 'email';
+    this.from = from;
+    this.to = to;
+    this.host = host;
+    this.transport = host
+      ? nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+        connectionTimeout: timeoutMs,
+        greetingTimeout: timeoutMs,
+        socketTimeout: timeoutMs
+      })
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.transport && this.from && this.to);
+  }
+
+  format(alertData) {
+    const lines = alertLines(alertData);
+    return {
+      from: this.from,
+      to: this.to,
+      subject: `🚨 Solana alert: ${alertData.symbol} (${formatUSD(alertData.liquidity)} liquidity)`,
+      text: [`${alertData.symbol} - ${alertData.name}`, '', ...lines, '', alertData.dexscreenerUrl].join('\n'),
+      html: [
+        `<h2>${escapeHTML(alertData.symbol)} - ${escapeHTML(alertData.name)}</h2>`,
+        '<ul>',
+        ...lines.map(line => `<li>${escapeHTML(line)}</li>`),
+        '</ul>',
+        `<p><a href="${escapeHTML(alertData.dexscreenerUrl)}">View on DexScreener</a></p>`
+      ].join('\n')
+    };
+  }
+
+  async send(alertData) {
+    await this.transport.sendMail(this.format(alertData));
+  }
+}
+
+// Generic JSON webhook (WEBHOOK_URL), signed and retried by the WebhookDispatcher
+class WebhookNotifier {
+  constructor({ dispatcher }) {
+    this.name = 'webhook';
+    this.dispatcher = dispatcher;
+  }
+
+  isConfigured() {
+    return this.dispatcher.isConfigured();
+  }
+
+  // The dispatcher wraps this in { id, type, created_at, data }
+  format(alertData) {
+    return alertData;
+  }
+
+  async send(alertData) {
+    const delivery = await this.dispatcher.dispatch('solana_token_alert', this.format(alertData));
+    if (delivery.status !== 'delivered') {
+      throw new Error(`delivery ${delivery.id} ${delivery.status === 'pending' ? 'will be retried' : 'failed'}: ${delivery.last_error}`);
+    }
+    return { deliveryId: delivery.id };
+  }
+}
+
+// Holds the available channels and fans an alert out to the configured ones
+class NotifierRegistry {
+  constructor() {
+    this.notifiers = new Map();
+  }
+
+  register(notifier) {
+    this.notifiers.set(notifier.name, notifier);
+    return this;
+  }
+
+  get(name) {
+    return this.notifiers.get(name) || null;
+  }
+
+  // Names of channels that have the settings they need
+  configuredChannels() {
+    return [...this.notifiers.values()].filter(notifier => notifier.isConfigured()).map(notifier => notifier.name);
+  }
+
+  // Send to every configured channel (or only `channels`); one failing channel never blocks the others
+  async notify(alertData, { channels = null } = {}) {
+    const targets = [...this.notifiers.values()].filter(notifier =>
+      notifier.isConfigured() && (!channels || channels.includes(notifier.name))
+    );
+
+    const settled = await Promise.allSettled(targets.map(notifier => notifier.send(alertData)));
+
+    return settled.map((outcome, index) => {
+      const channel = targets[index].name;
+      if (outcome.status === 'rejected') {
+        logger.warn(`⚠️ ${channel} notification failed for ${alertData.symbol}:`, outcome.reason.message);
+        return { channel, ok: false, error: outcome.reason.message };
+      }
+      logger.debug(`📣 ${channel} notification sent for ${alertData.symbol}`);
+      return { channel, ok: true, ...(outcome.value || {}) };
+    });
+  }
+}
+
+// Build the registry from appConfig; pass `webhookDispatcher` to share one with a retry loop
+function createNotifiers(config, { webhookDispatcher = createWebhookDispatcher(config) } = {}) {
+  const timeoutMs = config.notifierTimeoutMs;
+
+  return new NotifierRegistry()
+    .register(new WebhookNotifier({ dispatcher: webhookDispatcher }))
+    .register(new DiscordNotifier({ webhookUrl: config.discordWebhookUrl, timeoutMs }))
+    .register(new TelegramNotifier({
+      botToken: config.telegramBotToken,
+      chatId: config.telegramChatId,
+      apiUrl: config.telegramApiUrl,
+      timeoutMs
+    }))
+    .register(new EmailNotifier({
+      host: config.smtpHost,
+      port: config.smtpPort,
+      secure: config.smtpSecure,
+      user: config.smtpUser,
+      pass: config.smtpPass,
+      from: config.emailFrom,
+      to: config.emailTo,
+      timeoutMs
+    }));
+}
+
+module.exports = {
+  CHANNEL_NAMES,
+  DiscordNotifier,
+  TelegramNotifier,
+  EmailNotifier,
+  WebhookNotifier,
+  NotifierRegistry,
+  createNotifiers
+};
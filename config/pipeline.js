@@ -0,0 +1,166 @@
+// config/pipeline.js - Bounded, multi-stage worker pipeline for scan processing
+
+// Marker returned by BoundedQueue.take() once the queue is closed and drained
+const DONE = Symbol('pipeline.done');
+
+// FIFO queue with a fixed capacity: put() waits while full, take() waits while empty
+class BoundedQueue {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.items = [];
+    this.closed = false;
+    this.waitingTakers = [];
+    this.waitingPutters = [];
+  }
+
+  async put(item) {
+    while (this.items.length >= this.capacity) {
+      await new Promise(resolve => this.waitingPutters.push(resolve));
+    }
+
+    this.items.push(item);
+    const taker = this.waitingTakers.shift();
+    if (taker) taker();
+  }
+
+  async take() {
+    while (this.items.length === 0) {
+      if (this.closed) return DONE;
+      await new Promise(resolve => this.waitingTakers.push(resolve));
+    }
+
+    const item = this.items.shift();
+    const putter = this.waitingPutters.shift();
+    if (putter) putter();
+    return item;
+  }
+
+  // No more items will be put; wake idle takers so they can finish
+  close() {
+    this.closed = true;
+    this.waitingTakers.splice(0).forEach(resolve => resolve());
+  }
+}
+
+// Runs items through a list of stages, each with its own worker count.
+// Stages are connected by bounded queues, so a slow stage (e.g. a rate-limited
+// API call) holds back the stages in front of it instead of buffering everything.
+//
+// A stage handler receives an item and returns the value for the next stage;
+// returning null/undefined drops the item. Values returned by the last stage
+// are collected into `results`.
+class Pipeline {
+  constructor(stages, options = {}) {
+    this.stages = stages.map(stage => ({
+      name: stage.name,
+      handler: stage.handler,
+      concurrency: Math.max(1, stage.concurrency || 1)
+    }));
+    this.queueSize = options.queueSize || 50;
+    this.onError = options.onError || (() => {});
+  }
+
+  createTiming(stage) {
+    return {
+      concurrency: stage.concurrency,
+      processed: 0,
+      passed: 0,
+      dropped: 0,
+      errors: 0,
+      busyMs: 0,
+      maxMs: 0,
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  async runWorker(stage, timing, input, output, results) {
+    for (;;) {
+      const item = await input.take();
+      if (item === DONE) return;
+
+      const startTime = Date.now();
+      if (timing.startedAt === null) timing.startedAt = startTime;
+
+      let value;
+      try {
+        value = await stage.handler(item);
+      } catch (error) {
+        timing.errors++;
+        this.onError(error, item, stage.name);
+        continue;
+      } finally {
+        const elapsed = Date.now() - startTime;
+        timing.processed++;
+        timing.busyMs += elapsed;
+        timing.maxMs = Math.max(timing.maxMs, elapsed);
+        timing.finishedAt = Date.now();
+      }
+
+      if (value === null || value === undefined) {
+        timing.dropped++;
+        continue;
+      }
+
+      timing.passed++;
+      if (output) {
+        await output.put(value);
+      } else {
+        results.push(value);
+      }
+    }
+  }
+
+  async run(items) {
+    const queues = this.stages.map(() => new BoundedQueue(this.queueSize));
+    const timings = this.stages.map(stage => this.createTiming(stage));
+    const results = [];
+    const startTime = Date.now();
+
+    const feed = (async () => {
+      for (const item of items) {
+        await queues[0].put(item);
+      }
+      queues[0].close();
+    })();
+
+    const stageRuns = this.stages.map(async (stage, index) => {
+      const input = queues[index];
+      const output = queues[index + 1] || null;
+
+      const workers = [];
+      for (let i = 0; i < stage.concurrency; i++) {
+        workers.push(this.runWorker(stage, timings[index], input, output, results));
+      }
+
+      await Promise.all(workers);
+      if (output) output.close();
+    });
+
+    await Promise.all([feed, ...stageRuns]);
+
+    return {
+      results,
+      durationMs: Date.now() - startTime,
+      stages: this.stages.reduce((summary, stage, index) => {
+        const timing = timings[index];
+        summary[stage.name] = {
+          concurrency: timing.concurrency,
+          processed: timing.processed,
+          passed: timing.passed,
+          dropped: timing.dropped,
+          errors: timing.errors,
+          avgMs: timing.processed > 0 ? Math.round(timing.busyMs / timing.processed) : 0,
+          maxMs: timing.maxMs,
+          wallMs: timing.startedAt !== null ? timing.finishedAt - timing.startedAt : 0
+        };
+        return summary;
+      }, {})
+    };
+  }
+}
+
+module.exports = {
+  Pipeline,
+  BoundedQueue
+};
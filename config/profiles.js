@@ -0,0 +1,214 @@
+// config/profiles.js - Named filter profiles stored in the database
+const { pool, withTransaction } = require('./database');
+const { filterConfig } = require('./filter');
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+
+function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    return ['name must be 1-100 lowercase letters, digits, "-" or "_"'];
+  }
+  return [];
+}
+
+// Profile params override rule-file params, so every key must be a known param of a compatible type
+function validateProfileParams(params, baseParams = filterConfig) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return ['params must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (!(key in baseParams)) {
+      errors.push(`params.${key}: unknown filter parameter`);
+      continue;
+    }
+
+    const baseValue = baseParams[key];
+    if (value === null) continue;
+
+    if (Array.isArray(baseValue) || (baseValue === null && Array.isArray(value))) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        errors.push(`params.${key}: must be a list of strings or null`);
+      }
+    } else if (typeof baseValue === 'string') {
+      if (typeof value !== 'string') errors.push(`params.${key}: must be a string`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`params.${key}: must be a number or null`);
+    }
+  }
+
+  return errors;
+}
+
+async function recordChange(client, profile, action, actor, changes = null) {
+  await client.query(`
+    INSERT INTO filter_profile_changes (profile_id, chain_id, profile_name, action, actor, changes)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    action === 'delete' ? null : profile.id,
+    profile.chain_id,
+    profile.name,
+    action,
+    actor,
+    changes ? JSON.stringify(changes) : null
+  ]);
+}
+
+async function listProfiles(chainId = 'solana') {
+  const result = await pool.query(
+    'SELECT * FROM filter_profiles WHERE chain_id = $1 ORDER BY is_active DESC, name ASC',
+    [chainId]
+  );
+  return result.rows;
+}
+
+async function getProfile(name, chainId = 'solana') {
+  const result = await pool.query(
+    'SELECT * FROM filter_profiles WHERE name = $1 AND chain_id = $2',
+    [name, chainId]
+  );
+  return result.rows[0] || null;
+}
+
+// The active profile, or null when the rule file defaults are in use
+async function getActiveProfile(chainId = 'solana') {
+  const result = await pool.query(
+    'SELECT * FROM filter_profiles WHERE chain_id = $1 AND is_active',
+    [chainId]
+  );
+  return result.rows[0] || null;
+}
+
+async function createProfile({ name, description = null, params = {} }, actor, chainId = 'solana') {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO filter_profiles (chain_id, name, description, params, created_by, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $5)
+      RETURNING *
+    `, [chainId, name, description, JSON.stringify(params), actor]);
+
+    const profile = result.rows[0];
+    await recordChange(client, profile, 'create', actor, { after: { description, params } });
+    return profile;
+  });
+}
+
+// Update description and/or params; returns null if the profile does not exist
+async function updateProfile(name, { description, params }, actor, chainId = 'solana') {
+  return withTransaction(async (client) => {
+    const current = await client.query(
+      'SELECT * FROM filter_profiles WHERE name = $1 AND chain_id = $2 FOR UPDATE',
+      [name, chainId]
+    );
+    if (current.rows.length === 0) return null;
+
+    const before = current.rows[0];
+    const next = {
+      description: description === undefined ? before.description : description,
+      params: params === undefined ? before.params : params
+    };
+
+    const result = await client.query(`
+      UPDATE filter_profiles
+      SET description = $1, params = $2, updated_by = $3
+      WHERE id = $4
+      RETURNING *
+    `, [next.description, JSON.stringify(next.params), actor, before.id]);
+
+    const profile = result.rows[0];
+    await recordChange(client, profile, 'update', actor, {
+      before: { description: before.description, params: before.params },
+      after: next
+    });
+    return profile;
+  });
+}
+
+// Delete a profile; returns null if it does not exist
+async function deleteProfile(name, actor, chainId = 'solana') {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      'DELETE FROM filter_profiles WHERE name = $1 AND chain_id = $2 RETURNING *',
+      [name, chainId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const profile = result.rows[0];
+    await recordChange(client, profile, 'delete', actor, {
+      before: { description: profile.description, params: profile.params, isActive: profile.is_active }
+    });
+    return profile;
+  });
+}
+
+// Make `name` the active profile (null clears it, falling back to the rule file).
+// Returns the new active profile, or undefined if `name` does not exist.
+async function activateProfile(name, actor, chainId = 'solana') {
+  return withTransaction(async (client) => {
+    let target = null;
+    if (name !== null) {
+      const result = await client.query(
+        'SELECT * FROM filter_profiles WHERE name = $1 AND chain_id = $2 FOR UPDATE',
+        [name, chainId]
+      );
+      if (result.rows.length === 0) return undefined;
+      target = result.rows[0];
+      if (target.is_active) return target;
+    }
+
+    const previous = await client.query(`
+      UPDATE filter_profiles SET is_active = FALSE, updated_by = $2
+      WHERE chain_id = $1 AND is_active
+      RETURNING *
+    `, [chainId, actor]);
+    const previousName = previous.rows[0] ? previous.rows[0].name : null;
+
+    if (previous.rows[0]) {
+      await recordChange(client, previous.rows[0], 'deactivate', actor, { activated: name });
+    }
+
+    if (!target) return null;
+
+    const result = await client.query(
+      'UPDATE filter_profiles SET is_active = TRUE, updated_by = $2 WHERE id = $1 RETURNING *',
+      [target.id, actor]
+    );
+    await recordChange(client, result.rows[0], 'activate', actor, { previous: previousName });
+    return result.rows[0];
+  });
+}
+
+async function getProfileChanges({ chainId = 'solana', profile = null, limit = 50, offset = 0 } = {}) {
+  const params = [chainId];
+  let whereClause = 'WHERE chain_id = $1';
+
+  if (profile) {
+    params.push(profile);
+    whereClause += ` AND profile_name = $${params.length}`;
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM filter_profile_changes
+    ${whereClause}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM filter_profile_changes ${whereClause}`, params);
+
+  return { changes: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+module.exports = {
+  validateProfileName,
+  validateProfileParams,
+  listProfiles,
+  getProfile,
+  getActiveProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  activateProfile,
+  getProfileChanges
+};
@@ -0,0 +1,226 @@
+// config/rugDetector.js - Automatic rug detection for saved tokens
+const { pool } = require('./database');
+const { logger } = require('./logging');
+const { changeTokenStatus } = require('./status');
+
+// Status each trigger moves a token to; the trigger code is stored as the status change reason
+const RUG_TRIGGERS = {
+  liquidity_collapse: 'rug',
+  pair_missing: 'delisted',
+  authority_reenabled: 'flagged',
+  blocked_risk: 'flagged'
+};
+
+// When several triggers fire at once the most severe status wins
+const STATUS_SEVERITY = ['rug', 'delisted', 'flagged'];
+
+// Statuses the detector still watches
+const WATCHED_STATUSES = ['active', 'flagged'];
+
+const AUTO_STATUS_ACTOR = 'rug-detector';
+
+// Compare a token's last known values with fresh DexScreener/RugCheck data.
+// `previous` holds { liquidityUsd, freezeAuthority, mintAuthority, risks, missingChecks };
+// `pair` is null when DexScreener did not return the pair, `rugData` null when RugCheck was not consulted.
+// Returns { triggers, missingChecks }.
+function detectTriggers(previous, { pair, rugData }, { liquidityDropPct, missingChecks: missingThreshold, blockedRisks = [] }) {
+  const triggers = [];
+  const add = (code, message, details) => triggers.push({ code, status: RUG_TRIGGERS[code], message, details });
+
+  if (!pair) {
+    const missingChecks = previous.missingChecks + 1;
+    if (missingChecks >= missingThreshold) {
+      add('pair_missing', `Pair missing from DexScreener for ${missingChecks} consecutive checks`, { missingChecks });
+    }
+    return { triggers, missingChecks };
+  }
+
+  const previousLiquidity = parseFloat(previous.liquidityUsd) || 0;
+  const liquidity = pair.liquidity?.usd || 0;
+  if (previousLiquidity > 0) {
+    const dropPct = ((previousLiquidity - liquidity) / previousLiquidity) * 100;
+    if (dropPct >= liquidityDropPct) {
+      add('liquidity_collapse', `Liquidity fell ${dropPct.toFixed(1)}% ($${previousLiquidity.toFixed(2)} -> $${liquidity.toFixed(2)})`, {
+        previousLiquidityUsd: previousLiquidity,
+        liquidityUsd: liquidity,
+        dropPct
+      });
+    }
+  }
+
+  // Authorities count once the mint account or RugCheck confirmed them
+  if (rugData && rugData.authorityVerified) {
+    for (const [field, label] of [['mintAuthority', 'Mint'], ['freezeAuthority', 'Freeze']]) {
+      if (!previous[field] && rugData[field]) {
+        add('authority_reenabled', `${label} authority reappeared: ${rugData[field]}`, { authority: field, value: rugData[field] });
+      }
+    }
+  }
+
+  if (rugData && !rugData.dataUnavailable) {
+    const knownRisks = new Set(previous.risks || []);
+    const newBlocked = (rugData.risks || []).filter(risk => blockedRisks.includes(risk) && !knownRisks.has(risk));
+    if (newBlocked.length > 0) {
+      add('blocked_risk', `New blocked RugCheck risks: ${newBlocked.join(', ')}`, { risks: newBlocked });
+    }
+  }
+
+  return { triggers, missingChecks: 0 };
+}
+
+function mostSevereStatus(triggers) {
+  return STATUS_SEVERITY.find(status => triggers.some(trigger => trigger.status === status)) || null;
+}
+
+// Re-checks saved active and flagged tokens against DexScreener and RugCheck, a
+// batch per pass (least recently checked first), and moves them to rug/delisted/flagged
+// through changeTokenStatus when a trigger fires. Each transition is alerted through
+// the alert manager as rule "auto_<status>".
+class RugDetector {
+  constructor({ alertManager, fetchPairs, checkRugScore, chainId = 'solana', batchSize = 50, liquidityDropPct = 80, missingChecks = 3 }) {
+    this.alertManager = alertManager;
+    this.fetchPairs = fetchPairs;
+    this.checkRugScore = checkRugScore;
+    this.chainId = chainId;
+    this.batchSize = batchSize;
+    this.liquidityDropPct = liquidityDropPct;
+    this.missingChecks = missingChecks;
+  }
+
+  // Tokens to check with what was last seen: the detector's own check, or the
+  // pair row when there is none (new token, or a scan saved it since - see forgetChecks)
+  async getTokensToCheck() {
+    const result = await pool.query(`
+      SELECT
+        t.*,
+        c.missing_checks,
+        CASE WHEN c.token_id IS NULL THEN t.liquidity_usd ELSE c.liquidity_usd END AS previous_liquidity_usd,
+        CASE WHEN c.token_id IS NULL THEN t.freeze_authority ELSE c.freeze_authority END AS previous_freeze_authority,
+        CASE WHEN c.token_id IS NULL THEN t.mint_authority ELSE c.mint_authority END AS previous_mint_authority,
+        CASE WHEN c.token_id IS NULL THEN t.rug_risks ELSE c.risks END AS previous_risks
+      FROM pair_details t
+      LEFT JOIN token_rug_checks c ON c.token_id = t.id
+      WHERE t.chain_id = $1 AND t.status = ANY($2)
+      ORDER BY COALESCE(c.checked_at, t.updated_at) ASC, t.id ASC
+      LIMIT $3
+    `, [this.chainId, WATCHED_STATUSES, this.batchSize]);
+    return result.rows;
+  }
+
+  // A scan just saved these tokens, so their rows are newer than the detector's last check
+  async forgetChecks(tokenIds) {
+    if (tokenIds.length === 0) return;
+    await pool.query('DELETE FROM token_rug_checks WHERE token_id = ANY($1)', [tokenIds]);
+  }
+
+  async saveCheck(token, { pair, rugData, missingChecks }) {
+    const rugAvailable = rugData && !rugData.dataUnavailable;
+    const authorityAvailable = rugData && rugData.authorityVerified;
+
+    // Keep the last seen values when the pair or RugCheck data is unavailable
+    await pool.query(`
+      INSERT INTO token_rug_checks (token_id, liquidity_usd, freeze_authority, mint_authority, risks, missing_checks, checked_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      ON CONFLICT (token_id) DO UPDATE SET
+        liquidity_usd = EXCLUDED.liquidity_usd,
+        freeze_authority = EXCLUDED.freeze_authority,
+        mint_authority = EXCLUDED.mint_authority,
+        risks = EXCLUDED.risks,
+        missing_checks = EXCLUDED.missing_checks,
+        checked_at = EXCLUDED.checked_at
+    `, [
+      token.id,
+      pair ? (pair.liquidity?.usd || 0) : token.previous_liquidity_usd,
+      authorityAvailable ? rugData.freezeAuthority : token.previous_freeze_authority,
+      authorityAvailable ? rugData.mintAuthority : token.previous_mint_authority,
+      rugAvailable ? rugData.risks : token.previous_risks,
+      missingChecks
+    ]);
+  }
+
+  // One detection pass; `toAlertData(token, pair, rugData)` builds the alert payload.
+  // Returns { checked, missing, changed }.
+  async run({ blockedRisks = [], toAlertData }) {
+    const tokens = await this.getTokensToCheck();
+    if (tokens.length === 0) return { checked: 0, missing: 0, changed: 0 };
+
+    // A DexScreener failure aborts the pass so outages never count as missing pairs
+    const pairs = await this.fetchPairs(tokens.map(token => token.pair_address));
+
+    let missing = 0;
+    let changed = 0;
+
+    for (const token of tokens) {
+      const pair = pairs.get(token.pair_address) || null;
+      const rugData = pair ? await this.checkRugScore(token.base_token_address) : null;
+      if (!pair) missing++;
+
+      const { triggers, missingChecks } = detectTriggers({
+        liquidityUsd: token.previous_liquidity_usd,
+        freezeAuthority: token.previous_freeze_authority,
+        mintAuthority: token.previous_mint_authority,
+        risks: token.previous_risks,
+        missingChecks: token.missing_checks || 0
+      }, { pair, rugData }, {
+        liquidityDropPct: this.liquidityDropPct,
+        missingChecks: this.missingChecks,
+        blockedRisks
+      });
+
+      const status = mostSevereStatus(triggers);
+      let transitioned = false;
+
+      if (status) {
+        try {
+          const result = await changeTokenStatus([token.pair_address], status, {
+            reason: triggers.map(trigger => trigger.code).join(','),
+            note: triggers.map(trigger => trigger.message).join('; '),
+            actor: AUTO_STATUS_ACTOR,
+            source: 'auto',
+            chainId: this.chainId
+          });
+          transitioned = result.updated.length > 0;
+        } catch (error) {
+          logger.error(`Failed to set ${token.base_token_symbol} to ${status}:`, error.message);
+        }
+      }
+
+      if (transitioned) {
+        changed++;
+        logger.warn(`🚩 ${token.base_token_symbol} (${token.pair_address}) ${token.status} -> ${status}: ${triggers.map(trigger => trigger.message).join('; ')}`);
+        await this.alertTransition(token, status, triggers, toAlertData(token, pair, rugData));
+      }
+
+      // A delisted pair starts counting again if someone sets it back to active
+      await this.saveCheck(token, { pair, rugData, missingChecks: transitioned && status === 'delisted' ? 0 : missingChecks });
+    }
+
+    return { checked: tokens.length, missing, changed };
+  }
+
+  async alertTransition(token, status, triggers, alertData) {
+    const rule = `auto_${status}`;
+    const message = `${token.status} -> ${status}: ${triggers.map(trigger => trigger.message).join('; ')}`;
+
+    try {
+      // A status only changes once, so no cooldown is needed
+      await this.alertManager.fire({
+        tokenId: token.id,
+        rule,
+        alertData: { ...alertData, rule, message, previousStatus: token.status, status, triggers },
+        cooldownMinutes: 0,
+        realertImprovementPct: 0
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Auto status alert for ${token.pair_address} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  RUG_TRIGGERS,
+  AUTO_STATUS_ACTOR,
+  detectTriggers,
+  mostSevereStatus,
+  RugDetector
+};
@@ -0,0 +1,172 @@
+// config/rules.js - Small expression vocabulary for declarative rule files
+//
+// An expression is one of:
+//   { "all": [expr, ...] }   every sub-expression is true
+//   { "any": [expr, ...] }   at least one sub-expression is true
+//   { "not": expr }          negation
+//   { "field": "pair.liquidity.usd", "op": ">=", "value": 100 }
+//
+// Operands ("value") may be literals, { "$param": "name" } to read a rule-set
+// parameter, or { "$field": "path" } to compare against another field.
+
+const COMPARISON_OPS = ['<', '<=', '>', '>=', '==', '!=', 'in', 'not_in', 'exists', 'contains_any', 'contains_none'];
+const NUMERIC_OPS = ['<', '<=', '>', '>='];
+const LIST_OPS = ['in', 'not_in', 'contains_any', 'contains_none'];
+
+// Read a dotted path ("pair.liquidity.usd") from the evaluation scope
+function resolvePath(scope, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope);
+}
+
+function isOperandRef(value, key) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && key in value;
+}
+
+// Resolve an operand to its value
+function resolveOperand(value, scope, params) {
+  if (isOperandRef(value, '$param')) return params[value.$param];
+  if (isOperandRef(value, '$field')) return resolvePath(scope, value.$field);
+  return value;
+}
+
+function compare(op, left, right) {
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case 'in': return right.includes(left);
+    case 'not_in': return !right.includes(left);
+    case 'contains_any': return (left || []).some(item => right.includes(item));
+    case 'contains_none': return !(left || []).some(item => right.includes(item));
+    default: throw new Error(`Unknown operator: ${op}`);
+  }
+}
+
+// Evaluate an expression against a scope ({ pair, rugData, metrics, ... })
+function evaluateExpression(expression, scope, params = {}) {
+  if ('all' in expression) {
+    return expression.all.every(child => evaluateExpression(child, scope, params));
+  }
+
+  if ('any' in expression) {
+    return expression.any.some(child => evaluateExpression(child, scope, params));
+  }
+
+  if ('not' in expression) {
+    return !evaluateExpression(expression.not, scope, params);
+  }
+
+  const left = resolvePath(scope, expression.field);
+
+  if (expression.op === 'exists') {
+    const present = left !== null && left !== undefined && left !== '';
+    return present === (expression.value !== false);
+  }
+
+  const right = resolveOperand(expression.value, scope, params);
+
+  // Missing values never satisfy an ordering or list comparison
+  if (NUMERIC_OPS.includes(expression.op) && (typeof left !== 'number' || typeof right !== 'number')) {
+    return false;
+  }
+
+  if (LIST_OPS.includes(expression.op) && !Array.isArray(right)) {
+    return false;
+  }
+
+  return compare(expression.op, left, right);
+}
+
+// Collect structural errors in an expression; returns [] when it is valid.
+// `roots` limits which top-level scope names a field path may start with,
+// `params` is the set of parameter names a { "$param" } operand may reference.
+function validateExpression(expression, { roots = null, params = null } = {}, path = 'expression') {
+  const errors = [];
+
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    return [`${path}: must be an object`];
+  }
+
+  const checkFieldPath = (fieldPath, at) => {
+    if (typeof fieldPath !== 'string' || fieldPath.length === 0) {
+      errors.push(`${at}: field must be a non-empty string`);
+    } else if (roots && !roots.includes(fieldPath.split('.')[0])) {
+      errors.push(`${at}: field "${fieldPath}" must start with one of ${roots.join(', ')}`);
+    }
+  };
+
+  for (const combinator of ['all', 'any']) {
+    if (combinator in expression) {
+      if (!Array.isArray(expression[combinator]) || expression[combinator].length === 0) {
+        return [`${path}.${combinator}: must be a non-empty array`];
+      }
+      expression[combinator].forEach((child, index) => {
+        errors.push(...validateExpression(child, { roots, params }, `${path}.${combinator}[${index}]`));
+      });
+      return errors;
+    }
+  }
+
+  if ('not' in expression) {
+    return validateExpression(expression.not, { roots, params }, `${path}.not`);
+  }
+
+  checkFieldPath(expression.field, `${path}.field`);
+
+  if (!COMPARISON_OPS.includes(expression.op)) {
+    errors.push(`${path}.op: unknown operator "${expression.op}" (expected one of ${COMPARISON_OPS.join(', ')})`);
+    return errors;
+  }
+
+  const { value } = expression;
+  if (expression.op === 'exists') {
+    if (value !== undefined && typeof value !== 'boolean') {
+      errors.push(`${path}.value: exists takes true or false`);
+    }
+  } else if (value === undefined) {
+    errors.push(`${path}.value: required for operator "${expression.op}"`);
+  } else if (isOperandRef(value, '$param')) {
+    if (params && !params.includes(value.$param)) {
+      errors.push(`${path}.value: unknown parameter "${value.$param}"`);
+    }
+  } else if (isOperandRef(value, '$field')) {
+    checkFieldPath(value.$field, `${path}.value.$field`);
+  } else if (LIST_OPS.includes(expression.op) && !Array.isArray(value)) {
+    errors.push(`${path}.value: operator "${expression.op}" needs a list`);
+  } else if (NUMERIC_OPS.includes(expression.op) && typeof value !== 'number') {
+    errors.push(`${path}.value: operator "${expression.op}" needs a number`);
+  }
+
+  return errors;
+}
+
+// Value formatters usable in message templates: "{observed|fixed2}"
+const FORMATTERS = {
+  fixed1: value => Number(value).toFixed(1),
+  fixed2: value => Number(value).toFixed(2),
+  number: value => Number(value).toLocaleString(),
+  list: value => (Array.isArray(value) ? value.join(', ') : String(value))
+};
+
+// Fill "{name}" / "{name|formatter}" placeholders from values
+function formatMessage(template, values) {
+  return template.replace(/\{(\w+)(?:\|(\w+))?\}/g, (match, name, formatter) => {
+    const value = values[name];
+    if (value === null || value === undefined) return String(value);
+    if (formatter && FORMATTERS[formatter]) return FORMATTERS[formatter](value);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+module.exports = {
+  COMPARISON_OPS,
+  FORMATTERS,
+  resolvePath,
+  resolveOperand,
+  evaluateExpression,
+  validateExpression,
+  formatMessage
+};
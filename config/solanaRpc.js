@@ -0,0 +1,239 @@
+// config/solanaRpc.js - Solana JSON-RPC client that reads and decodes SPL Token / Token-2022 mint and token accounts
+const axios = require('axios');
+const { apiConfig, solanaRpcRateLimiter, retryRequest } = require('./api');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const TOKEN_PROGRAMS = {
+  [TOKEN_PROGRAM_ID]: 'spl-token',
+  [TOKEN_2022_PROGRAM_ID]: 'token-2022'
+};
+
+// Mint layout: mint authority (COption<Pubkey>), supply (u64), decimals (u8),
+// is_initialized (bool), freeze authority (COption<Pubkey>)
+const MINT_SIZE = 82;
+
+// Token-2022 mints with extensions are padded to the token account size (165 bytes),
+// followed by the account type and the extensions as type/length/value entries
+const ACCOUNT_TYPE_OFFSET = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+// getMultipleAccounts accepts at most 100 addresses per request
+const MAX_MULTIPLE_ACCOUNTS = 100;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function encodeBase58(bytes) {
+  let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  // Each leading zero byte is a leading "1"
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
+
+// COption<Pubkey>: a u32 tag (0 = None, 1 = Some) and 32 bytes
+const readOptionalPubkey = (data, offset) => (data.readUInt32LE(offset) === 1 ? encodeBase58(data.subarray(offset + 4, offset + 36)) : null);
+
+// OptionalNonZeroPubkey (Token-2022 extensions): all zero bytes mean None
+const readNonZeroPubkey = (data, offset) => {
+  const bytes = data.subarray(offset, offset + 32);
+  return bytes.every(byte => byte === 0) ? null : encodeBase58(bytes);
+};
+
+const readTransferFee = (data, offset) => ({
+  epoch: data.readBigUInt64LE(offset).toString(),
+  maximumFee: data.readBigUInt64LE(offset + 8).toString(),
+  transferFeeBasisPoints: data.readUInt16LE(offset + 16)
+});
+
+const ACCOUNT_STATES = ['uninitialized', 'initialized', 'frozen'];
+
+// Token-2022 mint extensions by ExtensionType id: [name, decoder]. Extensions without a
+// decoder are reported by name only. Account-only types (2, 5, 7, 8, 11, 13, 15, 17, 27)
+// never appear on a mint.
+const MINT_EXTENSIONS = {
+  1: ['transferFeeConfig', value => ({
+    transferFeeConfigAuthority: readNonZeroPubkey(value, 0),
+    withdrawWithheldAuthority: readNonZeroPubkey(value, 32),
+    withheldAmount: value.readBigUInt64LE(64).toString(),
+    olderTransferFee: readTransferFee(value, 72),
+    newerTransferFee: readTransferFee(value, 90)
+  })],
+  3: ['mintCloseAuthority', value => ({ closeAuthority: readNonZeroPubkey(value, 0) })],
+  4: ['confidentialTransferMint'],
+  6: ['defaultAccountState', value => ({ state: ACCOUNT_STATES[value[0]] || String(value[0]) })],
+  9: ['nonTransferable'],
+  10: ['interestBearingConfig', value => ({ rateAuthority: readNonZeroPubkey(value, 0), currentRate: value.readInt16LE(50) })],
+  12: ['permanentDelegate', value => ({ delegate: readNonZeroPubkey(value, 0) })],
+  14: ['transferHook', value => ({ authority: readNonZeroPubkey(value, 0), programId: readNonZeroPubkey(value, 32) })],
+  16: ['confidentialTransferFeeConfig'],
+  18: ['metadataPointer', value => ({ authority: readNonZeroPubkey(value, 0), metadataAddress: readNonZeroPubkey(value, 32) })],
+  19: ['tokenMetadata'],
+  20: ['groupPointer'],
+  21: ['tokenGroup'],
+  22: ['groupMemberPointer'],
+  23: ['tokenGroupMember'],
+  24: ['confidentialMintBurn'],
+  25: ['scaledUiAmount'],
+  26: ['pausable', value => ({ authority: readNonZeroPubkey(value, 0), paused: value[32] === 1 })]
+};
+
+// Extensions of a Token-2022 mint, keyed by name ({} when it has none)
+function decodeMintExtensions(data) {
+  const extensions = {};
+  if (data.length <= ACCOUNT_TYPE_OFFSET) return extensions;
+
+  if (data[ACCOUNT_TYPE_OFFSET] !== ACCOUNT_TYPE_MINT) {
+    throw new Error('Token-2022 account is not a mint');
+  }
+
+  let offset = ACCOUNT_TYPE_OFFSET + 1;
+  while (offset + 4 <= data.length) {
+    const type = data.readUInt16LE(offset);
+    const length = data.readUInt16LE(offset + 2);
+    if (type === 0) break; // uninitialized space after the last extension
+
+    const value = data.subarray(offset + 4, offset + 4 + length);
+    if (value.length < length) {
+      throw new Error(`Extension ${type} is truncated`);
+    }
+
+    const [name, decode] = MINT_EXTENSIONS[type] || [`unknown_${type}`];
+    extensions[name] = decode ? decode(value) : {};
+    offset += 4 + length;
+  }
+
+  return extensions;
+}
+
+// Decode a mint account owned by the SPL Token or Token-2022 program.
+// supply is the raw u64 amount as a string.
+function decodeMintAccount(data, owner) {
+  const tokenProgram = TOKEN_PROGRAMS[owner];
+  if (!tokenProgram) {
+    throw new Error(`Account is owned by ${owner}, not a token program`);
+  }
+
+  // SPL Token mints are exactly MINT_SIZE bytes; token accounts (165 bytes) are rejected here
+  const validSize = tokenProgram === 'spl-token' ? data.length === MINT_SIZE : data.length === MINT_SIZE || data.length > ACCOUNT_TYPE_OFFSET;
+  if (!validSize) {
+    throw new Error(`Account data (${data.length} bytes) is not a mint`);
+  }
+
+  return {
+    tokenProgram,
+    mintAuthority: readOptionalPubkey(data, 0),
+    supply: data.readBigUInt64LE(36).toString(),
+    decimals: data[44],
+    isInitialized: data[45] === 1,
+    freezeAuthority: readOptionalPubkey(data, 46),
+    extensions: tokenProgram === 'token-2022' ? decodeMintExtensions(data) : {}
+  };
+}
+
+// Token account layout starts with mint (32 bytes), owner (32) and amount (u64)
+const TOKEN_ACCOUNT_SIZE = 165;
+
+// Decode the mint, owner and raw amount (as a string) of an SPL Token or Token-2022 token account
+function decodeTokenAccount(data, owner) {
+  if (!TOKEN_PROGRAMS[owner]) {
+    throw new Error(`Account is owned by ${owner}, not a token program`);
+  }
+  if (data.length < TOKEN_ACCOUNT_SIZE) {
+    throw new Error(`Account data (${data.length} bytes) is not a token account`);
+  }
+
+  return {
+    mint: encodeBase58(data.subarray(0, 32)),
+    owner: encodeBase58(data.subarray(32, 64)),
+    amount: data.readBigUInt64LE(64).toString()
+  };
+}
+
+// Highest transfer fee a Token-2022 mint charges, in basis points (0 without the extension).
+// The newer fee applies from its epoch on; without the current epoch both count.
+function getTransferFeeBasisPoints(mint) {
+  const config = mint?.extensions?.transferFeeConfig;
+  if (!config) return 0;
+  return Math.max(config.olderTransferFee.transferFeeBasisPoints, config.newerTransferFee.transferFeeBasisPoints);
+}
+
+// JSON-RPC over HTTP, paced by the shared Solana RPC rate limiter. `url` defaults to
+// SOLANA_RPC_URL, so a local stand-in RPC can be used by pointing it there.
+class SolanaRpcClient {
+  constructor({ url = apiConfig.solanaRpc.url, timeout = apiConfig.solanaRpc.timeout, rateLimiter = solanaRpcRateLimiter } = {}) {
+    this.url = url;
+    this.rateLimiter = rateLimiter;
+    this.requestId = 0;
+    this.http = axios.create({
+      timeout,
+      headers: {
+        'User-Agent': 'token-monitor-system/1.0.0',
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  // HTTP failures are retried; a JSON-RPC error response is thrown as is
+  async call(method, params = []) {
+    await this.rateLimiter.acquire();
+    const response = await retryRequest(() => this.http.post(this.url, { jsonrpc: '2.0', id: ++this.requestId, method, params }));
+
+    if (response.data.error) {
+      throw new Error(`RPC ${method} failed: ${response.data.error.message} (${response.data.error.code})`);
+    }
+    return response.data.result;
+  }
+
+  // { owner, lamports, data (Buffer) }, or null when the account does not exist
+  async getAccountInfo(address, commitment = 'confirmed') {
+    const result = await this.call('getAccountInfo', [address, { encoding: 'base64', commitment }]);
+    if (!result || !result.value) return null;
+
+    const { owner, lamports, data } = result.value;
+    return { owner, lamports, data: Buffer.from(data[0], 'base64') };
+  }
+
+  // The decoded mint (see decodeMintAccount), or null when the account does not exist
+  async getMint(address) {
+    const account = await this.getAccountInfo(address);
+    return account ? { address, ...decodeMintAccount(account.data, account.owner) } : null;
+  }
+
+  // Accounts in the order of `addresses` (null for missing ones), MAX_MULTIPLE_ACCOUNTS per request
+  async getMultipleAccounts(addresses, commitment = 'confirmed') {
+    const accounts = [];
+    for (let i = 0; i < addresses.length; i += MAX_MULTIPLE_ACCOUNTS) {
+      const result = await this.call('getMultipleAccounts', [addresses.slice(i, i + MAX_MULTIPLE_ACCOUNTS), { encoding: 'base64', commitment }]);
+      for (const value of result.value) {
+        accounts.push(value ? { owner: value.owner, lamports: value.lamports, data: Buffer.from(value.data[0], 'base64') } : null);
+      }
+    }
+    return accounts;
+  }
+
+  // The largest token accounts of a mint (up to 20): [{ address, amount }] with raw amounts as strings
+  async getTokenLargestAccounts(mintAddress, commitment = 'confirmed') {
+    const result = await this.call('getTokenLargestAccounts', [mintAddress, { commitment }]);
+    return (result?.value || []).map(({ address, amount }) => ({ address, amount }));
+  }
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  MINT_EXTENSIONS,
+  encodeBase58,
+  decodeMintAccount,
+  decodeMintExtensions,
+  decodeTokenAccount,
+  getTransferFeeBasisPoints,
+  SolanaRpcClient
+};
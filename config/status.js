@@ -0,0 +1,135 @@
+// config/status.js - Token status changes and their audit trail
+const { pool, withTransaction } = require('./database');
+const { logger } = require('./logging');
+const { publishEvents } = require('./events');
+
+const TOKEN_STATUSES = ['active', 'flagged', 'rug', 'delisted'];
+
+// Where a change came from: a single API update, a bulk update or an automatic detector
+const STATUS_SOURCES = ['manual', 'bulk', 'auto'];
+
+const MAX_BULK_STATUS_PAIRS = 500;
+const MAX_REASON_LENGTH = 200;
+const MAX_NOTE_LENGTH = 2000;
+
+function validateStatusChange({ status, reason, note }) {
+  const errors = [];
+
+  if (!TOKEN_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${TOKEN_STATUSES.join(', ')}`);
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    errors.push(`reason must be a string of at most ${MAX_REASON_LENGTH} characters`);
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    errors.push(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  return errors;
+}
+
+// Set the status of one or more pairs and record every actual change in
+// token_status_history. Pairs already in that status get no history row and no event.
+// `chainId` limits the change to one chain; null (the default) matches pairs on any chain.
+// Returns { updated, unchanged, notFound }; updated rows carry previous_status.
+async function changeTokenStatus(pairAddresses, status, { reason = null, note = null, actor = 'api', source = 'manual', chainId = null } = {}) {
+  const addresses = [...new Set(pairAddresses)];
+
+  const outcome = await withTransaction(async (client) => {
+    const current = await client.query(
+      'SELECT * FROM pairs WHERE ($1::text IS NULL OR chain_id = $1) AND pair_address = ANY($2) FOR UPDATE',
+      [chainId, addresses]
+    );
+
+    const previousById = new Map(current.rows.map(token => [token.id, token.status]));
+    const unchanged = current.rows.filter(token => token.status === status);
+    const changeIds = current.rows.filter(token => token.status !== status).map(token => token.id);
+    const found = new Set(current.rows.map(token => token.pair_address));
+    const notFound = addresses.filter(address => !found.has(address));
+
+    if (changeIds.length === 0) {
+      return { updated: [], unchanged, notFound };
+    }
+
+    await client.query(
+      'UPDATE pairs SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2)',
+      [status, changeIds]
+    );
+    // Return the rows with their mint's rug data, as the token routes do
+    const result = await client.query('SELECT * FROM pair_details WHERE id = ANY($1) ORDER BY id ASC', [changeIds]);
+    const updated = result.rows.map(token => ({ ...token, previous_status: previousById.get(token.id) }));
+
+    await client.query(`
+      INSERT INTO token_status_history (token_id, chain_id, pair_address, previous_status, status, reason, note, actor, source)
+      SELECT change.token_id, change.chain_id, change.pair_address, change.previous_status, $1, $2, $3, $4, $5
+      FROM unnest($6::int[], $7::text[], $8::text[], $9::text[]) AS change(token_id, chain_id, pair_address, previous_status)
+    `, [
+      status,
+      reason,
+      note,
+      actor,
+      source,
+      updated.map(token => token.id),
+      updated.map(token => token.chain_id),
+      updated.map(token => token.pair_address),
+      updated.map(token => token.previous_status)
+    ]);
+
+    return { updated, unchanged, notFound };
+  });
+
+  // Events are stored per chain
+  const updatedByChain = new Map();
+  for (const token of outcome.updated) {
+    if (!updatedByChain.has(token.chain_id)) updatedByChain.set(token.chain_id, []);
+    updatedByChain.get(token.chain_id).push(token);
+  }
+
+  for (const [tokenChainId, tokens] of updatedByChain) {
+    try {
+      await publishEvents(tokens.map(token => ({
+        type: 'token.status_changed',
+        data: {
+          tokenId: token.id,
+          pairAddress: token.pair_address,
+          tokenAddress: token.base_token_address,
+          symbol: token.base_token_symbol,
+          previousStatus: token.previous_status,
+          status,
+          reason,
+          actor,
+          source
+        }
+      })), tokenChainId);
+    } catch (error) {
+      logger.warn('⚠️ Could not publish status change events:', error.message);
+    }
+  }
+
+  return outcome;
+}
+
+async function getStatusHistory(tokenId, { limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(`
+    SELECT id, previous_status, status, reason, note, actor, source, created_at
+    FROM token_status_history
+    WHERE token_id = $1
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2 OFFSET $3
+  `, [tokenId, limit, offset]);
+
+  const countResult = await pool.query('SELECT COUNT(*) FROM token_status_history WHERE token_id = $1', [tokenId]);
+
+  return { history: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+module.exports = {
+  TOKEN_STATUSES,
+  STATUS_SOURCES,
+  MAX_BULK_STATUS_PAIRS,
+  validateStatusChange,
+  changeTokenStatus,
+  getStatusHistory
+};
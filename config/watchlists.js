@@ -0,0 +1,306 @@
+// config/watchlists.js - Watchlists of pairs and change detection for their refresh job
+const { pool } = require('./database');
+const { CHANNEL_NAMES } = require('./notifiers');
+
+const WATCHLIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+
+// Change kinds; notifications are recorded in alerts as watchlist_<kind>
+const WATCHLIST_CHANGES = ['price', 'liquidity', 'authority', 'status'];
+
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Validate a complete watchlist (after merging an update into the stored row); returns [] when valid
+function validateWatchlist(watchlist) {
+  const errors = [];
+
+  if (typeof watchlist.name !== 'string' || !WATCHLIST_NAME_PATTERN.test(watchlist.name)) {
+    errors.push('name must be 1-100 lowercase letters, digits, "-" or "_"');
+  }
+
+  if (watchlist.channels !== null && watchlist.channels !== undefined) {
+    if (!Array.isArray(watchlist.channels) || watchlist.channels.length === 0 || watchlist.channels.some(channel => !CHANNEL_NAMES.includes(channel))) {
+      errors.push(`channels must be null or a non-empty list of ${CHANNEL_NAMES.join(', ')}`);
+    }
+  }
+
+  for (const field of ['priceChangePct', 'liquidityChangePct']) {
+    if (watchlist[field] !== undefined && !isPositiveNumber(watchlist[field])) {
+      errors.push(`${field} must be a positive number`);
+    }
+  }
+
+  if (watchlist.description !== null && watchlist.description !== undefined && typeof watchlist.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  return errors;
+}
+
+// Pair addresses accepted by the item routes
+function validatePairAddresses(pairAddresses) {
+  if (!Array.isArray(pairAddresses) || pairAddresses.length === 0 || pairAddresses.length > 100 ||
+      pairAddresses.some(address => typeof address !== 'string' || address.length === 0 || address.length > 255)) {
+    return ['pairAddresses must be a list of 1-100 pair addresses'];
+  }
+  return [];
+}
+
+// API field names for a stored row, used to merge partial updates
+function rowToWatchlist(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    channels: row.channels,
+    priceChangePct: parseFloat(row.price_change_pct),
+    liquidityChangePct: parseFloat(row.liquidity_change_pct)
+  };
+}
+
+async function listWatchlists(chainId = 'solana') {
+  const result = await pool.query(`
+    SELECT w.*, COUNT(i.id)::int AS item_count
+    FROM watchlists w
+    LEFT JOIN watchlist_items i ON i.watchlist_id = w.id
+    WHERE w.chain_id = $1
+    GROUP BY w.id
+    ORDER BY w.name ASC
+  `, [chainId]);
+  return result.rows;
+}
+
+async function getWatchlist(id, chainId = 'solana') {
+  const result = await pool.query('SELECT * FROM watchlists WHERE id = $1 AND chain_id = $2', [id, chainId]);
+  return result.rows[0] || null;
+}
+
+// Items with the current pair row (if the pair has been saved by a scan)
+async function getWatchlistItems(watchlistId) {
+  const result = await pool.query(`
+    SELECT i.*, t.id AS token_id, t.status AS token_status, t.rug_score, t.holders_count
+    FROM watchlist_items i
+    LEFT JOIN pair_details t ON t.pair_address = i.pair_address
+    WHERE i.watchlist_id = $1
+    ORDER BY i.created_at ASC, i.id ASC
+  `, [watchlistId]);
+  return result.rows;
+}
+
+async function createWatchlist(watchlist, actor, chainId = 'solana') {
+  const result = await pool.query(`
+    INSERT INTO watchlists (chain_id, name, description, channels, price_change_pct, liquidity_change_pct, created_by, updated_by)
+    VALUES ($1, $2, $3, $4, COALESCE($5, 20), COALESCE($6, 30), $7, $7)
+    RETURNING *
+  `, [
+    chainId,
+    watchlist.name,
+    watchlist.description ?? null,
+    watchlist.channels ?? null,
+    watchlist.priceChangePct ?? null,
+    watchlist.liquidityChangePct ?? null,
+    actor
+  ]);
+  return result.rows[0];
+}
+
+// Replace every field with `watchlist` (callers merge partial updates first); returns null if not found
+async function updateWatchlist(id, watchlist, actor, chainId = 'solana') {
+  const result = await pool.query(`
+    UPDATE watchlists SET
+      name = $3, description = $4, channels = $5, price_change_pct = $6, liquidity_change_pct = $7, updated_by = $8
+    WHERE id = $1 AND chain_id = $2
+    RETURNING *
+  `, [
+    id,
+    chainId,
+    watchlist.name,
+    watchlist.description ?? null,
+    watchlist.channels ?? null,
+    watchlist.priceChangePct,
+    watchlist.liquidityChangePct,
+    actor
+  ]);
+  return result.rows[0] || null;
+}
+
+// Delete a watchlist and its items; returns null if it does not exist
+async function deleteWatchlist(id, chainId = 'solana') {
+  const result = await pool.query('DELETE FROM watchlists WHERE id = $1 AND chain_id = $2 RETURNING *', [id, chainId]);
+  return result.rows[0] || null;
+}
+
+// Add pairs (already watched pairs only get their note updated). Token details are
+// copied from tokens when the pair has been saved; the refresh job fills in the rest.
+async function addWatchlistItems(watchlistId, pairAddresses, { note = null, actor = null } = {}) {
+  const result = await pool.query(`
+    INSERT INTO watchlist_items (
+      watchlist_id, pair_address, note, added_by, dex_id, base_token_address, base_token_name, base_token_symbol
+    )
+    SELECT $1, a.pair_address, $3, $4, t.dex_id, t.base_token_address, t.base_token_name, t.base_token_symbol
+    FROM unnest($2::text[]) AS a(pair_address)
+    LEFT JOIN pairs t ON t.pair_address = a.pair_address
+    ON CONFLICT (watchlist_id, pair_address) DO UPDATE SET note = COALESCE(EXCLUDED.note, watchlist_items.note)
+    RETURNING *
+  `, [watchlistId, [...new Set(pairAddresses)], note, actor]);
+  return result.rows;
+}
+
+// Remove one pair; returns null if it was not on the list
+async function removeWatchlistItem(watchlistId, pairAddress) {
+  const result = await pool.query(
+    'DELETE FROM watchlist_items WHERE watchlist_id = $1 AND pair_address = $2 RETURNING *',
+    [watchlistId, pairAddress]
+  );
+  return result.rows[0] || null;
+}
+
+// Every watched item with its list's settings and the pair's row, for the refresh job
+async function getWatchedItems(chainId = 'solana') {
+  const result = await pool.query(`
+    SELECT
+      i.*, w.name AS watchlist_name, w.channels, w.price_change_pct, w.liquidity_change_pct,
+      t.id AS token_id, t.status AS token_status, t.holders_count, t.top_holder_percentage,
+      t.top10_holder_percentage, t.top20_holder_percentage, t.rug_score AS token_rug_score
+    FROM watchlist_items i
+    JOIN watchlists w ON w.id = i.watchlist_id
+    LEFT JOIN pair_details t ON t.pair_address = i.pair_address
+    WHERE w.chain_id = $1
+    ORDER BY i.id ASC
+  `, [chainId]);
+  return result.rows;
+}
+
+const percentChange = (from, to) => (from === null || to === null || from === 0 ? null : ((to - from) / Math.abs(from)) * 100);
+
+const formatChange = pct => `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+
+function describeAuthorityChange(label, previous, current) {
+  if (!current) return `${label} authority revoked`;
+  if (!previous) return `${label} authority set (${current})`;
+  return `${label} authority changed to ${current}`;
+}
+
+// Compare a fresh observation ({ pair, rugData, status }; pair is null when DexScreener
+// no longer returns it) with the stored item. Returns the changes to notify and the
+// state to store. The first check only records a baseline. Price and liquidity are
+// measured from the value at the last notification, so slow drifts still notify once
+// they add up to the threshold.
+function evaluateItem(item, { pair, rugData, status }) {
+  const firstCheck = item.last_checked_at === null;
+  const changes = [];
+
+  const state = {
+    dexId: item.dex_id,
+    baseTokenAddress: item.base_token_address,
+    baseTokenName: item.base_token_name,
+    baseTokenSymbol: item.base_token_symbol,
+    priceUsd: toNumber(item.price_usd),
+    liquidityUsd: toNumber(item.liquidity_usd),
+    volume24h: toNumber(item.volume_24h),
+    priceChange24h: toNumber(item.price_change_24h),
+    freezeAuthority: item.freeze_authority,
+    mintAuthority: item.mint_authority,
+    status,
+    baselinePriceUsd: toNumber(item.baseline_price_usd),
+    baselineLiquidityUsd: toNumber(item.baseline_liquidity_usd),
+    notified: false
+  };
+
+  if (pair) {
+    Object.assign(state, {
+      dexId: pair.dexId,
+      baseTokenAddress: pair.baseToken?.address || state.baseTokenAddress,
+      baseTokenName: pair.baseToken?.name || state.baseTokenName,
+      baseTokenSymbol: pair.baseToken?.symbol || state.baseTokenSymbol,
+      priceUsd: toNumber(pair.priceUsd),
+      liquidityUsd: toNumber(pair.liquidity?.usd),
+      volume24h: toNumber(pair.volume?.h24),
+      priceChange24h: toNumber(pair.priceChange?.h24)
+    });
+
+    const priceChange = percentChange(state.baselinePriceUsd, state.priceUsd);
+    if (firstCheck || state.baselinePriceUsd === null) {
+      state.baselinePriceUsd = state.priceUsd;
+    } else if (priceChange !== null && Math.abs(priceChange) >= parseFloat(item.price_change_pct)) {
+      changes.push({ kind: 'price', previous: state.baselinePriceUsd, current: state.priceUsd, changePct: priceChange, message: `price ${formatChange(priceChange)} to $${state.priceUsd}` });
+      state.baselinePriceUsd = state.priceUsd;
+    }
+
+    const liquidityChange = percentChange(state.baselineLiquidityUsd, state.liquidityUsd);
+    if (firstCheck || state.baselineLiquidityUsd === null) {
+      state.baselineLiquidityUsd = state.liquidityUsd;
+    } else if (liquidityChange !== null && Math.abs(liquidityChange) >= parseFloat(item.liquidity_change_pct)) {
+      changes.push({ kind: 'liquidity', previous: state.baselineLiquidityUsd, current: state.liquidityUsd, changePct: liquidityChange, message: `liquidity ${formatChange(liquidityChange)} to $${state.liquidityUsd.toLocaleString()}` });
+      state.baselineLiquidityUsd = state.liquidityUsd;
+    }
+  }
+
+  // Authorities are only compared when the mint account or RugCheck confirmed them
+  if (rugData && rugData.authorityVerified) {
+    const authorities = [
+      ['Freeze', 'freezeAuthority', rugData.freezeAuthority || null],
+      ['Mint', 'mintAuthority', rugData.mintAuthority || null]
+    ];
+    for (const [label, key, current] of authorities) {
+      if (!firstCheck && current !== state[key]) {
+        changes.push({ kind: 'authority', previous: state[key], current, message: describeAuthorityChange(label, state[key], current) });
+      }
+      state[key] = current;
+    }
+  }
+
+  if (!firstCheck && item.status !== null && status !== item.status) {
+    changes.push({ kind: 'status', previous: item.status, current: status, message: `status ${item.status} -> ${status}` });
+  }
+
+  state.notified = changes.length > 0;
+  return { changes, state };
+}
+
+async function saveItemState(itemId, state) {
+  await pool.query(`
+    UPDATE watchlist_items SET
+      dex_id = $2, base_token_address = $3, base_token_name = $4, base_token_symbol = $5,
+      price_usd = $6, liquidity_usd = $7, volume_24h = $8, price_change_24h = $9,
+      freeze_authority = $10, mint_authority = $11, status = $12,
+      baseline_price_usd = $13, baseline_liquidity_usd = $14,
+      last_checked_at = CURRENT_TIMESTAMP,
+      last_notified_at = CASE WHEN $15 THEN CURRENT_TIMESTAMP ELSE last_notified_at END
+    WHERE id = $1
+  `, [
+    itemId,
+    state.dexId,
+    state.baseTokenAddress,
+    state.baseTokenName,
+    state.baseTokenSymbol,
+    state.priceUsd,
+    state.liquidityUsd,
+    state.volume24h,
+    state.priceChange24h,
+    state.freezeAuthority,
+    state.mintAuthority,
+    state.status,
+    state.baselinePriceUsd,
+    state.baselineLiquidityUsd,
+    state.notified
+  ]);
+}
+
+module.exports = {
+  WATCHLIST_CHANGES,
+  validateWatchlist,
+  validatePairAddresses,
+  rowToWatchlist,
+  listWatchlists,
+  getWatchlist,
+  getWatchlistItems,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  addWatchlistItems,
+  removeWatchlistItem,
+  getWatchedItems,
+  evaluateItem,
+  saveItemState
+};
@@ -0,0 +1,247 @@
+// config/webhooks.js - Signed webhook delivery with persisted retries
+const crypto = require('crypto');
+const axios = require('axios');
+const { pool } = require('./database');
+const { logger } = require('./logging');
+
+// Keep stored response bodies small
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replayed or altered requests
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Delivers JSON events to one URL. Every event is stored in webhook_deliveries before
+// the first attempt; failed attempts are retried with exponential backoff until
+// max attempts, by the retry loop of whichever process is running it.
+// `db` is anything with pool.query(); it defaults to the shared pool.
+class WebhookDispatcher {
+  constructor({ url, secret = null, timeoutMs = 10000, maxAttempts = 6, retryBaseMs = 30000, retryMaxMs = 3600000, db = pool }) {
+    this.url = url;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.db = db;
+    this.retryTimer = null;
+    this.retrying = false;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  // Delay before retry number `attempts` (1-based): base, 2x base, 4x base, ... capped
+  retryDelayMs(attempts) {
+    return Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempts - 1));
+  }
+
+  // Store an event and make the first delivery attempt (the row is leased so retry loops skip it meanwhile)
+  async dispatch(eventType, data) {
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    const result = await this.db.query(`
+      INSERT INTO webhook_deliveries (event_id, event_type, url, payload, max_attempts, next_attempt_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 * INTERVAL '1 millisecond'))
+      RETURNING *
+    `, [eventId, eventType, this.url, JSON.stringify(payload), this.maxAttempts, this.timeoutMs * 2]);
+
+    return this.attempt(result.rows[0]);
+  }
+
+  // POST one delivery and record the outcome; returns the updated row
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempts = delivery.attempts + 1;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Solana-Token-Monitor-Webhooks/1.0',
+      'X-Webhook-Id': delivery.event_id,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Attempt': String(attempts)
+    };
+
+    if (this.secret) {
+      headers['X-Webhook-Signature'] = signPayload(this.secret, timestamp, body);
+    }
+
+    let statusCode = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers,
+        timeout: this.timeoutMs,
+        transformRequest: [(requestBody) => requestBody], // send the exact bytes that were signed
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      if (statusCode < 200 || statusCode >= 300) {
+        errorMessage = `HTTP ${statusCode}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const delivered = errorMessage === null;
+    const exhausted = !delivered && attempts >= delivery.max_attempts;
+    const status = delivered ? 'delivered' : (exhausted ? 'failed' : 'pending');
+    const nextAttemptAt = status === 'pending' ? new Date(Date.now() + this.retryDelayMs(attempts)) : null;
+
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries SET
+        status = $2,
+        attempts = $3,
+        next_attempt_at = $4,
+        last_attempt_at = CURRENT_TIMESTAMP,
+        last_status_code = $5,
+        last_error = $6,
+        response_body = $7,
+        delivered_at = CASE WHEN $2::varchar = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = $1
+      RETURNING *
+    `, [
+      delivery.id,
+      status,
+      attempts,
+      nextAttemptAt,
+      statusCode,
+      errorMessage,
+      responseBody ? responseBody.slice(0, MAX_RESPONSE_BODY_LENGTH) : null
+    ]);
+
+    if (delivered) {
+      logger.debug(`📬 Webhook ${delivery.event_type} delivered (${delivery.event_id}, attempt ${attempts})`);
+    } else if (exhausted) {
+      logger.error(`❌ Webhook ${delivery.event_type} failed permanently after ${attempts} attempts (${delivery.event_id}): ${errorMessage}`);
+    } else {
+      logger.warn(`⚠️ Webhook ${delivery.event_type} attempt ${attempts} failed (${delivery.event_id}): ${errorMessage}; retrying at ${nextAttemptAt.toISOString()}`);
+    }
+
+    return result.rows[0];
+  }
+
+  // Attempt every pending delivery that is due. Rows are claimed by pushing
+  // next_attempt_at past the request timeout, so two processes never send the same attempt.
+  async processDue(limit = 20) {
+    const claimed = await this.db.query(`
+      UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond')
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, this.timeoutMs * 2]);
+
+    const results = [];
+    for (const delivery of claimed.rows) {
+      results.push(await this.attempt(delivery));
+    }
+    return results;
+  }
+
+  // Queue a delivery to be sent again now, whatever its state; returns null if it does not exist
+  async redeliver(id) {
+    const result = await this.db.query(`
+      UPDATE webhook_deliveries SET
+        status = 'pending',
+        max_attempts = GREATEST(max_attempts, attempts + 1),
+        next_attempt_at = CURRENT_TIMESTAMP + ($2 * INTERVAL '1 millisecond')
+      WHERE id = $1
+      RETURNING *
+    `, [id, this.timeoutMs * 2]);
+
+    if (result.rows.length === 0) return null;
+    return this.attempt(result.rows[0]);
+  }
+
+  startRetryLoop(intervalMs = 15000) {
+    if (this.retryTimer) return;
+
+    this.retryTimer = setInterval(async () => {
+      if (this.retrying) return;
+      this.retrying = true;
+      try {
+        await this.processDue();
+      } catch (error) {
+        logger.warn('⚠️ Webhook retry pass failed:', error.message);
+      } finally {
+        this.retrying = false;
+      }
+    }, intervalMs);
+  }
+
+  stopRetryLoop() {
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
+
+async function listDeliveries({ status = null, eventType = null, limit = 50, offset = 0 } = {}) {
+  const params = [];
+  let whereClause = 'WHERE 1=1';
+
+  if (status) {
+    params.push(status);
+    whereClause += ` AND status = $${params.length}`;
+  }
+
+  if (eventType) {
+    params.push(eventType);
+    whereClause += ` AND event_type = $${params.length}`;
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM webhook_deliveries
+    ${whereClause}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM webhook_deliveries ${whereClause}`, params);
+
+  return { deliveries: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+async function getDelivery(id) {
+  const result = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+// Dispatcher for WEBHOOK_URL / WEBHOOK_SECRET
+function createWebhookDispatcher(config) {
+  return new WebhookDispatcher({
+    url: config.webhookUrl,
+    secret: config.webhookSecret,
+    timeoutMs: config.notifierTimeoutMs,
+    maxAttempts: config.webhookMaxAttempts,
+    retryBaseMs: config.webhookRetryBaseMs,
+    retryMaxMs: config.webhookRetryMaxMs
+  });
+}
+
+module.exports = {
+  signPayload,
+  WebhookDispatcher,
+  createWebhookDispatcher,
+  listDeliveries,
+  getDelivery
+};
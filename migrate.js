@@ -0,0 +1,258 @@
+// migrate.js - Versioned, checksummed schema migrations
+require('dotenv').config(); // Explicitly load .env for standalone execution
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant key so only one migrator runs against a database at a time
+const MIGRATION_LOCK_KEY = 726354001;
+
+// Build a pool from the same environment variables setup.js uses
+function createPool() {
+  return new Pool({
+    host: process.env.DB_HOST || 'localhost',
+    port: Number(process.env.DB_PORT || 5432),
+    database: process.env.DB_NAME || 'token_monitor',
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD || '',
+    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined,
+  });
+}
+
+// Read migration files and pair up/down scripts, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const existing = migrations.get(version);
+
+    if (existing && existing.name !== name) {
+      throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+    }
+
+    const migration = existing || { version, name, up: null, down: null };
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migrationLabel(migration)} needs both .up.sql and .down.sql files`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Compare migration files with schema_migrations
+function buildStatus(migrations, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const fileVersions = new Set(migrations.map(migration => migration.version));
+
+  const status = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+
+  // Applied migrations whose files no longer exist
+  for (const row of applied) {
+    if (!fileVersions.has(row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+async function migrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    return buildStatus(migrations, applied);
+  });
+}
+
+// Apply pending migrations in order (optionally up to a target version)
+async function migrateUp(pool, { to = null, dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const status = buildStatus(migrations, applied);
+
+    const drifted = status.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+    if (drifted.length > 0) {
+      const list = drifted.map(entry => `${migrationLabel(entry)} (${entry.state})`).join(', ');
+      throw new Error(`Applied migrations do not match migration files: ${list}`);
+    }
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) && (to === null || migration.version <= to)
+    );
+
+    const ran = [];
+    for (const migration of pending) {
+      const startTime = Date.now();
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migrationLabel(migration)} failed: ${error.message}`;
+        throw error;
+      }
+
+      console.log(`✅ Applied ${migrationLabel(migration)} (${Date.now() - startTime}ms)`);
+      ran.push(migration);
+    }
+
+    return ran;
+  });
+}
+
+// Revert the most recently applied migrations
+async function migrateDown(pool, { steps = 1, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const toRevert = applied.slice(-steps).reverse();
+
+    const reverted = [];
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot revert ${migrationLabel(row)}: migration file is missing`);
+      }
+
+      const startTime = Date.now();
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Reverting ${migrationLabel(migration)} failed: ${error.message}`;
+        throw error;
+      }
+
+      console.log(`↩️  Reverted ${migrationLabel(migration)} (${Date.now() - startTime}ms)`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+// Command line entry point: node migrate.js up|down|status
+async function main(argv) {
+  const [command = 'status', arg] = argv;
+  const pool = createPool();
+
+  try {
+    if (command === 'up') {
+      const ran = await migrateUp(pool, { to: arg ? parseInt(arg, 10) : null });
+      console.log(ran.length > 0 ? `🎉 Applied ${ran.length} migration(s)` : 'ℹ️  Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+      const reverted = await migrateDown(pool, { steps });
+      console.log(reverted.length > 0 ? `🎉 Reverted ${reverted.length} migration(s)` : 'ℹ️  Nothing to revert');
+    } else if (command === 'status') {
+      const status = await migrationStatus(pool);
+      const icons = { applied: '✅', pending: '⏳', modified: '⚠️ ', missing: '❌' };
+      for (const entry of status) {
+        const appliedAt = entry.appliedAt ? ` (applied ${new Date(entry.appliedAt).toISOString()})` : '';
+        console.log(`${icons[entry.state]} ${migrationLabel(entry)} - ${entry.state}${appliedAt}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Usage: node migrate.js up [version] | down [steps] | status`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌ Migration error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  createPool
+};
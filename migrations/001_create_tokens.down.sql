@@ -0,0 +1,4 @@
+-- 001_create_tokens (down)
+
+DROP TABLE IF EXISTS tokens CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,62 @@
+-- 001_create_tokens: core tokens table, indexes and updated_at trigger
+-- Uses IF NOT EXISTS throughout so databases created by the old setup.js can adopt it.
+
+CREATE TABLE IF NOT EXISTS tokens (
+  id SERIAL PRIMARY KEY,
+  pair_address VARCHAR(255) UNIQUE NOT NULL,
+  chain_id VARCHAR(50) NOT NULL,
+  dex_id VARCHAR(50) NOT NULL,
+  base_token_address VARCHAR(255) NOT NULL,
+  base_token_name VARCHAR(255),
+  base_token_symbol VARCHAR(50),
+  quote_token_address VARCHAR(255),
+  quote_token_symbol VARCHAR(50),
+  price_usd DECIMAL(20, 8),
+  price_sol DECIMAL(20, 8),
+  volume_24h DECIMAL(20, 2),
+  volume_6h DECIMAL(20, 2),
+  volume_1h DECIMAL(20, 2),
+  volume_5m DECIMAL(20, 2),
+  price_change_24h DECIMAL(10, 4),
+  price_change_6h DECIMAL(10, 4),
+  price_change_1h DECIMAL(10, 4),
+  price_change_5m DECIMAL(10, 4),
+  liquidity_usd DECIMAL(20, 2),
+  sol_liquidity DECIMAL(20, 2),
+  pair_created_at TIMESTAMP,
+  holders_count INTEGER,
+  top_holder_percentage DECIMAL(5, 2),
+  net_traders INTEGER,
+  rug_score INTEGER,
+  rug_risks TEXT[],
+  freeze_authority VARCHAR(255),
+  mint_authority VARCHAR(255),
+  update_authority VARCHAR(255),
+  is_mutable BOOLEAN,
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tokens_pair_address ON tokens(pair_address);
+CREATE INDEX IF NOT EXISTS idx_tokens_chain_id ON tokens(chain_id);
+CREATE INDEX IF NOT EXISTS idx_tokens_created_at ON tokens(created_at);
+CREATE INDEX IF NOT EXISTS idx_tokens_status ON tokens(status);
+CREATE INDEX IF NOT EXISTS idx_tokens_volume_24h ON tokens(volume_24h);
+CREATE INDEX IF NOT EXISTS idx_tokens_liquidity_usd ON tokens(liquidity_usd);
+CREATE INDEX IF NOT EXISTS idx_tokens_holders_count ON tokens(holders_count);
+CREATE INDEX IF NOT EXISTS idx_tokens_rug_score ON tokens(rug_score);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_tokens_updated_at ON tokens;
+CREATE TRIGGER update_tokens_updated_at
+    BEFORE UPDATE ON tokens
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- 002_create_token_snapshots (down)
+
+DROP TABLE IF EXISTS token_snapshots;
@@ -0,0 +1,25 @@
+-- 002_create_token_snapshots: per-scan time series (the tokens row only holds the latest values)
+
+CREATE TABLE IF NOT EXISTS token_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  token_id INTEGER NOT NULL REFERENCES tokens(id) ON DELETE CASCADE,
+  pair_address VARCHAR(255) NOT NULL,
+  price_usd DECIMAL(20, 8),
+  price_sol DECIMAL(20, 8),
+  liquidity_usd DECIMAL(20, 2),
+  sol_liquidity DECIMAL(20, 2),
+  volume_24h DECIMAL(20, 2),
+  volume_6h DECIMAL(20, 2),
+  volume_1h DECIMAL(20, 2),
+  volume_5m DECIMAL(20, 2),
+  price_change_24h DECIMAL(10, 4),
+  price_change_1h DECIMAL(10, 4),
+  price_change_5m DECIMAL(10, 4),
+  holders_count INTEGER,
+  top_holder_percentage DECIMAL(5, 2),
+  rug_score INTEGER,
+  captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_snapshots_pair_captured ON token_snapshots(pair_address, captured_at);
+CREATE INDEX IF NOT EXISTS idx_token_snapshots_token_id ON token_snapshots(token_id);
@@ -0,0 +1,4 @@
+-- 003_create_solana_views (down)
+
+DROP VIEW IF EXISTS solana_token_risks;
+DROP VIEW IF EXISTS active_solana_tokens;
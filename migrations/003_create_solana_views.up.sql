@@ -0,0 +1,25 @@
+-- 003_create_solana_views: views queried by getSolanaTokens() and getSolanaStats()
+
+CREATE OR REPLACE VIEW active_solana_tokens AS
+SELECT *
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
+
+CREATE OR REPLACE VIEW solana_token_risks AS
+SELECT
+  id,
+  pair_address,
+  base_token_symbol,
+  dex_id,
+  rug_score,
+  rug_risks,
+  freeze_authority,
+  mint_authority,
+  CASE
+    WHEN rug_score <= 2 THEN 'Low'
+    WHEN rug_score <= 5 THEN 'Medium'
+    WHEN rug_score <= 7 THEN 'High'
+    ELSE 'Very High'
+  END AS risk_level
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
@@ -0,0 +1,3 @@
+-- 004_create_scan_runs (down)
+
+DROP TABLE IF EXISTS scan_runs;
@@ -0,0 +1,23 @@
+-- 004_create_scan_runs: one row per scan so scheduler health and throughput can be inspected
+
+CREATE TABLE IF NOT EXISTS scan_runs (
+  id SERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  triggered_by VARCHAR(20) NOT NULL, -- cron | manual
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- running | completed | failed
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP,
+  duration_ms INTEGER,
+  pairs_fetched INTEGER NOT NULL DEFAULT 0,
+  processed_count INTEGER NOT NULL DEFAULT 0,
+  skipped_count INTEGER NOT NULL DEFAULT 0,
+  saved_count INTEGER NOT NULL DEFAULT 0,
+  filtered_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  api_failures INTEGER NOT NULL DEFAULT 0,
+  stage_timings JSONB,
+  error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_runs_started_at ON scan_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scan_runs_status ON scan_runs(status);
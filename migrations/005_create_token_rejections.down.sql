@@ -0,0 +1,3 @@
+-- 005_create_token_rejections (down)
+
+DROP TABLE IF EXISTS token_rejections;
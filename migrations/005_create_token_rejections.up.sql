@@ -0,0 +1,22 @@
+-- 005_create_token_rejections: every pair rejected by SolanaTokenFilter, with the failing filter
+
+CREATE TABLE IF NOT EXISTS token_rejections (
+  id BIGSERIAL PRIMARY KEY,
+  scan_id INTEGER REFERENCES scan_runs(id) ON DELETE SET NULL,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  pair_address VARCHAR(255) NOT NULL,
+  base_token_address VARCHAR(255),
+  base_token_symbol VARCHAR(50),
+  dex_id VARCHAR(50),
+  filter_code VARCHAR(50) NOT NULL,
+  reason TEXT,
+  observed_value JSONB, -- measured value (number, string or list)
+  threshold JSONB,      -- configured limit it was compared against
+  rejected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_rejections_code_time ON token_rejections(filter_code, rejected_at);
+CREATE INDEX IF NOT EXISTS idx_token_rejections_rejected_at ON token_rejections(rejected_at);
+CREATE INDEX IF NOT EXISTS idx_token_rejections_pair_address ON token_rejections(pair_address);
+CREATE INDEX IF NOT EXISTS idx_token_rejections_token_address ON token_rejections(base_token_address);
+CREATE INDEX IF NOT EXISTS idx_token_rejections_scan_id ON token_rejections(scan_id);
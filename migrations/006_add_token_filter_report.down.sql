@@ -0,0 +1,8 @@
+-- 006_add_token_filter_report (down)
+
+DROP VIEW IF EXISTS active_solana_tokens;
+ALTER TABLE tokens DROP COLUMN IF EXISTS filter_report;
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
@@ -0,0 +1,10 @@
+-- 006_add_token_filter_report: per-rule filter report stored with each saved token
+
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS filter_report JSONB;
+
+-- active_solana_tokens is SELECT *, so recreate it to pick up the new column
+DROP VIEW IF EXISTS active_solana_tokens;
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
@@ -0,0 +1,4 @@
+-- 007_create_filter_profiles (down)
+
+DROP TABLE IF EXISTS filter_profile_changes;
+DROP TABLE IF EXISTS filter_profiles;
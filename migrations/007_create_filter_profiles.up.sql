@@ -0,0 +1,49 @@
+-- 007_create_filter_profiles: named filter profiles (param overrides on top of the rule file) and their change log
+
+CREATE TABLE IF NOT EXISTS filter_profiles (
+  id SERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  params JSONB NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by VARCHAR(100),
+  updated_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (chain_id, name)
+);
+
+-- At most one active profile per chain
+CREATE UNIQUE INDEX IF NOT EXISTS idx_filter_profiles_active ON filter_profiles(chain_id) WHERE is_active;
+
+CREATE TABLE IF NOT EXISTS filter_profile_changes (
+  id BIGSERIAL PRIMARY KEY,
+  profile_id INTEGER REFERENCES filter_profiles(id) ON DELETE SET NULL,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  profile_name VARCHAR(100),
+  action VARCHAR(20) NOT NULL, -- create | update | delete | activate | deactivate
+  actor VARCHAR(100) NOT NULL,
+  changes JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_filter_profile_changes_created_at ON filter_profile_changes(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_filter_profile_changes_profile ON filter_profile_changes(profile_id);
+
+DROP TRIGGER IF EXISTS update_filter_profiles_updated_at ON filter_profiles;
+CREATE TRIGGER update_filter_profiles_updated_at
+  BEFORE UPDATE ON filter_profiles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO filter_profiles (name, description, params, created_by, updated_by) VALUES
+  ('conservative', 'Established pairs with deep liquidity and low risk',
+   '{"minHolders": 50, "maxTopHolderPercentage": 20, "minVolume24h": 5000, "minLiquidity": 10000, "minSOLLiquidity": 50, "minNetTraders": 25, "minTokenAgeMinutes": 15, "maxRugScore": 3}',
+   'migration', 'migration'),
+  ('degen', 'Anything with a pulse: minimal liquidity and holder requirements, any DEX',
+   '{"minHolders": 5, "maxTopHolderPercentage": 60, "minVolume24h": 1, "minLiquidity": 50, "minSOLLiquidity": 1, "minNetTraders": 1, "minTokenAgeMinutes": 1, "maxRugScore": 8, "allowedDEXs": null}',
+   'migration', 'migration'),
+  ('new-launch', 'Pairs from the last two hours with basic safety checks',
+   '{"maxTokenAgeHours": 2, "minTokenAgeMinutes": 1, "minHolders": 5, "minVolume24h": 100, "minLiquidity": 1000, "maxRugScore": 5}',
+   'migration', 'migration')
+ON CONFLICT (chain_id, name) DO NOTHING;
@@ -0,0 +1,3 @@
+-- 008_create_webhook_deliveries (down)
+
+DROP TABLE IF EXISTS webhook_deliveries;
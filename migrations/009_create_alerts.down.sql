@@ -0,0 +1,3 @@
+-- 009_create_alerts (down)
+
+DROP TABLE IF EXISTS alerts;
@@ -0,0 +1,21 @@
+-- 009_create_alerts: every alert sent, with its payload and per-channel results (used for cooldowns)
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id BIGSERIAL PRIMARY KEY,
+  token_id INTEGER REFERENCES tokens(id) ON DELETE SET NULL,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  pair_address VARCHAR(255) NOT NULL,
+  base_token_address VARCHAR(255),
+  base_token_symbol VARCHAR(50),
+  rule VARCHAR(100) NOT NULL,
+  metric VARCHAR(50),
+  metric_value DECIMAL(30, 8),
+  payload JSONB NOT NULL,
+  channel_results JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(20) NOT NULL, -- sent | partial | failed | no_channels
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_pair_rule_created ON alerts(pair_address, rule, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_rule ON alerts(rule);
@@ -0,0 +1,5 @@
+-- 010_create_alert_rules (down)
+
+DROP INDEX IF EXISTS idx_alerts_alert_rule_id;
+ALTER TABLE alerts DROP COLUMN IF EXISTS alert_rule_id;
+DROP TABLE IF EXISTS alert_rules;
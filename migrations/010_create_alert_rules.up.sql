@@ -0,0 +1,33 @@
+-- 010_create_alert_rules: user-defined alert conditions, evaluated against processed pairs or snapshot deltas
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id SERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  scope VARCHAR(20) NOT NULL, -- pair | delta
+  expression JSONB NOT NULL,
+  window_minutes INTEGER, -- delta rules: compare the latest snapshot with the oldest one in this window
+  message TEXT, -- optional template, e.g. "{symbol} liquidity {liquidityUsdPct|fixed1}%"
+  channels TEXT[], -- NULL = every configured channel
+  cooldown_minutes INTEGER, -- NULL = ALERT_COOLDOWN_MINUTES
+  realert_improvement_pct DECIMAL(10, 2), -- NULL = ALERT_REALERT_IMPROVEMENT_PCT
+  pair_addresses TEXT[], -- NULL = every pair
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by VARCHAR(100),
+  updated_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (chain_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON alert_rules(chain_id, scope) WHERE enabled;
+
+DROP TRIGGER IF EXISTS update_alert_rules_updated_at ON alert_rules;
+CREATE TRIGGER update_alert_rules_updated_at
+  BEFORE UPDATE ON alert_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Link fired alerts to the rule that produced them
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS alert_rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_alerts_alert_rule_id ON alerts(alert_rule_id);
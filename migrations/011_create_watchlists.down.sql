@@ -0,0 +1,4 @@
+-- 011_create_watchlists (down)
+
+DROP TABLE IF EXISTS watchlist_items;
+DROP TABLE IF EXISTS watchlists;
@@ -0,0 +1,55 @@
+-- 011_create_watchlists: named lists of watched pairs, re-fetched on their own schedule
+
+CREATE TABLE IF NOT EXISTS watchlists (
+  id SERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  channels TEXT[], -- NULL = every configured channel
+  price_change_pct DECIMAL(10, 2) NOT NULL DEFAULT 20, -- notify when price moves this much from the last notified value
+  liquidity_change_pct DECIMAL(10, 2) NOT NULL DEFAULT 30,
+  created_by VARCHAR(100),
+  updated_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (chain_id, name)
+);
+
+-- One row per watched pair per list; holds the latest values and the baseline changes are measured from
+CREATE TABLE IF NOT EXISTS watchlist_items (
+  id SERIAL PRIMARY KEY,
+  watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+  pair_address VARCHAR(255) NOT NULL,
+  note TEXT,
+  added_by VARCHAR(100),
+  dex_id VARCHAR(100),
+  base_token_address VARCHAR(255),
+  base_token_name VARCHAR(255),
+  base_token_symbol VARCHAR(50),
+  price_usd DECIMAL(20, 8),
+  liquidity_usd DECIMAL(20, 2),
+  volume_24h DECIMAL(20, 2),
+  price_change_24h DECIMAL(10, 4),
+  freeze_authority VARCHAR(255),
+  mint_authority VARCHAR(255),
+  status VARCHAR(20), -- status of the pair in tokens, "untracked" or "missing" (not returned by DexScreener)
+  baseline_price_usd DECIMAL(20, 8),
+  baseline_liquidity_usd DECIMAL(20, 2),
+  last_checked_at TIMESTAMP,
+  last_notified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (watchlist_id, pair_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_pair_address ON watchlist_items(pair_address);
+
+DROP TRIGGER IF EXISTS update_watchlists_updated_at ON watchlists;
+CREATE TRIGGER update_watchlists_updated_at
+  BEFORE UPDATE ON watchlists
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_watchlist_items_updated_at ON watchlist_items;
+CREATE TRIGGER update_watchlist_items_updated_at
+  BEFORE UPDATE ON watchlist_items
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,3 @@
+-- 012_create_events (down)
+
+DROP TABLE IF EXISTS events;
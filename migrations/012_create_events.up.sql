@@ -0,0 +1,11 @@
+-- 012_create_events: event log behind the live stream; the monitor inserts and NOTIFYs, the API server LISTENs
+
+CREATE TABLE IF NOT EXISTS events (
+  id BIGSERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  type VARCHAR(50) NOT NULL, -- token.saved | token.updated | token.status_changed | alert.fired | scan.completed
+  data JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at);
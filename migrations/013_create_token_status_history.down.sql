@@ -0,0 +1,3 @@
+-- 013_create_token_status_history (down)
+
+DROP TABLE IF EXISTS token_status_history;
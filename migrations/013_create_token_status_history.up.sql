@@ -0,0 +1,25 @@
+-- 013_create_token_status_history: who changed a token's status, when and why (rug labels are ground truth)
+
+CREATE TABLE IF NOT EXISTS token_status_history (
+  id BIGSERIAL PRIMARY KEY,
+  token_id INTEGER NOT NULL REFERENCES tokens(id) ON DELETE CASCADE,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  pair_address VARCHAR(255) NOT NULL,
+  previous_status VARCHAR(50),
+  status VARCHAR(50) NOT NULL,
+  reason VARCHAR(200),
+  note TEXT,
+  actor VARCHAR(100) NOT NULL DEFAULT 'api',
+  source VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual | bulk | auto | backfill
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_status_history_token ON token_status_history(token_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_token_status_history_status ON token_status_history(status, created_at DESC);
+
+-- Statuses set before this table existed have no known origin; record them as such
+INSERT INTO token_status_history (token_id, chain_id, pair_address, previous_status, status, reason, actor, source, created_at)
+SELECT id, chain_id, pair_address, NULL, status, 'set before status history was recorded', 'system', 'backfill', updated_at
+FROM tokens
+WHERE status <> 'active'
+  AND NOT EXISTS (SELECT 1 FROM token_status_history h WHERE h.token_id = tokens.id);
@@ -0,0 +1,3 @@
+-- 014_create_token_rug_checks (down)
+
+DROP TABLE IF EXISTS token_rug_checks;
@@ -0,0 +1,21 @@
+-- 014_create_token_rug_checks: what the rug detector last saw for each tracked token.
+-- Kept apart from tokens so detector passes do not bump tokens.updated_at (which drives scan freshness).
+
+CREATE TABLE IF NOT EXISTS token_rug_checks (
+  token_id INTEGER PRIMARY KEY REFERENCES tokens(id) ON DELETE CASCADE,
+  liquidity_usd DECIMAL(20, 2),
+  freeze_authority VARCHAR(255),
+  mint_authority VARCHAR(255),
+  risks TEXT[],
+  missing_checks INTEGER NOT NULL DEFAULT 0, -- consecutive checks where DexScreener did not return the pair
+  checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_rug_checks_checked_at ON token_rug_checks(checked_at);
+
+DROP TRIGGER IF EXISTS update_token_rug_checks_updated_at ON token_rug_checks;
+CREATE TRIGGER update_token_rug_checks_updated_at
+  BEFORE UPDATE ON token_rug_checks
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
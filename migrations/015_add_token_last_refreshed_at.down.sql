@@ -0,0 +1,9 @@
+-- 015_add_token_last_refreshed_at (down)
+
+DROP VIEW IF EXISTS active_solana_tokens;
+DROP INDEX IF EXISTS idx_tokens_status_last_refreshed;
+ALTER TABLE tokens DROP COLUMN IF EXISTS last_refreshed_at;
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
@@ -0,0 +1,15 @@
+-- 015_add_token_last_refreshed_at: when the market data in a tokens row was last fetched from DexScreener
+-- (by a scan or the refresh job); the API derives data age and staleness from it
+
+ALTER TABLE tokens ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+UPDATE tokens SET last_refreshed_at = updated_at WHERE last_refreshed_at IS NULL OR last_refreshed_at > updated_at;
+
+CREATE INDEX IF NOT EXISTS idx_tokens_status_last_refreshed ON tokens(status, last_refreshed_at);
+
+-- active_solana_tokens is SELECT *, so recreate it to pick up the new column
+DROP VIEW IF EXISTS active_solana_tokens;
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
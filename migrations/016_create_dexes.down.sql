@@ -0,0 +1,3 @@
+-- 016_create_dexes (down)
+
+DROP TABLE IF EXISTS dexes;
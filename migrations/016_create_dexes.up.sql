@@ -0,0 +1,46 @@
+-- 016_create_dexes: DEX registry per chain. Seeded with the built-in DEXs from config/chains.js;
+-- dexIds a scan meets for the first time are added as 'discovered' and can be edited through /api/config/dexs
+
+CREATE TABLE IF NOT EXISTS dexes (
+  id SERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL DEFAULT 'solana',
+  dex_id VARCHAR(100) NOT NULL, -- DexScreener dexId
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(50) NOT NULL DEFAULT 'Unknown',
+  website VARCHAR(255),
+  fees JSONB NOT NULL DEFAULT '[]', -- fee tiers in percent
+  trust_score SMALLINT NOT NULL DEFAULT 5 CHECK (trust_score BETWEEN 0 AND 10),
+  priority INTEGER NOT NULL DEFAULT 10, -- lower is scanned first
+  enabled BOOLEAN NOT NULL DEFAULT TRUE, -- pairs from disabled DEXs are dropped before the filter
+  source VARCHAR(20) NOT NULL DEFAULT 'api', -- seed | discovered | api
+  pair_count BIGINT NOT NULL DEFAULT 0, -- pairs seen across scans (a pair counts once per scan)
+  first_seen_at TIMESTAMP,
+  last_seen_at TIMESTAMP,
+  created_by VARCHAR(100),
+  updated_by VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (chain_id, dex_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dexes_chain_priority ON dexes(chain_id, priority);
+
+DROP TRIGGER IF EXISTS update_dexes_updated_at ON dexes;
+CREATE TRIGGER update_dexes_updated_at
+  BEFORE UPDATE ON dexes
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO dexes (chain_id, dex_id, name, type, website, fees, trust_score, priority, source, created_by, updated_by) VALUES
+  ('solana', 'raydium', 'Raydium', 'AMM', 'https://raydium.io', '[0.25]', 9, 1, 'seed', 'migration', 'migration'),
+  ('solana', 'orca', 'Orca', 'AMM', 'https://www.orca.so', '[0.3]', 8, 2, 'seed', 'migration', 'migration'),
+  ('solana', 'jupiter', 'Jupiter', 'Aggregator', 'https://jup.ag', '[0.0]', 9, 3, 'seed', 'migration', 'migration'),
+  ('solana', 'serum', 'Serum', 'CLOB', 'https://www.projectserum.com', '[0.0]', 7, 4, 'seed', 'migration', 'migration'),
+  ('base', 'uniswap', 'Uniswap', 'AMM', 'https://app.uniswap.org', '[0.05, 0.3, 1.0]', 9, 1, 'seed', 'migration', 'migration'),
+  ('base', 'aerodrome', 'Aerodrome', 'AMM', 'https://aerodrome.finance', '[0.05, 0.3]', 8, 2, 'seed', 'migration', 'migration'),
+  ('base', 'sushiswap', 'SushiSwap', 'AMM', 'https://www.sushi.com', '[0.3]', 7, 3, 'seed', 'migration', 'migration'),
+  ('base', 'baseswap', 'BaseSwap', 'AMM', 'https://baseswap.fi', '[0.25]', 6, 4, 'seed', 'migration', 'migration'),
+  ('bsc', 'pancakeswap', 'PancakeSwap', 'AMM', 'https://pancakeswap.finance', '[0.25]', 9, 1, 'seed', 'migration', 'migration'),
+  ('bsc', 'uniswap', 'Uniswap', 'AMM', 'https://app.uniswap.org', '[0.05, 0.3, 1.0]', 8, 2, 'seed', 'migration', 'migration'),
+  ('bsc', 'biswap', 'Biswap', 'AMM', 'https://biswap.org', '[0.1]', 6, 3, 'seed', 'migration', 'migration'),
+  ('bsc', 'thena', 'Thena', 'AMM', 'https://thena.fi', '[0.04, 0.2]', 6, 4, 'seed', 'migration', 'migration')
+ON CONFLICT (chain_id, dex_id) DO NOTHING;
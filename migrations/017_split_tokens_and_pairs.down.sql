@@ -0,0 +1,77 @@
+-- 017_split_tokens_and_pairs (down): copy each mint's RugCheck data back onto its pairs and rename pairs to tokens
+
+DROP VIEW IF EXISTS solana_token_risks;
+DROP VIEW IF EXISTS active_solana_tokens;
+DROP VIEW IF EXISTS pair_details;
+
+DROP TRIGGER IF EXISTS update_token_pair_totals ON pairs;
+DROP FUNCTION IF EXISTS update_token_pair_totals();
+
+ALTER TABLE pairs
+  ADD COLUMN IF NOT EXISTS holders_count INTEGER,
+  ADD COLUMN IF NOT EXISTS top_holder_percentage DECIMAL(5, 2),
+  ADD COLUMN IF NOT EXISTS rug_score INTEGER,
+  ADD COLUMN IF NOT EXISTS rug_risks TEXT[],
+  ADD COLUMN IF NOT EXISTS freeze_authority VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS mint_authority VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS update_authority VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS is_mutable BOOLEAN;
+
+-- Not a data change: keep updated_at (it drives scan freshness)
+ALTER TABLE pairs DISABLE TRIGGER update_pairs_updated_at;
+UPDATE pairs p SET
+  holders_count = t.holders_count,
+  top_holder_percentage = t.top_holder_percentage,
+  rug_score = t.rug_score,
+  rug_risks = t.rug_risks,
+  freeze_authority = t.freeze_authority,
+  mint_authority = t.mint_authority,
+  update_authority = t.update_authority,
+  is_mutable = t.is_mutable
+FROM tokens t
+WHERE t.id = p.token_id;
+ALTER TABLE pairs ENABLE TRIGGER update_pairs_updated_at;
+
+ALTER TABLE pairs DROP COLUMN IF EXISTS token_id;
+DROP TABLE IF EXISTS tokens;
+
+ALTER TABLE pairs RENAME TO tokens;
+ALTER SEQUENCE pairs_id_seq RENAME TO tokens_id_seq;
+ALTER TABLE tokens RENAME CONSTRAINT pairs_pkey TO tokens_pkey;
+ALTER TABLE tokens RENAME CONSTRAINT pairs_pair_address_key TO tokens_pair_address_key;
+ALTER INDEX idx_pairs_pair_address RENAME TO idx_tokens_pair_address;
+ALTER INDEX idx_pairs_chain_id RENAME TO idx_tokens_chain_id;
+ALTER INDEX idx_pairs_created_at RENAME TO idx_tokens_created_at;
+ALTER INDEX idx_pairs_status RENAME TO idx_tokens_status;
+ALTER INDEX idx_pairs_volume_24h RENAME TO idx_tokens_volume_24h;
+ALTER INDEX idx_pairs_liquidity_usd RENAME TO idx_tokens_liquidity_usd;
+ALTER INDEX idx_pairs_status_last_refreshed RENAME TO idx_tokens_status_last_refreshed;
+ALTER TRIGGER update_pairs_updated_at ON tokens RENAME TO update_tokens_updated_at;
+
+-- Recreate them on the restored table (the mint table's indexes of these names were dropped with it)
+CREATE INDEX IF NOT EXISTS idx_tokens_holders_count ON tokens(holders_count);
+CREATE INDEX IF NOT EXISTS idx_tokens_rug_score ON tokens(rug_score);
+
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
+
+CREATE VIEW solana_token_risks AS
+SELECT
+  id,
+  pair_address,
+  base_token_symbol,
+  dex_id,
+  rug_score,
+  rug_risks,
+  freeze_authority,
+  mint_authority,
+  CASE
+    WHEN rug_score <= 2 THEN 'Low'
+    WHEN rug_score <= 5 THEN 'Medium'
+    WHEN rug_score <= 7 THEN 'High'
+    ELSE 'Very High'
+  END AS risk_level
+FROM tokens
+WHERE status = 'active' AND chain_id = 'solana';
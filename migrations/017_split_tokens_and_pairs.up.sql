@@ -0,0 +1,170 @@
+-- 017_split_tokens_and_pairs: the pair-keyed tokens table becomes pairs (one row per pool), and a new
+-- tokens table holds one row per mint with its RugCheck data and totals across its active pairs.
+-- token_id in token_snapshots, alerts, token_status_history and token_rug_checks keeps pointing at the
+-- pool row (now pairs.id). pair_details joins each pair with its mint in the old flat shape.
+
+DROP VIEW IF EXISTS solana_token_risks;
+DROP VIEW IF EXISTS active_solana_tokens;
+
+ALTER TABLE tokens RENAME TO pairs;
+ALTER SEQUENCE tokens_id_seq RENAME TO pairs_id_seq;
+ALTER TABLE pairs RENAME CONSTRAINT tokens_pkey TO pairs_pkey;
+ALTER TABLE pairs RENAME CONSTRAINT tokens_pair_address_key TO pairs_pair_address_key;
+ALTER INDEX idx_tokens_pair_address RENAME TO idx_pairs_pair_address;
+ALTER INDEX idx_tokens_chain_id RENAME TO idx_pairs_chain_id;
+ALTER INDEX idx_tokens_created_at RENAME TO idx_pairs_created_at;
+ALTER INDEX idx_tokens_status RENAME TO idx_pairs_status;
+ALTER INDEX idx_tokens_volume_24h RENAME TO idx_pairs_volume_24h;
+ALTER INDEX idx_tokens_liquidity_usd RENAME TO idx_pairs_liquidity_usd;
+ALTER INDEX idx_tokens_status_last_refreshed RENAME TO idx_pairs_status_last_refreshed;
+-- These two go with their columns below; renaming them frees the names for the new tokens table
+ALTER INDEX idx_tokens_holders_count RENAME TO idx_pairs_holders_count;
+ALTER INDEX idx_tokens_rug_score RENAME TO idx_pairs_rug_score;
+ALTER TRIGGER update_tokens_updated_at ON pairs RENAME TO update_pairs_updated_at;
+
+CREATE TABLE IF NOT EXISTS tokens (
+  id SERIAL PRIMARY KEY,
+  chain_id VARCHAR(50) NOT NULL,
+  address VARCHAR(255) NOT NULL, -- mint address
+  name VARCHAR(255),
+  symbol VARCHAR(50),
+  holders_count INTEGER,
+  top_holder_percentage DECIMAL(5, 2),
+  rug_score INTEGER,
+  rug_risks TEXT[],
+  freeze_authority VARCHAR(255),
+  mint_authority VARCHAR(255),
+  update_authority VARCHAR(255),
+  is_mutable BOOLEAN,
+  rug_checked_at TIMESTAMP,
+  -- Totals across the mint's active pairs, kept current by the pairs trigger below
+  pair_count INTEGER NOT NULL DEFAULT 0,
+  total_liquidity_usd DECIMAL(20, 2) NOT NULL DEFAULT 0,
+  total_volume_24h DECIMAL(20, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (chain_id, address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tokens_total_liquidity ON tokens(total_liquidity_usd);
+CREATE INDEX IF NOT EXISTS idx_tokens_holders_count ON tokens(holders_count);
+CREATE INDEX IF NOT EXISTS idx_tokens_rug_score ON tokens(rug_score);
+
+DROP TRIGGER IF EXISTS update_tokens_updated_at ON tokens;
+CREATE TRIGGER update_tokens_updated_at
+  BEFORE UPDATE ON tokens
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One mint row per (chain, base token), taking the RugCheck data of its most recently updated pair
+INSERT INTO tokens (
+  chain_id, address, name, symbol, holders_count, top_holder_percentage, rug_score, rug_risks,
+  freeze_authority, mint_authority, update_authority, is_mutable, rug_checked_at
+)
+SELECT DISTINCT ON (chain_id, base_token_address)
+  chain_id, base_token_address, base_token_name, base_token_symbol, holders_count, top_holder_percentage,
+  rug_score, rug_risks, freeze_authority, mint_authority, update_authority, is_mutable, updated_at
+FROM pairs
+ORDER BY chain_id, base_token_address, updated_at DESC
+ON CONFLICT (chain_id, address) DO NOTHING;
+
+ALTER TABLE pairs ADD COLUMN IF NOT EXISTS token_id INTEGER REFERENCES tokens(id) ON DELETE CASCADE;
+
+UPDATE pairs p SET token_id = t.id
+FROM tokens t
+WHERE t.chain_id = p.chain_id AND t.address = p.base_token_address;
+
+ALTER TABLE pairs ALTER COLUMN token_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pairs_token_id ON pairs(token_id);
+
+ALTER TABLE pairs
+  DROP COLUMN IF EXISTS holders_count,
+  DROP COLUMN IF EXISTS top_holder_percentage,
+  DROP COLUMN IF EXISTS rug_score,
+  DROP COLUMN IF EXISTS rug_risks,
+  DROP COLUMN IF EXISTS freeze_authority,
+  DROP COLUMN IF EXISTS mint_authority,
+  DROP COLUMN IF EXISTS update_authority,
+  DROP COLUMN IF EXISTS is_mutable;
+
+CREATE OR REPLACE FUNCTION update_token_pair_totals()
+RETURNS TRIGGER AS $$
+DECLARE
+  affected_token_id INTEGER := CASE WHEN TG_OP = 'DELETE' THEN OLD.token_id ELSE NEW.token_id END;
+BEGIN
+  UPDATE tokens t SET
+    pair_count = totals.pair_count,
+    total_liquidity_usd = totals.total_liquidity_usd,
+    total_volume_24h = totals.total_volume_24h
+  FROM (
+    SELECT
+      COUNT(*) AS pair_count,
+      COALESCE(SUM(liquidity_usd), 0) AS total_liquidity_usd,
+      COALESCE(SUM(volume_24h), 0) AS total_volume_24h
+    FROM pairs
+    WHERE token_id = affected_token_id AND status = 'active'
+  ) totals
+  WHERE t.id = affected_token_id;
+  RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_token_pair_totals ON pairs;
+CREATE TRIGGER update_token_pair_totals
+  AFTER INSERT OR DELETE OR UPDATE OF liquidity_usd, volume_24h, status ON pairs
+  FOR EACH ROW EXECUTE FUNCTION update_token_pair_totals();
+
+-- Backfill the totals
+UPDATE tokens t SET
+  pair_count = totals.pair_count,
+  total_liquidity_usd = totals.total_liquidity_usd,
+  total_volume_24h = totals.total_volume_24h
+FROM (
+  SELECT token_id, COUNT(*) AS pair_count, COALESCE(SUM(liquidity_usd), 0) AS total_liquidity_usd, COALESCE(SUM(volume_24h), 0) AS total_volume_24h
+  FROM pairs
+  WHERE status = 'active'
+  GROUP BY token_id
+) totals
+WHERE t.id = totals.token_id;
+
+-- Each pair with its mint's RugCheck data and totals (the columns the old tokens table had, plus mint_*)
+CREATE VIEW pair_details AS
+SELECT
+  p.*,
+  t.holders_count,
+  t.top_holder_percentage,
+  t.rug_score,
+  t.rug_risks,
+  t.freeze_authority,
+  t.mint_authority,
+  t.update_authority,
+  t.is_mutable,
+  t.rug_checked_at,
+  t.pair_count AS mint_pair_count,
+  t.total_liquidity_usd AS mint_total_liquidity_usd,
+  t.total_volume_24h AS mint_total_volume_24h
+FROM pairs p
+JOIN tokens t ON t.id = p.token_id;
+
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM pair_details
+WHERE status = 'active' AND chain_id = 'solana';
+
+CREATE VIEW solana_token_risks AS
+SELECT
+  id,
+  pair_address,
+  base_token_symbol,
+  dex_id,
+  rug_score,
+  rug_risks,
+  freeze_authority,
+  mint_authority,
+  CASE
+    WHEN rug_score <= 2 THEN 'Low'
+    WHEN rug_score <= 5 THEN 'Medium'
+    WHEN rug_score <= 7 THEN 'High'
+    ELSE 'Very High'
+  END AS risk_level
+FROM pair_details
+WHERE status = 'active' AND chain_id = 'solana';
@@ -0,0 +1,55 @@
+-- 018_add_mint_account_data (down): restore pair_details without the mint account columns and drop them
+
+DROP VIEW IF EXISTS solana_token_risks;
+DROP VIEW IF EXISTS active_solana_tokens;
+DROP VIEW IF EXISTS pair_details;
+
+ALTER TABLE tokens
+  DROP COLUMN IF EXISTS token_program,
+  DROP COLUMN IF EXISTS decimals,
+  DROP COLUMN IF EXISTS supply,
+  DROP COLUMN IF EXISTS mint_extensions,
+  DROP COLUMN IF EXISTS authority_source,
+  DROP COLUMN IF EXISTS mint_checked_at;
+
+CREATE VIEW pair_details AS
+SELECT
+  p.*,
+  t.holders_count,
+  t.top_holder_percentage,
+  t.rug_score,
+  t.rug_risks,
+  t.freeze_authority,
+  t.mint_authority,
+  t.update_authority,
+  t.is_mutable,
+  t.rug_checked_at,
+  t.pair_count AS mint_pair_count,
+  t.total_liquidity_usd AS mint_total_liquidity_usd,
+  t.total_volume_24h AS mint_total_volume_24h
+FROM pairs p
+JOIN tokens t ON t.id = p.token_id;
+
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM pair_details
+WHERE status = 'active' AND chain_id = 'solana';
+
+CREATE VIEW solana_token_risks AS
+SELECT
+  id,
+  pair_address,
+  base_token_symbol,
+  dex_id,
+  rug_score,
+  rug_risks,
+  freeze_authority,
+  mint_authority,
+  CASE
+    WHEN rug_score <= 2 THEN 'Low'
+    WHEN rug_score <= 5 THEN 'Medium'
+    WHEN rug_score <= 7 THEN 'High'
+    ELSE 'Very High'
+  END AS risk_level
+FROM pair_details
+WHERE status = 'active' AND chain_id = 'solana';
@@ -0,0 +1,35 @@
+-- 018_add_mint_account_data: the SPL mint account as read over Solana RPC (config/solanaRpc.js).
+-- authority_source records where freeze_authority/mint_authority came from: 'rpc', 'rugcheck' or 'none'
+-- (neither answered); it is NULL for mints last saved before this migration.
+
+ALTER TABLE tokens
+  ADD COLUMN IF NOT EXISTS token_program VARCHAR(20), -- 'spl-token' or 'token-2022'
+  ADD COLUMN IF NOT EXISTS decimals SMALLINT,
+  ADD COLUMN IF NOT EXISTS supply NUMERIC(39, 0), -- raw u64 amount, not adjusted for decimals
+  ADD COLUMN IF NOT EXISTS mint_extensions JSONB, -- decoded Token-2022 extensions, keyed by name
+  ADD COLUMN IF NOT EXISTS authority_source VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS mint_checked_at TIMESTAMP;
+
+-- New columns go last so the views built on pair_details keep working
+CREATE OR REPLACE VIEW pair_details AS
+SELECT
+  p.*,
+  t.holders_count,
+  t.top_holder_percentage,
+  t.rug_score,
+  t.rug_risks,
+  t.freeze_authority,
+  t.mint_authority,
+  t.update_authority,
+  t.is_mutable,
+  t.rug_checked_at,
+  t.pair_count AS mint_pair_count,
+  t.total_liquidity_usd AS mint_total_liquidity_usd,
+  t.total_volume_24h AS mint_total_volume_24h,
+  t.token_program,
+  t.decimals,
+  t.supply,
+  t.mint_extensions,
+  t.authority_source
+FROM pairs p
+JOIN tokens t ON t.id = p.token_id;
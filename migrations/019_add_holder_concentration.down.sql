@@ -0,0 +1,61 @@
+-- 019_add_holder_concentration (down): restore pair_details without the holder concentration columns and drop them
+
+DROP VIEW IF EXISTS solana_token_risks;
+DROP VIEW IF EXISTS active_solana_tokens;
+DROP VIEW IF EXISTS pair_details;
+
+ALTER TABLE token_snapshots
+  DROP COLUMN IF EXISTS top10_holder_percentage,
+  DROP COLUMN IF EXISTS top20_holder_percentage;
+
+ALTER TABLE tokens
+  DROP COLUMN IF EXISTS top10_holder_percentage,
+  DROP COLUMN IF EXISTS top20_holder_percentage,
+  DROP COLUMN IF EXISTS holder_source;
+
+CREATE VIEW pair_details AS
+SELECT
+  p.*,
+  t.holders_count,
+  t.top_holder_percentage,
+  t.rug_score,
+  t.rug_risks,
+  t.freeze_authority,
+  t.mint_authority,
+  t.update_authority,
+  t.is_mutable,
+  t.rug_checked_at,
+  t.pair_count AS mint_pair_count,
+  t.total_liquidity_usd AS mint_total_liquidity_usd,
+  t.total_volume_24h AS mint_total_volume_24h,
+  t.token_program,
+  t.decimals,
+  t.supply,
+  t.mint_extensions,
+  t.authority_source
+FROM pairs p
+JOIN tokens t ON t.id = p.token_id;
+
+CREATE VIEW active_solana_tokens AS
+SELECT *
+FROM pair_details
+WHERE status = 'active' AND chain_id = 'solana';
+
+CREATE VIEW solana_token_risks AS
+SELECT
+  id,
+  pair_address,
+  base_token_symbol,
+  dex_id,
+  rug_score,
+  rug_risks,
+  freeze_authority,
+  mint_authority,
+  CASE
+    WHEN rug_score <= 2 THEN 'Low'
+    WHEN rug_score <= 5 THEN 'Medium'
+    WHEN rug_score <= 7 THEN 'High'
+    ELSE 'Very High'
+  END AS risk_level
+FROM pair_details
+WHERE status = 'active' AND chain_id = 'solana';
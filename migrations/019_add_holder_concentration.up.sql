@@ -0,0 +1,39 @@
+-- 019_add_holder_concentration: share of supply held by the 10 and 20 largest real holders (burn,
+-- program and LP vault accounts excluded), per mint and per snapshot. holder_source records where the
+-- holder stats came from: 'rpc' (largest token accounts, config/holders.js), 'rugcheck' or 'none'.
+
+ALTER TABLE tokens
+  ADD COLUMN IF NOT EXISTS top10_holder_percentage DECIMAL(5, 2),
+  ADD COLUMN IF NOT EXISTS top20_holder_percentage DECIMAL(5, 2),
+  ADD COLUMN IF NOT EXISTS holder_source VARCHAR(20);
+
+ALTER TABLE token_snapshots
+  ADD COLUMN IF NOT EXISTS top10_holder_percentage DECIMAL(5, 2),
+  ADD COLUMN IF NOT EXISTS top20_holder_percentage DECIMAL(5, 2);
+
+-- New columns go last so the views built on pair_details keep working
+CREATE OR REPLACE VIEW pair_details AS
+SELECT
+  p.*,
+  t.holders_count,
+  t.top_holder_percentage,
+  t.rug_score,
+  t.rug_risks,
+  t.freeze_authority,
+  t.mint_authority,
+  t.update_authority,
+  t.is_mutable,
+  t.rug_checked_at,
+  t.pair_count AS mint_pair_count,
+  t.total_liquidity_usd AS mint_total_liquidity_usd,
+  t.total_volume_24h AS mint_total_volume_24h,
+  t.token_program,
+  t.decimals,
+  t.supply,
+  t.mint_extensions,
+  t.authority_source,
+  t.top10_holder_percentage,
+  t.top20_holder_percentage,
+  t.holder_source
+FROM pairs p
+JOIN tokens t ON t.id = p.token_id;
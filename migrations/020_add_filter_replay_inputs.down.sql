@@ -0,0 +1,11 @@
+-- 020_add_filter_replay_inputs (down): drop the rejection inputs and snapshot authorities
+
+DROP INDEX IF EXISTS idx_token_rejections_chain_time;
+
+ALTER TABLE token_snapshots
+  DROP COLUMN IF EXISTS freeze_authority,
+  DROP COLUMN IF EXISTS mint_authority,
+  DROP COLUMN IF EXISTS authority_source;
+
+ALTER TABLE token_rejections
+  DROP COLUMN IF EXISTS filter_inputs;
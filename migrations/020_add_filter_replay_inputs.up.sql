@@ -0,0 +1,14 @@
+-- 020_add_filter_replay_inputs: what filter simulations (config/backtest.js) need to replay the past.
+-- token_rejections.filter_inputs holds the pair and rug data a rejected pair was filtered on, since
+-- rejected pairs never get a pairs row or snapshots. Snapshots record the mint and freeze authority
+-- of their time; authority_source is NULL for snapshots taken before this migration.
+
+ALTER TABLE token_rejections
+  ADD COLUMN IF NOT EXISTS filter_inputs JSONB;
+
+ALTER TABLE token_snapshots
+  ADD COLUMN IF NOT EXISTS freeze_authority VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS mint_authority VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS authority_source VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_token_rejections_chain_time ON token_rejections(chain_id, rejected_at);
@@ -1,8 +1,8 @@
-// server.js - Solana-focused Express API server
+// server.js - Token monitor Express API server (Solana by default, other chains via ?chain=)
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { db, api, filters, solana, logging, appConfig } = require('./config');
+const { db, api, filters, chains, dexes, logging, notifiers, webhooks, alerts, watchlists, events, tokenStatus, appConfig } = require('./config');
 // require('dotenv').config(); // Handled in config/index.js
 
 const app = express();
@@ -12,6 +12,9 @@ const { logger } = logging;
 // Use the centralized pool from config
 const pool = db.pool;
 
+// Fans out events published by the monitor (and this server) to /api/stream clients
+const eventStream = new events.EventStream();
+
 // Middleware
 app.use(cors({ origin: appConfig.corsOrigin }));
 app.use(express.json());
@@ -23,90 +26,133 @@ app.use((req, res, next) => {
   next();
 });
 
+// Who made a config change: X-Actor header, then body.actor
+function getActor(req) {
+  const actor = req.get('X-Actor') || (req.body && req.body.actor) || 'api';
+  return String(actor).slice(0, 100);
+}
+
+// Filter for a chain with its active profile applied (rule file defaults if none is active)
+async function getActiveFilter(chainId = chains.defaultChain) {
+  const filterInstance = new filters.SolanaTokenFilter({}, { chainId });
+  filterInstance.setProfile(await filters.profiles.getActiveProfile(chainId));
+  return filterInstance;
+}
+
+// The `chain` query parameter: a registry chain (default solana) or, where `allowAll`, "all".
+// Returns the chain ids to query, or null after sending a 400.
+function parseChainParam(req, res, { allowAll = false } = {}) {
+  const { chain = chains.defaultChain } = req.query;
+  if (allowAll && chain === 'all') {
+    return chains.getSupportedChains();
+  }
+
+  if (!chains.isSupportedChain(chain)) {
+    res.status(400).json({
+      error: 'Invalid chain',
+      supportedChains: allowAll ? [...chains.getSupportedChains(), 'all'] : chains.getSupportedChains()
+    });
+    return null;
+  }
+  return [chain];
+}
+
+// Enabled DEX ids on any of the chains, by priority
+function getEnabledDEXs(registries) {
+  return [...new Set([...registries.values()].flatMap(registry => registry.getEnabledDEXs()))];
+}
+
+// Profile params are checked against the chain's rule file params
+function validateProfileParams(params, chainId) {
+  return filters.profiles.validateProfileParams(params, filters.getRuleSet(filters.getRulesPath(chainId)).params);
+}
+
+// Market data older than TOKEN_STALE_AFTER_MINUTES counts as stale (an integer from config, not user input)
+const STALE_CONDITION = `last_refreshed_at < CURRENT_TIMESTAMP - (${parseInt(appConfig.tokenStaleAfterMinutes)} * INTERVAL '1 minute')`;
+const DATA_AGE_COLUMNS = `EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_refreshed_at))::int AS data_age_seconds, ${STALE_CONDITION} AS is_stale`;
+
 // API Routes
 
-// Get all Solana tokens with filters
+// /api/tokens threshold parameters: [query param, filter param it defaults to, column, operator, parser]
+const TOKEN_THRESHOLD_FILTERS = [
+  ['minVolume', 'minVolume24h', 'volume_24h', '>=', parseFloat],
+  ['maxVolume', 'maxVolume24h', 'volume_24h', '<=', parseFloat],
+  ['minLiquidity', 'minLiquidity', 'liquidity_usd', '>=', parseFloat],
+  ['maxLiquidity', 'maxLiquidity', 'liquidity_usd', '<=', parseFloat],
+  ['minTotalLiquidity', 'minTotalLiquidity', 'mint_total_liquidity_usd', '>=', parseFloat],
+  ['minSOLLiquidity', 'minSOLLiquidity', 'sol_liquidity', '>=', parseFloat],
+  ['minHolders', 'minHolders', 'holders_count', '>=', parseInt],
+  ['maxRugScore', 'maxRugScore', 'rug_score', '<=', parseInt]
+];
+
+// Get tokens with filters (chain=all lists every chain)
 app.get('/api/tokens', async (req, res) => {
   try {
     const {
+      chain = chains.defaultChain,
       limit = 50,
       offset = 0,
       dex,
-      minVolume = filters.config.minVolume24h,
-      maxVolume = filters.config.maxVolume24h,
-      minLiquidity = filters.config.minLiquidity,
-      maxLiquidity = filters.config.maxLiquidity,
-      minHolders = filters.config.minHolders,
-      maxRugScore = filters.config.maxRugScore,
-      minSOLLiquidity = filters.config.minSOLLiquidity,
+      stale,
       sortBy = 'pair_created_at',
       sortOrder = 'DESC'
     } = req.query;
 
-    let query = 'SELECT * FROM tokens WHERE status = $1 AND chain_id = $2';
-    let params = ['active', 'solana'];
-    let paramCount = 2;
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
 
-    // Add Solana-specific filters
-    if (dex) {
-      // Validate DEX exists on Solana
-      if (!solana.validateDEX(dex)) {
-        return res.status(400).json({ 
-          error: 'Invalid DEX', 
-          supportedDEXs: solana.getSupportedDEXs() 
-        });
-      }
-      paramCount++;
-      query += ` AND dex_id = $${paramCount}`;
-      params.push(dex);
+    if (stale !== undefined && !['true', 'false'].includes(stale)) {
+      return res.status(400).json({ error: 'stale must be true or false' });
     }
 
-    if (minVolume) {
-      paramCount++;
-      query += ` AND volume_24h >= $${paramCount}`;
-      params.push(parseFloat(minVolume));
+    // Validate DEX is in the registry of one of the chains
+    const registries = await dexes.loadDexRegistries(chainIds);
+    if (dex && ![...registries.values()].some(registry => registry.has(dex))) {
+      return res.status(400).json({ 
+        error: 'Invalid DEX', 
+        supportedDEXs: getEnabledDEXs(registries) 
+      });
     }
 
-    if (maxVolume) {
-      paramCount++;
-      query += ` AND volume_24h <= $${paramCount}`;
-      params.push(parseFloat(maxVolume));
-    }
+    const params = ['active'];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
 
-    if (minLiquidity) {
-      paramCount++;
-      query += ` AND liquidity_usd >= $${paramCount}`;
-      params.push(parseFloat(minLiquidity));
+    // Thresholds missing from the query default to the chain's active filter profile,
+    // so with chain=all each chain is filtered by its own defaults
+    const chainConditions = [];
+    for (const chainId of chainIds) {
+      const filterDefaults = (await getActiveFilter(chainId)).getConfig();
+      const conditions = [`chain_id = ${addParam(chainId)}`];
+
+      for (const [name, defaultName, column, operator, parse] of TOKEN_THRESHOLD_FILTERS) {
+        const value = req.query[name] !== undefined ? req.query[name] : filterDefaults[defaultName];
+        if (value) {
+          conditions.push(`${column} ${operator} ${addParam(parse(value))}`);
+        }
+      }
+      chainConditions.push(`(${conditions.join(' AND ')})`);
     }
 
-    if (maxLiquidity) {
-      paramCount++;
-      query += ` AND liquidity_usd <= $${paramCount}`;
-      params.push(parseFloat(maxLiquidity));
-    }
+    let whereClause = `WHERE status = $1 AND (${chainConditions.join(' OR ')})`;
 
-    if (minSOLLiquidity) {
-      paramCount++;
-      query += ` AND sol_liquidity >= $${paramCount}`;
-      params.push(parseFloat(minSOLLiquidity));
+    if (stale !== undefined) {
+      whereClause += ` AND ${stale === 'true' ? '' : 'NOT '}(${STALE_CONDITION})`;
     }
 
-    if (minHolders) {
-      paramCount++;
-      query += ` AND holders_count >= $${paramCount}`;
-      params.push(parseInt(minHolders));
+    if (dex) {
+      whereClause += ` AND dex_id = ${addParam(dex)}`;
     }
 
-    if (maxRugScore) {
-      paramCount++;
-      query += ` AND rug_score <= $${paramCount}`;
-      params.push(parseInt(maxRugScore));
-    }
+    let query = `SELECT *, ${DATA_AGE_COLUMNS} FROM pair_details ${whereClause}`;
 
     // Add sorting
     const validSortColumns = [
       'pair_created_at', 'volume_24h', 'liquidity_usd', 'price_change_24h', 
-      'holders_count', 'rug_score', 'sol_liquidity', 'price_sol', 'volume_5m', 'price_change_5m'
+      'holders_count', 'rug_score', 'sol_liquidity', 'price_sol', 'volume_5m', 'price_change_5m',
+      'mint_total_liquidity_usd'
     ];
     const validSortOrders = ['ASC', 'DESC'];
     
@@ -114,79 +160,21 @@ app.get('/api/tokens', async (req, res) => {
       query += ` ORDER BY ${sortBy} ${sortOrder.toUpperCase()}`;
     }
 
-    // Add pagination
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    params.push(parseInt(limit));
+    // Total count for pagination uses the same filters
+    const countResult = await pool.query(`SELECT COUNT(*) FROM pair_details ${whereClause}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
 
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    params.push(parseInt(offset));
+    // Add pagination
+    query += ` LIMIT ${addParam(parseInt(limit))} OFFSET ${addParam(parseInt(offset))}`;
 
     const result = await pool.query(query, params);
-    
-    // Get total count for pagination (Solana tokens only)
-    let countQuery = 'SELECT COUNT(*) FROM tokens WHERE status = $1 AND chain_id = $2';
-    let countParams = ['active', 'solana'];
-    let countParamCount = 2;
-
-    // Add same filters to count query
-    if (dex) {
-      countParamCount++;
-      countQuery += ` AND dex_id = $${countParamCount}`;
-      countParams.push(dex);
-    }
-
-    if (minVolume) {
-      countParamCount++;
-      countQuery += ` AND volume_24h >= $${countParamCount}`;
-      countParams.push(parseFloat(minVolume));
-    }
-
-    if (maxVolume) {
-      countParamCount++;
-      countQuery += ` AND volume_24h <= $${countParamCount}`;
-      countParams.push(parseFloat(maxVolume));
-    }
-
-    if (minLiquidity) {
-      countParamCount++;
-      countQuery += ` AND liquidity_usd >= $${countParamCount}`;
-      countParams.push(parseFloat(minLiquidity));
-    }
-
-    if (maxLiquidity) {
-      countParamCount++;
-      countQuery += ` AND liquidity_usd <= $${countParamCount}`;
-      countParams.push(parseFloat(maxLiquidity));
-    }
-
-    if (minSOLLiquidity) {
-      countParamCount++;
-      countQuery += ` AND sol_liquidity >= $${countParamCount}`;
-      countParams.push(parseFloat(minSOLLiquidity));
-    }
-
-    if (minHolders) {
-      countParamCount++;
-      countQuery += ` AND holders_count >= $${countParamCount}`;
-      countParams.push(parseInt(minHolders));
-    }
-
-    if (maxRugScore) {
-      countParamCount++;
-      countQuery += ` AND rug_score <= $${countParamCount}`;
-      countParams.push(parseInt(maxRugScore));
-    }
-
-    const countResult = await pool.query(countQuery, countParams);
-    const totalCount = parseInt(countResult.rows[0].count);
 
-    logger.info(`Fetched ${result.rows.length} Solana tokens`, { 
+    logger.info(`Fetched ${result.rows.length} tokens`, { 
+      chain,
       total: totalCount, 
       limit, 
       offset,
-      filters: { dex, minVolume, minLiquidity, minHolders }
+      filters: { dex, minVolume: req.query.minVolume, minLiquidity: req.query.minLiquidity, minHolders: req.query.minHolders }
     });
 
     res.json({
@@ -197,8 +185,9 @@ app.get('/api/tokens', async (req, res) => {
         offset: parseInt(offset),
         pages: Math.ceil(totalCount / parseInt(limit))
       },
-      chain: 'solana',
-      supportedDEXs: solana.getSupportedDEXs()
+      chain,
+      supportedDEXs: getEnabledDEXs(registries),
+      staleAfterMinutes: appConfig.tokenStaleAfterMinutes
     });
 
   } catch (error) {
@@ -207,23 +196,26 @@ app.get('/api/tokens', async (req, res) => {
   }
 });
 
-// Get single Solana token by pair address
+// Get single token by pair address (pair addresses are unique across chains)
 app.get('/api/tokens/:pairAddress', async (req, res) => {
   try {
     const { pairAddress } = req.params;
     const result = await pool.query(
-      'SELECT * FROM tokens WHERE pair_address = $1 AND chain_id = $2',
-      [pairAddress, 'solana']
+      `SELECT *, ${DATA_AGE_COLUMNS} FROM pair_details WHERE pair_address = $1`,
+      [pairAddress]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Solana token not found' });
+      return res.status(404).json({ error: 'Token not found' });
     }
 
     // Add DEX information
     const token = result.rows[0];
-    token.dexInfo = solana.getDEXConfig(token.dex_id);
-    token.chainInfo = solana.getChainDisplayInfo();
+    token.dexInfo = (await new dexes.DexRegistry(token.chain_id).load()).get(token.dex_id);
+    token.chainInfo = chains.getChainDisplayInfo(token.chain_id);
+
+    // Most recent status changes (full list: /status-history)
+    token.statusHistory = (await tokenStatus.getStatusHistory(token.id, { limit: 20 })).history;
 
     logger.debug(`Fetched token details: ${token.base_token_symbol}`, { pairAddress });
 
@@ -234,17 +226,124 @@ app.get('/api/tokens/:pairAddress', async (req, res) => {
   }
 });
 
-// Get Solana-specific statistics
+// Supported history bucket sizes (seconds)
+const HISTORY_INTERVALS = {
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '4h': 4 * 60 * 60,
+  '1d': 24 * 60 * 60
+};
+const MAX_HISTORY_BUCKETS = 2000;
+
+// interval/from/to of a history request (default: the last 24h in 1h buckets);
+// sends the 400 and returns null when they are invalid
+function parseHistoryRange(req, res) {
+  const { interval = '1h' } = req.query;
+
+  const bucketSeconds = HISTORY_INTERVALS[interval];
+  if (!bucketSeconds) {
+    res.status(400).json({
+      error: 'Invalid interval',
+      validIntervals: Object.keys(HISTORY_INTERVALS)
+    });
+    return null;
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    res.status(400).json({ error: 'Invalid from/to date' });
+    return null;
+  }
+
+  if (from >= to) {
+    res.status(400).json({ error: '"from" must be earlier than "to"' });
+    return null;
+  }
+
+  if ((to - from) / 1000 / bucketSeconds > MAX_HISTORY_BUCKETS) {
+    res.status(400).json({
+      error: `Range too large for interval ${interval} (max ${MAX_HISTORY_BUCKETS} buckets)`
+    });
+    return null;
+  }
+
+  return { interval, bucketSeconds, from, to };
+}
+
+// Get bucketed snapshot history for a token
+app.get('/api/tokens/:pairAddress/history', async (req, res) => {
+  try {
+    const { pairAddress } = req.params;
+    const range = parseHistoryRange(req, res);
+    if (!range) return;
+    const { interval, bucketSeconds, from, to } = range;
+
+    const tokenResult = await pool.query('SELECT id FROM pairs WHERE pair_address = $1', [pairAddress]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    // Each bucket reports the last value seen in it, plus price range and sample count
+    const query = `
+      SELECT
+        to_timestamp(floor(extract(epoch FROM captured_at) / $2) * $2) AS bucket,
+        COUNT(*) AS samples,
+        (array_agg(price_usd ORDER BY captured_at DESC))[1] AS price_usd,
+        MIN(price_usd) AS price_usd_low,
+        MAX(price_usd) AS price_usd_high,
+        (array_agg(price_sol ORDER BY captured_at DESC))[1] AS price_sol,
+        (array_agg(liquidity_usd ORDER BY captured_at DESC))[1] AS liquidity_usd,
+        (array_agg(sol_liquidity ORDER BY captured_at DESC))[1] AS sol_liquidity,
+        (array_agg(volume_24h ORDER BY captured_at DESC))[1] AS volume_24h,
+        (array_agg(volume_6h ORDER BY captured_at DESC))[1] AS volume_6h,
+        (array_agg(volume_1h ORDER BY captured_at DESC))[1] AS volume_1h,
+        (array_agg(volume_5m ORDER BY captured_at DESC))[1] AS volume_5m,
+        (array_agg(holders_count ORDER BY captured_at DESC))[1] AS holders_count,
+        (array_agg(top10_holder_percentage ORDER BY captured_at DESC))[1] AS top10_holder_percentage,
+        (array_agg(top20_holder_percentage ORDER BY captured_at DESC))[1] AS top20_holder_percentage,
+        (array_agg(rug_score ORDER BY captured_at DESC))[1] AS rug_score
+      FROM token_snapshots
+      WHERE pair_address = $1 AND captured_at >= $3 AND captured_at < $4
+      GROUP BY bucket
+      ORDER BY bucket ASC
+    `;
+
+    const result = await pool.query(query, [pairAddress, bucketSeconds, from, to]);
+
+    logger.debug(`Fetched ${result.rows.length} history buckets`, { pairAddress, interval });
+
+    res.json({
+      pairAddress,
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching token history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get statistics for a chain (chain=all covers every chain)
 app.get('/api/stats', async (req, res) => {
   try {
+    const { chain = chains.defaultChain } = req.query;
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
+
     const queries = {
-      total: 'SELECT COUNT(*) FROM tokens WHERE status = $1 AND chain_id = $2',
-      totalVolume: 'SELECT SUM(volume_24h) as total_volume FROM tokens WHERE status = $1 AND chain_id = $2',
-      avgLiquidity: 'SELECT AVG(liquidity_usd) as avg_liquidity FROM tokens WHERE status = $1 AND chain_id = $2',
+      total: 'SELECT COUNT(*) FROM pairs WHERE status = $1 AND chain_id = ANY($2)',
+      totalVolume: 'SELECT SUM(volume_24h) as total_volume FROM pairs WHERE status = $1 AND chain_id = ANY($2)',
+      avgLiquidity: 'SELECT AVG(liquidity_usd) as avg_liquidity FROM pairs WHERE status = $1 AND chain_id = ANY($2)',
     };
 
     const results = {};
-    const queryParams = ['active', 'solana'];
+    const queryParams = ['active', chainIds];
     
     for (const [key, query] of Object.entries(queries)) {
       logger.debug(`Executing stats query for ${key}: ${query}`, { params: queryParams });
@@ -252,16 +351,19 @@ app.get('/api/stats', async (req, res) => {
       results[key] = result.rows;
     }
 
-    // Add Solana-specific metadata
+ 
+    // Add chain metadata
+    const enabledDEXs = getEnabledDEXs(await dexes.loadDexRegistries(chainIds));
     results.metadata = {
-      chain: 'solana',
-      cluster: solana.config.cluster,
-      supportedDEXs: solana.getSupportedDEXs(),
-      priorityDEXs: solana.getDEXsByPriority(),
+      chain,
+      monitoredChains: appConfig.monitorChains,
+      cluster: chainIds.includes('solana') ? chains.getChainConfig('solana').cluster : null,
+      supportedDEXs: enabledDEXs,
+      priorityDEXs: enabledDEXs,
       lastUpdated: new Date().toISOString()
     };
 
-    logger.debug('Generated Solana statistics', { 
+    logger.debug(`Generated ${chain} statistics`, { 
       totalTokens: results.total[0]?.count || 0,
       // dexCount: results.dexs.length // Removed since 'dexs' query is removed
     });
@@ -277,12 +379,16 @@ app.get('/api/stats', async (req, res) => {
 app.get('/api/stats/dex/:dexId', async (req, res) => {
   try {
     const { dexId } = req.params;
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+    const [chainId] = chainIds;
     
     // Validate DEX
-    if (!solana.validateDEX(dexId)) {
+    const registry = await new dexes.DexRegistry(chainId).load();
+    if (!registry.has(dexId)) {
       return res.status(400).json({ 
         error: 'Invalid DEX', 
-        supportedDEXs: solana.getSupportedDEXs() 
+        supportedDEXs: registry.getEnabledDEXs() 
       });
     }
 
@@ -298,17 +404,15 @@ app.get('/api/stats/dex/:dexId', async (req, res) => {
         AVG(holders_count) as avg_holders,
         AVG(rug_score) as avg_rug_score,
         AVG(price_sol) as avg_price_sol
-      FROM tokens 
+      FROM pair_details 
       WHERE status = $1 AND chain_id = $2 AND dex_id = $3
     `;
 
-    const result = await pool.query(query, ['active', 'solana', dexId]);
-    const dexInfo = solana.getDEXConfig(dexId);
-
+    const result = await pool.query(query, ['active', chainId, dexId]);
     res.json({
-      dex: dexInfo,
+      dex: registry.get(dexId),
       stats: result.rows[0],
-      chain: 'solana'
+      chain: chainId
     });
 
   } catch (error) {
@@ -317,152 +421,1617 @@ app.get('/api/stats/dex/:dexId', async (req, res) => {
   }
 });
 
-// Update token status
+// Reason and note for a status change; an unknown status keeps the original error shape
+function checkStatusChange(body) {
+  if (!tokenStatus.TOKEN_STATUSES.includes(body.status)) {
+    return { error: 'Invalid status', validStatuses: tokenStatus.TOKEN_STATUSES };
+  }
+
+  const errors = tokenStatus.validateStatusChange(body);
+  return errors.length > 0 ? { error: 'Invalid status change', details: errors } : null;
+}
+
+// Update token status (optional "reason" and "note" are kept in the status history)
 app.put('/api/tokens/:pairAddress/status', async (req, res) => {
   try {
     const { pairAddress } = req.params;
-    const { status } = req.body;
+    const { status, reason = null, note = null } = req.body;
 
-    const validStatuses = ['active', 'flagged', 'rug', 'delisted'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ 
-        error: 'Invalid status',
-        validStatuses 
-      });
+    const invalid = checkStatusChange(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
 
-    const result = await pool.query(
-      'UPDATE tokens SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE pair_address = $2 AND chain_id = $3 RETURNING *',
-      [status, pairAddress, 'solana']
-    );
+    const result = await tokenStatus.changeTokenStatus([pairAddress], status, {
+      reason,
+      note,
+      actor: getActor(req),
+      source: 'manual'
+    });
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Solana token not found' });
+    const token = result.updated[0] || result.unchanged[0];
+    if (!token) {
+      return res.status(404).json({ error: 'Token not found' });
     }
 
-    logger.info(`Token status updated: ${pairAddress} -> ${status}`);
-    res.json(result.rows[0]);
+    const { previous_status: previousStatus, ...row } = token;
+    if (result.updated.length > 0) {
+      logger.info(`Token status updated: ${pairAddress} ${previousStatus} -> ${status}`, { actor: getActor(req), reason });
+    }
+
+    res.json(row);
   } catch (error) {
     logger.error('Error updating token status:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get filter configuration
-app.get('/api/config/filters', (req, res) => {
-  const filterInstance = new filters.SolanaTokenFilter();
-  res.json(filterInstance.getFilterStats());
+// Set one status on many pairs: { "pairAddresses": [...], "status", "reason", "note" }
+// (a regex route because Express would read ":bulk" as a path parameter)
+app.post(/^\/api\/tokens\/status:bulk$/, async (req, res) => {
+  try {
+    const { pairAddresses, status, reason = null, note = null } = req.body;
+
+    if (!Array.isArray(pairAddresses) || pairAddresses.length === 0 ||
+        pairAddresses.some(address => typeof address !== 'string' || address.trim() === '')) {
+      return res.status(400).json({ error: 'pairAddresses must be a non-empty list of pair addresses' });
+    }
+
+    if (pairAddresses.length > tokenStatus.MAX_BULK_STATUS_PAIRS) {
+      return res.status(400).json({ error: `At most ${tokenStatus.MAX_BULK_STATUS_PAIRS} pairs per request` });
+    }
+
+    const invalid = checkStatusChange(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    const result = await tokenStatus.changeTokenStatus(pairAddresses.map(address => address.trim()), status, {
+      reason,
+      note,
+      actor: getActor(req),
+      source: 'bulk'
+    });
+
+    logger.info(`📝 Bulk status update -> ${status}: ${result.updated.length} changed, ${result.unchanged.length} unchanged, ${result.notFound.length} not found`, {
+      actor: getActor(req),
+      reason
+    });
+
+    res.json({
+      status,
+      updated: result.updated.map(token => ({ pairAddress: token.pair_address, previousStatus: token.previous_status })),
+      unchanged: result.unchanged.map(token => token.pair_address),
+      notFound: result.notFound
+    });
+  } catch (error) {
+    logger.error('Error updating token statuses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Get supported DEXs
-app.get('/api/config/dexs', (req, res) => {
-  const dexs = solana.getSupportedDEXs().map(dexId => ({
-    id: dexId,
-    ...solana.getDEXConfig(dexId)
-  }));
-  
-  res.json({
-    chain: 'solana',
-    dexs: dexs.sort((a, b) => a.priority - b.priority)
-  });
+// Status change history of a token, newest first
+app.get('/api/tokens/:pairAddress/status-history', async (req, res) => {
+  try {
+    const { pairAddress } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const tokenResult = await pool.query('SELECT id, status FROM pairs WHERE pair_address = $1', [pairAddress]);
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const result = await tokenStatus.getStatusHistory(tokenResult.rows[0].id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      pairAddress,
+      status: tokenResult.rows[0].status,
+      history: result.history,
+      pagination: {
+        total: result.total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(result.total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching status history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
+// Mints (tokens) with their totals across pools. pair_count, total_liquidity_usd and
+// total_volume_24h cover the mint's active pairs and are kept current by a trigger.
+const MINT_SORT_COLUMNS = ['total_liquidity_usd', 'total_volume_24h', 'pair_count', 'rug_score', 'holders_count', 'created_at'];
+
+app.get('/api/mints', async (req, res) => {
   try {
-    const health = await require('./config').utils.healthCheck();
-    const statusCode = health.status === 'healthy' ? 200 : 503;
-    res.status(statusCode).json(health);
+    const {
+      chain = chains.defaultChain,
+      limit = 50,
+      offset = 0,
+      minTotalLiquidity,
+      sortBy = 'total_liquidity_usd',
+      sortOrder = 'DESC'
+    } = req.query;
+
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
+
+    // Mints without an active pair are listed with includeInactive=true
+    const params = [chainIds];
+    let whereClause = 'WHERE chain_id = ANY($1)';
+    if (req.query.includeInactive !== 'true') {
+      whereClause += ' AND pair_count > 0';
+    }
+    if (minTotalLiquidity) {
+      params.push(parseFloat(minTotalLiquidity));
+      whereClause += ` AND total_liquidity_usd >= $${params.length}`;
+    }
+
+    let query = `SELECT * FROM tokens ${whereClause}`;
+    if (MINT_SORT_COLUMNS.includes(sortBy) && ['ASC', 'DESC'].includes(sortOrder.toUpperCase())) {
+      query += ` ORDER BY ${sortBy} ${sortOrder.toUpperCase()} NULLS LAST, id ASC`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM tokens ${whereClause}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    params.push(parseInt(limit), parseInt(offset));
+    query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+    const result = await pool.query(query, params);
+
+    logger.info(`Fetched ${result.rows.length} mints`, { chain, total: totalCount, limit, offset });
+
+    res.json({
+      mints: result.rows,
+      pagination: {
+        total: totalCount,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(totalCount / parseInt(limit))
+      },
+      chain
+    });
   } catch (error) {
-    logger.error('Health check failed:', error);
-    res.status(503).json({
-      status: 'unhealthy',
-      error: error.message,
-      timestamp: new Date().toISOString()
+    logger.error('Error fetching mints:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A mint with every pool it trades in and its liquidity and volume per DEX
+app.get('/api/mints/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+    const [chainId] = chainIds;
+
+    const mintResult = await pool.query('SELECT * FROM tokens WHERE chain_id = $1 AND address = $2', [chainId, address]);
+    if (mintResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Mint not found' });
+    }
+    const mint = mintResult.rows[0];
+
+    const pairsResult = await pool.query(
+      `SELECT *, ${DATA_AGE_COLUMNS} FROM pairs WHERE token_id = $1 ORDER BY liquidity_usd DESC NULLS LAST, id ASC`,
+      [mint.id]
+    );
+    const registry = await new dexes.DexRegistry(chainId).load();
+
+    // Only active pairs count towards the totals, as in the stored columns
+    const byDex = new Map();
+    for (const pair of pairsResult.rows.filter(pair => pair.status === 'active')) {
+      const entry = byDex.get(pair.dex_id) || { dexId: pair.dex_id, name: registry.get(pair.dex_id).name, pairCount: 0, liquidityUSD: 0, volume24h: 0 };
+      entry.pairCount++;
+      entry.liquidityUSD += parseFloat(pair.liquidity_usd) || 0;
+      entry.volume24h += parseFloat(pair.volume_24h) || 0;
+      byDex.set(pair.dex_id, entry);
+    }
+
+    logger.debug(`Fetched mint details: ${mint.symbol}`, { address, chain: chainId });
+
+    res.json({
+      ...mint,
+      totals: {
+        pairCount: mint.pair_count,
+        liquidityUSD: parseFloat(mint.total_liquidity_usd),
+        volume24h: parseFloat(mint.total_volume_24h),
+        byDex: [...byDex.values()].sort((a, b) => b.liquidityUSD - a.liquidityUSD)
+      },
+      pairs: pairsResult.rows.map(pair => ({ ...pair, dexInfo: registry.get(pair.dex_id) })),
+      chainInfo: chains.getChainDisplayInfo(chainId)
     });
+  } catch (error) {
+    logger.error('Error fetching mint:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get recent activity
-app.get('/api/activity', async (req, res) => {
+// Bucketed history of a mint summed across its pools: each pool contributes the last
+// snapshot it has in the bucket; price is the liquidity-weighted average of the pools
+app.get('/api/mints/:address/history', async (req, res) => {
   try {
-    const { limit = 20 } = req.query;
-    
+    const { address } = req.params;
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+    const range = parseHistoryRange(req, res);
+    if (!range) return;
+    const { interval, bucketSeconds, from, to } = range;
+
+    const mintResult = await pool.query('SELECT id FROM tokens WHERE chain_id = $1 AND address = $2', [chainIds[0], address]);
+    if (mintResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Mint not found' });
+    }
+
     const query = `
-      SELECT 
-        base_token_symbol,
-        base_token_name,
-        dex_id,
-        volume_24h,
-        price_change_24h,
-        price_sol, -- Include price_sol
-        liquidity_usd, -- Include liquidity_usd
-        sol_liquidity, -- Include sol_liquidity
-        pair_created_at
-      FROM tokens 
-      WHERE status = 'active' AND chain_id = 'solana'
-      ORDER BY pair_created_at DESC 
-      LIMIT $1
+      WITH pool_buckets AS (
+        SELECT
+          to_timestamp(floor(extract(epoch FROM s.captured_at) / $2) * $2) AS bucket,
+          s.pair_address,
+          COUNT(*) AS samples,
+          (array_agg(s.price_usd ORDER BY s.captured_at DESC))[1] AS price_usd,
+          (array_agg(s.liquidity_usd ORDER BY s.captured_at DESC))[1] AS liquidity_usd,
+          (array_agg(s.volume_24h ORDER BY s.captured_at DESC))[1] AS volume_24h,
+          (array_agg(s.volume_1h ORDER BY s.captured_at DESC))[1] AS volume_1h,
+          (array_agg(s.volume_5m ORDER BY s.captured_at DESC))[1] AS volume_5m,
+          (array_agg(s.holders_count ORDER BY s.captured_at DESC))[1] AS holders_count,
+          (array_agg(s.top10_holder_percentage ORDER BY s.captured_at DESC))[1] AS top10_holder_percentage,
+          (array_agg(s.top20_holder_percentage ORDER BY s.captured_at DESC))[1] AS top20_holder_percentage,
+          (array_agg(s.rug_score ORDER BY s.captured_at DESC))[1] AS rug_score
+        FROM token_snapshots s
+        JOIN pairs p ON p.id = s.token_id
+        WHERE p.token_id = $1 AND s.captured_at >= $3 AND s.captured_at < $4
+        GROUP BY bucket, s.pair_address
+      )
+      SELECT
+        bucket,
+        COUNT(*) AS pools,
+        SUM(samples) AS samples,
+        SUM(price_usd * liquidity_usd) / NULLIF(SUM(liquidity_usd), 0) AS price_usd,
+        SUM(liquidity_usd) AS liquidity_usd,
+        SUM(volume_24h) AS volume_24h,
+        SUM(volume_1h) AS volume_1h,
+        SUM(volume_5m) AS volume_5m,
+        MAX(holders_count) AS holders_count,
+        MAX(top10_holder_percentage) AS top10_holder_percentage,
+        MAX(top20_holder_percentage) AS top20_holder_percentage,
+        MAX(rug_score) AS rug_score
+      FROM pool_buckets
+      GROUP BY bucket
+      ORDER BY bucket ASC
     `;
 
-    const result = await pool.query(query, [parseInt(limit)]);
-    
-    // Add DEX info to each token
-    const activity = result.rows.map(token => ({
-      ...token,
-      dexInfo: solana.getDEXConfig(token.dex_id)
-    }));
+    const result = await pool.query(query, [mintResult.rows[0].id, bucketSeconds, from, to]);
+
+    logger.debug(`Fetched ${result.rows.length} mint history buckets`, { address, interval });
 
     res.json({
-      activity,
-      chain: 'solana',
-      timestamp: new Date().toISOString()
+      address,
+      chain: chainIds[0],
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      series: result.rows
     });
-
   } catch (error) {
-    logger.error('Error fetching activity:', error);
+    logger.error('Error fetching mint history:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Serve the HTML dashboard
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Get filter configuration (rule file params with the active profile applied)
+app.get('/api/config/filters', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+    const filterInstance = await getActiveFilter(chainIds[0]);
+    res.json(filterInstance.getFilterStats());
+  } catch (error) {
+    logger.error('Error fetching filter configuration:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Something went wrong!' });
+// List filter profiles (each chain has its own; ?chain= on every profile route, default solana)
+app.get('/api/config/filters/profiles', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const profiles = await filters.profiles.listProfiles(chainIds[0]);
+    res.json({ profiles, chain: chainIds[0] });
+  } catch (error) {
+    logger.error('Error fetching filter profiles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('🔄 Shutting down server...');
-  await db.closeDatabase();
-  process.exit(0);
+// Get a single filter profile
+app.get('/api/config/filters/profiles/:name', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const profile = await filters.profiles.getProfile(req.params.name, chainIds[0]);
+    if (!profile) {
+      return res.status(404).json({ error: 'Filter profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    logger.error('Error fetching filter profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-process.on('SIGTERM', async () => {
-  logger.info('🔄 Shutting down server...');
-  await db.closeDatabase();
-  process.exit(0);
+// Create a filter profile
+app.post('/api/config/filters/profiles', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { name, description = null, params = {} } = req.body;
+    const errors = [
+      ...filters.profiles.validateProfileName(name),
+      ...validateProfileParams(params, chainIds[0])
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid filter profile', details: errors });
+    }
+
+    const profile = await filters.profiles.createProfile({ name, description, params }, getActor(req), chainIds[0]);
+    logger.info(`Filter profile created: ${name}`);
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Filter profile already exists' });
+    }
+    logger.error('Error creating filter profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Start server
-const startServer = async () => {
+// Update a filter profile's description and/or params (params are replaced, not merged)
+app.put('/api/config/filters/profiles/:name', async (req, res) => {
   try {
-    // Initialize configuration
-    await require('./config').utils.initializeConfig();
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { description, params } = req.body;
+    if (params !== undefined) {
+      const errors = validateProfileParams(params, chainIds[0]);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid filter profile', details: errors });
+      }
+    }
+
+    const profile = await filters.profiles.updateProfile(req.params.name, { description, params }, getActor(req), chainIds[0]);
+    if (!profile) {
+      return res.status(404).json({ error: 'Filter profile not found' });
+    }
+
+    logger.info(`Filter profile updated: ${req.params.name}`);
+    res.json(profile);
+  } catch (error) {
+    logger.error('Error updating filter profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a filter profile (the active profile cannot be deleted)
+app.delete('/api/config/filters/profiles/:name', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const existing = await filters.profiles.getProfile(req.params.name, chainIds[0]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Filter profile not found' });
+    }
+    if (existing.is_active) {
+      return res.status(409).json({ error: 'Cannot delete the active filter profile' });
+    }
+
+    await filters.profiles.deleteProfile(req.params.name, getActor(req), chainIds[0]);
+    logger.info(`Filter profile deleted: ${req.params.name}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting filter profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Switch the profile the monitor uses; { "name": null } reverts to the rule file defaults
+app.put('/api/config/filters/active', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { name } = req.body;
+    if (name === undefined) {
+      return res.status(400).json({ error: 'name is required (null to use the rule file defaults)' });
+    }
+
+    const profile = await filters.profiles.activateProfile(name, getActor(req), chainIds[0]);
+    if (profile === undefined) {
+      return res.status(404).json({ error: 'Filter profile not found' });
+    }
+
+    logger.info(`Active ${chainIds[0]} filter profile: ${name || 'rule file defaults'}`);
+    res.json({
+      active: profile,
+      config: (await getActiveFilter(chainIds[0])).getConfig(),
+      note: 'The monitor applies the active profile at the start of its next scan'
+    });
+  } catch (error) {
+    logger.error('Error switching filter profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change history for filter profiles
+app.get('/api/config/filters/history', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { profile, limit = 50, offset = 0 } = req.query;
+    const { changes, total } = await filters.profiles.getProfileChanges({
+      chainId: chainIds[0],
+      profile,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      changes,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching filter profile history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a sample alert through the configured notification channels
+app.post('/api/notifications/test', async (req, res) => {
+  try {
+    const registry = notifiers.createNotifiers(appConfig);
+    const { channels = null } = req.body;
+    const configured = registry.configuredChannels();
+
+    if (channels !== null && !Array.isArray(channels)) {
+      return res.status(400).json({ error: 'channels must be a list of channel names', validChannels: notifiers.CHANNEL_NAMES });
+    }
+
+    if (channels && channels.some(channel => !registry.get(channel))) {
+      return res.status(400).json({ error: 'Unknown channel', validChannels: notifiers.CHANNEL_NAMES });
+    }
+
+    if (configured.length === 0) {
+      return res.status(400).json({ error: 'No notification channels are configured' });
+    }
+
+    const results = await registry.notify({
+      symbol: 'TEST',
+      name: 'Test Alert',
+      dex: 'raydium',
+      dexName: chains.getDEXConfig('raydium').name,
+      price: '0.00012345',
+      priceSOL: '0.00000082',
+      volume24h: 125000,
+      priceChange24h: 42.5,
+      liquidity: 48000,
+      solLiquidity: 160,
+      holders: 420,
+      topHolderPerc: 8.5,
+      rugScore: 2,
+      risks: [],
+      pairAddress: 'TestPair1111111111111111111111111111111111',
+      tokenAddress: 'TestMint1111111111111111111111111111111111',
+      dexscreenerUrl: 'https://dexscreener.com/solana',
+      timestamp: new Date().toISOString()
+    }, { channels });
+
+    res.json({ configured, results });
+  } catch (error) {
+    logger.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Webhook delivery log
+app.get('/api/webhooks/deliveries', async (req, res) => {
+  try {
+    const { status, eventType, limit = 50, offset = 0 } = req.query;
+    const validStatuses = ['pending', 'delivered', 'failed'];
+
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', validStatuses });
+    }
+
+    const { deliveries, total } = await webhooks.listDeliveries({
+      status,
+      eventType,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/webhooks/deliveries/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: 'Invalid delivery id' });
+    }
+
+    const delivery = await webhooks.getDelivery(id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    logger.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a stored delivery again now (same X-Webhook-Id, fresh timestamp and signature)
+app.post('/api/webhooks/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: 'Invalid delivery id' });
+    }
+
+    const delivery = await webhooks.createWebhookDispatcher(appConfig).redeliver(id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+
+    logger.info(`Webhook delivery ${id} redelivered: ${delivery.status}`);
+    res.json(delivery);
+  } catch (error) {
+    logger.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Alert history (one row per alert sent, with per-channel results)
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { pairAddress, tokenAddress, symbol, rule, alertRuleId, status, from, to, limit = 50, offset = 0 } = req.query;
+
+    if (status && !alerts.ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', validStatuses: alerts.ALERT_STATUSES });
+    }
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    const result = await alerts.listAlerts({
+      chainId: chainIds[0],
+      pairAddress,
+      tokenAddress,
+      symbol,
+      rule,
+      alertRuleId: alertRuleId ? parseInt(alertRuleId) : null,
+      status,
+      from,
+      to,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      alerts: result.alerts,
+      settings: {
+        cooldownMinutes: appConfig.alertCooldownMinutes,
+        realertImprovementPct: appConfig.alertRealertImprovementPct,
+        realertMetric: appConfig.alertRealertMetric
+      },
+      pagination: {
+        total: result.total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(result.total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching alerts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fields accepted when creating or updating an alert rule
+const ALERT_RULE_FIELDS = [
+  'name', 'description', 'scope', 'expression', 'windowMinutes', 'message', 'channels',
+  'cooldownMinutes', 'realertImprovementPct', 'pairAddresses', 'enabled'
+];
+
+const pickAlertRuleFields = (body) => Object.fromEntries(
+  ALERT_RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const parseId = (value) => {
+  const id = parseInt(value);
+  return Number.isInteger(id) && id >= 1 ? id : null;
+};
+
+// List alert rules (?scope=pair|delta&enabled=true|false)
+app.get('/api/alert-rules', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { scope, enabled } = req.query;
+
+    if (scope && !alerts.rules.ALERT_RULE_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Invalid scope', validScopes: alerts.rules.ALERT_RULE_SCOPES });
+    }
+
+    const rules = await alerts.rules.listAlertRules({
+      chainId: chainIds[0],
+      scope,
+      enabled: enabled === undefined ? null : enabled === 'true'
+    });
+
+    res.json({
+      rules,
+      scopes: alerts.rules.SCOPE_ROOTS,
+      deltaMetrics: Object.keys(alerts.rules.DELTA_METRICS)
+    });
+  } catch (error) {
+    logger.error('Error fetching alert rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/alert-rules/:id', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    const rule = await alerts.rules.getAlertRule(id, chainIds[0]);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    logger.error('Error fetching alert rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/alert-rules', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const rule = pickAlertRuleFields(req.body);
+    const errors = alerts.rules.validateAlertRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+
+    const created = await alerts.rules.createAlertRule(rule, getActor(req), chainIds[0]);
+    logger.info(`Alert rule created: ${created.name}`);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Alert rule already exists' });
+    }
+    logger.error('Error creating alert rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an alert rule; fields that are left out keep their current value
+app.put('/api/alert-rules/:id', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    const existing = await alerts.rules.getAlertRule(id, chainIds[0]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    const rule = { ...alerts.rules.rowToRule(existing), ...pickAlertRuleFields(req.body) };
+    const errors = alerts.rules.validateAlertRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    }
+
+    const updated = await alerts.rules.updateAlertRule(id, rule, getActor(req), chainIds[0]);
+    if (!updated) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    logger.info(`Alert rule updated: ${updated.name}`);
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Alert rule already exists' });
+    }
+    logger.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/alert-rules/:id', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid alert rule id' });
+    }
+
+    const deleted = await alerts.rules.deleteAlertRule(id, chainIds[0]);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    logger.info(`Alert rule deleted: ${deleted.name}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting alert rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Fields accepted when creating or updating a watchlist
+const WATCHLIST_FIELDS = ['name', 'description', 'channels', 'priceChangePct', 'liquidityChangePct'];
+
+const pickWatchlistFields = (body) => Object.fromEntries(
+  WATCHLIST_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// List watchlists with their item counts
+app.get('/api/watchlists', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const lists = await watchlists.listWatchlists(chainIds[0]);
+    res.json({ watchlists: lists, intervalSeconds: appConfig.watchlistIntervalSeconds });
+  } catch (error) {
+    logger.error('Error fetching watchlists:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A watchlist with its items and their latest refreshed values
+app.get('/api/watchlists/:id', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid watchlist id' });
+    }
+
+    const watchlist = await watchlists.getWatchlist(id, chainIds[0]);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    const items = await watchlists.getWatchlistItems(id);
+    res.json({ ...watchlist, items });
+  } catch (error) {
+    logger.error('Error fetching watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/watchlists', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const watchlist = pickWatchlistFields(req.body);
+    const errors = watchlists.validateWatchlist(watchlist);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid watchlist', details: errors });
+    }
+
+    const created = await watchlists.createWatchlist(watchlist, getActor(req), chainIds[0]);
+    logger.info(`Watchlist created: ${created.name}`);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Watchlist already exists' });
+    }
+    logger.error('Error creating watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a watchlist; fields that are left out keep their current value
+app.put('/api/watchlists/:id', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid watchlist id' });
+    }
+
+    const existing = await watchlists.getWatchlist(id, chainIds[0]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    const watchlist = { ...watchlists.rowToWatchlist(existing), ...pickWatchlistFields(req.body) };
+    const errors = watchlists.validateWatchlist(watchlist);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid watchlist', details: errors });
+    }
+
+    const updated = await watchlists.updateWatchlist(id, watchlist, getActor(req), chainIds[0]);
+    if (!updated) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    logger.info(`Watchlist updated: ${updated.name}`);
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Watchlist already exists' });
+    }
+    logger.error('Error updating watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/watchlists/:id', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid watchlist id' });
+    }
+
+    const deleted = await watchlists.deleteWatchlist(id, chainIds[0]);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    logger.info(`Watchlist deleted: ${deleted.name}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting watchlist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add pairs to a watchlist: { "pairAddresses": [...] } or { "pairAddress": "..." }, optional "note"
+app.post('/api/watchlists/:id/items', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid watchlist id' });
+    }
+
+    const { pairAddress, note = null } = req.body;
+    const pairAddresses = pairAddress !== undefined ? [pairAddress] : req.body.pairAddresses;
+    const errors = watchlists.validatePairAddresses(pairAddresses);
+    if (note !== null && typeof note !== 'string') {
+      errors.push('note must be a string');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid watchlist items', details: errors });
+    }
+
+    const watchlist = await watchlists.getWatchlist(id, chainIds[0]);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    const items = await watchlists.addWatchlistItems(id, pairAddresses, { note, actor: getActor(req) });
+    logger.info(`Watchlist ${watchlist.name}: added ${items.length} pair(s)`);
+    res.status(201).json({ items });
+  } catch (error) {
+    logger.error('Error adding watchlist items:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/watchlists/:id/items/:pairAddress', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid watchlist id' });
+    }
+
+    const watchlist = await watchlists.getWatchlist(id, chainIds[0]);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    const removed = await watchlists.removeWatchlistItem(id, req.params.pairAddress);
+    if (!removed) {
+      return res.status(404).json({ error: 'Pair is not on this watchlist' });
+    }
+
+    logger.info(`Watchlist ${id}: removed ${req.params.pairAddress}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error removing watchlist item:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Live events as Server-Sent Events. Clients resume with the Last-Event-ID header
+// (EventSource sends it on reconnect) or ?lastEventId=, and can limit ?types=.
+const SSE_RETRY_MS = 5000;
+const SSE_HEARTBEAT_MS = 25000;
+
+app.get('/api/stream', async (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : null;
+  if (types && types.some(type => !events.EVENT_TYPES.includes(type))) {
+    return res.status(400).json({
+      error: 'Invalid event type',
+      validTypes: events.EVENT_TYPES
+    });
+  }
+
+  // 0 replays every retained event
+  const requestedId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  const lastEventId = Number.isInteger(requestedId) && requestedId >= 0 ? requestedId : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    if (types && !types.includes(event.type)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Subscribe before replaying so nothing published meanwhile is lost; live
+  // events are held back until the replay is written, skipping replayed ids
+  let pending = lastEventId !== null ? [] : null;
+  const unsubscribe = eventStream.subscribe((event) => {
+    if (pending) {
+      pending.push(event);
+    } else {
+      send(event);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  if (lastEventId === null) return;
+
+  try {
+    const missed = await events.getEventsSince(lastEventId);
+    missed.forEach(send);
+
+    // More was missed than we replay: tell the client to reload its data instead
+    if (missed.length === events.MAX_REPLAY_EVENTS) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+
+    const replayed = new Set(missed.map(event => String(event.id)));
+    pending.filter(event => !replayed.has(String(event.id))).forEach(send);
+  } catch (error) {
+    logger.error('Error replaying events:', error);
+    res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+  } finally {
+    pending = null;
+  }
+});
+
+const pickDexFields = (body) => Object.fromEntries(
+  dexes.DEX_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Editable fields of a registry entry, used to merge partial updates
+const dexToFields = ({ id, name, type, website, fees, trustScore, priority, enabled }) => ({
+  dexId: id, name, type, website, fees, trustScore, priority, enabled
+});
+
+// Get supported DEXs: the registry for a chain (?enabled=true|false), with pair and active token counts
+app.get('/api/config/dexs', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { enabled } = req.query;
+    if (enabled !== undefined && !['true', 'false'].includes(enabled)) {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const dexs = await dexes.listDexes(chainIds, { enabled: enabled === undefined ? null : enabled === 'true' });
+    res.json({ chain: chainIds[0], dexs });
+  } catch (error) {
+    logger.error('Error fetching DEXs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/config/dexs/:dexId', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const dex = await dexes.getDex(req.params.dexId, chainIds[0]);
+    if (!dex) {
+      return res.status(404).json({ error: 'DEX not found' });
+    }
+    res.json(dex);
+  } catch (error) {
+    logger.error('Error fetching DEX:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a DEX: { "dexId", "name", "type", "website", "fees", "trustScore", "priority", "enabled" }
+app.post('/api/config/dexs', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const dex = { ...dexes.DEX_DEFAULTS, dexId: req.body.dexId, name: req.body.dexId, ...pickDexFields(req.body) };
+    const errors = dexes.validateDex(dex);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid DEX', details: errors });
+    }
+
+    const created = await dexes.createDex(dex, getActor(req), chainIds[0]);
+    logger.info(`DEX added: ${created.chainId}/${created.id}`);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'DEX already exists' });
+    }
+    logger.error('Error creating DEX:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a DEX; fields that are left out keep their current value
+app.put('/api/config/dexs/:dexId', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const existing = await dexes.getDex(req.params.dexId, chainIds[0]);
+    if (!existing) {
+      return res.status(404).json({ error: 'DEX not found' });
+    }
+
+    const dex = { ...dexToFields(existing), ...pickDexFields(req.body) };
+    const errors = dexes.validateDex(dex);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid DEX', details: errors });
+    }
+
+    const updated = await dexes.updateDex(existing.id, dex, getActor(req), chainIds[0]);
+    if (!updated) {
+      return res.status(404).json({ error: 'DEX not found' });
+    }
+
+    logger.info(`DEX updated: ${updated.chainId}/${updated.id}${updated.enabled ? '' : ' (disabled)'}`);
+    res.json(updated);
+  } catch (error) {
+    logger.error('Error updating DEX:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a DEX; it is recorded again as discovered the next time a scan sees one of its pairs
+app.delete('/api/config/dexs/:dexId', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const deleted = await dexes.deleteDex(req.params.dexId, chainIds[0]);
+    if (!deleted) {
+      return res.status(404).json({ error: 'DEX not found' });
+    }
+
+    logger.info(`DEX deleted: ${deleted.chainId}/${deleted.id}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting DEX:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the chain registry; `monitored` marks the chains in MONITOR_CHAINS, `dexs` are the enabled DEXs
+app.get('/api/config/chains', async (req, res) => {
+  try {
+    const registries = await dexes.loadDexRegistries(chains.getSupportedChains());
+    const list = chains.getSupportedChains().map(chainId => {
+      const { rpcUrl, ...config } = chains.getChainConfig(chainId);
+      return {
+        ...config,
+        monitored: appConfig.monitorChains.includes(chainId),
+        dexs: registries.get(chainId).getEnabledDEXs()
+      };
+    });
+
+    res.json({
+      chains: list,
+      defaultChain: chains.defaultChain,
+      monitoredChains: appConfig.monitorChains
+    });
+  } catch (error) {
+    logger.error('Error fetching chains:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Health check endpoint
+app.get('/api/health', async (req, res) => {
+  try {
+    const health = await require('./config').utils.healthCheck();
+    const statusCode = health.status === 'healthy' ? 200 : 503;
+    res.status(statusCode).json(health);
+  } catch (error) {
+    logger.error('Health check failed:', error);
+    res.status(503).json({
+      status: 'unhealthy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get recent activity
+app.get('/api/activity', async (req, res) => {
+  try {
+    const { limit = 20, chain = chains.defaultChain } = req.query;
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
+    
+    const query = `
+      SELECT 
+        chain_id,
+        base_token_symbol,
+        base_token_name,
+        dex_id,
+        volume_24h,
+        price_change_24h,
+        price_sol, -- Include price_sol
+        liquidity_usd, -- Include liquidity_usd
+        sol_liquidity, -- Include sol_liquidity
+        pair_created_at
+      FROM pairs 
+      WHERE status = 'active' AND chain_id = ANY($1)
+      ORDER BY pair_created_at DESC 
+      LIMIT $2
+    `;
+
+    const result = await pool.query(query, [chainIds, parseInt(limit)]);
+    const registries = await dexes.loadDexRegistries(chainIds);
+    
+    // Add DEX info to each token
+    const activity = result.rows.map(token => ({
+      ...token,
+      dexInfo: registries.get(token.chain_id).get(token.dex_id)
+    }));
+
+    res.json({
+      activity,
+      chain,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List scan runs (newest first) with a 24h health summary
+app.get('/api/scans', async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, trigger, status, chain = chains.defaultChain } = req.query;
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
+
+    const validTriggers = ['cron', 'manual'];
+    if (trigger && !validTriggers.includes(trigger)) {
+      return res.status(400).json({ error: 'Invalid trigger', validTriggers });
+    }
+
+    const validStatuses = ['running', 'completed', 'failed'];
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', validStatuses });
+    }
+
+    let whereClause = 'WHERE chain_id = ANY($1)';
+    const params = [chainIds];
+
+    if (trigger) {
+      params.push(trigger);
+      whereClause += ` AND triggered_by = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      whereClause += ` AND status = $${params.length}`;
+    }
+
+    const query = `
+      SELECT *,
+        CASE WHEN processed_count > 0
+          THEN ROUND(saved_count::numeric / processed_count * 100, 1)
+        END AS success_rate
+      FROM scan_runs
+      ${whereClause}
+      ORDER BY started_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const result = await pool.query(query, [...params, parseInt(limit), parseInt(offset)]);
+    const countResult = await pool.query(`SELECT COUNT(*) FROM scan_runs ${whereClause}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    const summaryResult = await pool.query(`
+      SELECT
+        MAX(started_at) AS last_started_at,
+        COUNT(*) AS runs,
+        COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+        AVG(duration_ms) FILTER (WHERE status = 'completed') AS avg_duration_ms,
+        SUM(saved_count) AS saved,
+        SUM(api_failures) AS api_failures,
+        CASE WHEN SUM(processed_count) > 0
+          THEN ROUND(SUM(saved_count)::numeric / SUM(processed_count) * 100, 1)
+        END AS success_rate
+      FROM scan_runs
+      WHERE chain_id = ANY($1) AND started_at >= NOW() - INTERVAL '24 hours'
+    `, [chainIds]);
+
+    res.json({
+      scans: result.rows,
+      pagination: {
+        total: totalCount,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(totalCount / parseInt(limit))
+      },
+      last24h: summaryResult.rows[0],
+      scanIntervalMinutes: appConfig.scanInterval,
+      chain
+    });
+
+  } catch (error) {
+    logger.error('Error fetching scan runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single scan run
+app.get('/api/scans/:id', async (req, res) => {
+  try {
+    const scanId = parseInt(req.params.id);
+    if (!Number.isInteger(scanId) || scanId < 1) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+
+    const result = await pool.query(`
+      SELECT *,
+        CASE WHEN processed_count > 0
+          THEN ROUND(saved_count::numeric / processed_count * 100, 1)
+        END AS success_rate
+      FROM scan_runs
+      WHERE id = $1
+    `, [scanId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Scan run not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error fetching scan run:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replay the current and a candidate filter config over stored snapshots
+app.post('/api/filters/simulate', async (req, res) => {
+  try {
+    const chainIds = parseChainParam(req, res);
+    if (!chainIds) return;
+
+    const { config = {}, profile = null } = req.body;
+
+    const errors = validateProfileParams(config, chainIds[0]);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid candidate config', details: errors });
+    }
+
+    const to = req.body.to ? new Date(req.body.to) : new Date();
+    const from = req.body.from ? new Date(req.body.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'Invalid from/to range' });
+    }
+
+    const result = await filters.backtest.simulateFilters({ candidate: config, profile, from, to, chainId: chainIds[0] });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error simulating filters:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Build the WHERE clause shared by the rejection endpoints
+function buildRejectionFilters(query, chainIds) {
+  const { filterCode, pairAddress, tokenAddress, symbol, scanId, from, to } = query;
+  let whereClause = 'WHERE chain_id = ANY($1)';
+  const params = [chainIds];
+
+  if (filterCode) {
+    params.push(filterCode);
+    whereClause += ` AND filter_code = $${params.length}`;
+  }
+
+  if (pairAddress) {
+    params.push(pairAddress);
+    whereClause += ` AND pair_address = $${params.length}`;
+  }
+
+  if (tokenAddress) {
+    params.push(tokenAddress);
+    whereClause += ` AND base_token_address = $${params.length}`;
+  }
+
+  if (symbol) {
+    params.push(symbol);
+    whereClause += ` AND base_token_symbol ILIKE $${params.length}`;
+  }
+
+  if (scanId) {
+    params.push(parseInt(scanId));
+    whereClause += ` AND scan_id = $${params.length}`;
+  }
+
+  if (from) {
+    params.push(new Date(from));
+    whereClause += ` AND rejected_at >= $${params.length}`;
+  }
+
+  if (to) {
+    params.push(new Date(to));
+    whereClause += ` AND rejected_at < $${params.length}`;
+  }
+
+  return { whereClause, params };
+}
+
+// List filter rejections (newest first)
+app.get('/api/rejections', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, from, to, chain = chains.defaultChain } = req.query;
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    const scanId = req.query.scanId ? parseInt(req.query.scanId) : null;
+    if (scanId !== null && (!Number.isInteger(scanId) || scanId < 1)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+
+    const { whereClause, params } = buildRejectionFilters(req.query, chainIds);
+
+    const result = await pool.query(`
+      SELECT * FROM token_rejections
+      ${whereClause}
+      ORDER BY rejected_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM token_rejections ${whereClause}`, params);
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      rejections: result.rows,
+      pagination: {
+        total: totalCount,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        pages: Math.ceil(totalCount / parseInt(limit))
+      },
+      chain
+    });
+
+  } catch (error) {
+    logger.error('Error fetching rejections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rejection counts per filter code, in total and bucketed over time
+app.get('/api/rejections/summary', async (req, res) => {
+  try {
+    const { interval = '1h', chain = chains.defaultChain } = req.query;
+    const chainIds = parseChainParam(req, res, { allowAll: true });
+    if (!chainIds) return;
+
+    const bucketSeconds = HISTORY_INTERVALS[interval];
+    if (!bucketSeconds) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        validIntervals: Object.keys(HISTORY_INTERVALS)
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'Invalid from/to range' });
+    }
+
+    const scanId = req.query.scanId ? parseInt(req.query.scanId) : null;
+    if (scanId !== null && (!Number.isInteger(scanId) || scanId < 1)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+
+    if ((to - from) / 1000 / bucketSeconds > MAX_HISTORY_BUCKETS) {
+      return res.status(400).json({
+        error: `Range too large for interval ${interval} (max ${MAX_HISTORY_BUCKETS} buckets)`
+      });
+    }
+
+    const { whereClause, params } = buildRejectionFilters({
+      ...req.query,
+      from: from.toISOString(),
+      to: to.toISOString()
+    }, chainIds);
+
+    const totalsResult = await pool.query(`
+      SELECT filter_code, COUNT(*) AS count
+      FROM token_rejections
+      ${whereClause}
+      GROUP BY filter_code
+      ORDER BY count DESC
+    `, params);
+
+    const seriesResult = await pool.query(`
+      SELECT
+        to_timestamp(floor(extract(epoch FROM rejected_at) / $${params.length + 1}) * $${params.length + 1}) AS bucket,
+        filter_code,
+        COUNT(*) AS count
+      FROM token_rejections
+      ${whereClause}
+      GROUP BY bucket, filter_code
+      ORDER BY bucket ASC, count DESC
+    `, [...params, bucketSeconds]);
+
+    res.json({
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals: totalsResult.rows,
+      series: seriesResult.rows,
+      chain
+    });
+
+  } catch (error) {
+    logger.error('Error fetching rejection summary:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Serve the HTML dashboard
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Something went wrong!' });
+});
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  logger.info('🔄 Shutting down server...');
+  await eventStream.stop();
+  await db.closeDatabase();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('🔄 Shutting down server...');
+  await eventStream.stop();
+  await db.closeDatabase();
+  process.exit(0);
+});
+
+// Start server
+const startServer = async () => {
+  try {
+    // Initialize configuration
+    await require('./config').utils.initializeConfig();
+
+    // Keeps retrying in the background if the database is not reachable yet
+    await eventStream.start();
     
     app.listen(PORT, () => {
       logger.info(`🟣 Solana Token Monitor API running on http://localhost:${PORT}`);
-      logger.info(`🎯 Monitoring DEXs: ${solana.getSupportedDEXs().join(', ')}`);
+      logger.info(`🎯 Monitored chains: ${appConfig.monitorChains.join(', ')}`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
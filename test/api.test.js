@@ -0,0 +1,40 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../config/api');
+
+test('concurrent acquire() calls are granted one at a time within the limit', async (t) => {
+  // The limiter logs when it waits
+  t.mock.method(console, 'log', () => {});
+
+  const interval = 100;
+  const limiter = new RateLimiter(2, interval);
+  const start = Date.now();
+  const grants = [];
+
+  await Promise.all(Array.from({ length: 5 }, (_, index) =>
+    limiter.acquire().then(() => grants.push({ index, at: Date.now() - start }))
+  ));
+
+  // Served in call order
+  assert.deepEqual(grants.map(grant => grant.index), [0, 1, 2, 3, 4]);
+
+  // Never more than 2 grants inside one interval (less a little slack for timer jitter)
+  grants.forEach((grant, i) => {
+    const inWindow = grants.filter(other => other.at >= grant.at && other.at < grant.at + interval - 10);
+    assert.ok(inWindow.length <= 2, `${inWindow.length} grants within ${interval}ms of grant ${i}`);
+  });
+
+  assert.ok(grants[2].at >= interval - 5, 'third caller waits for the window');
+  assert.ok(grants[4].at >= 2 * interval - 5, 'fifth caller waits for the second window');
+});
+
+test('acquire() does not wait below the limit', async () => {
+  const limiter = new RateLimiter(5, 1000);
+  const start = Date.now();
+
+  await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+  assert.ok(Date.now() - start < 100);
+  assert.equal(limiter.requestTimes.length, 3);
+});
@@ -0,0 +1,20 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { appConfig, utils } = require('../config');
+
+const REFRESH_ERROR = 'TOKEN_REFRESH_INTERVAL_MINUTES must be at most 59';
+
+test('token refresh interval must fit a cron minute step', (t) => {
+  const original = appConfig.tokenRefreshIntervalMinutes;
+  t.after(() => { appConfig.tokenRefreshIntervalMinutes = original; });
+
+  appConfig.tokenRefreshIntervalMinutes = 59;
+  assert.ok(!utils.validateConfig().includes(REFRESH_ERROR));
+
+  appConfig.tokenRefreshIntervalMinutes = 60;
+  assert.ok(utils.validateConfig().includes(REFRESH_ERROR));
+
+  appConfig.tokenRefreshIntervalMinutes = 90;
+  assert.ok(utils.validateConfig().includes(REFRESH_ERROR));
+});
@@ -0,0 +1,53 @@
+// test/helpers/jsonRpcServer.js - Local stand-in Solana JSON-RPC server
+const http = require('http');
+
+// `accounts` maps address -> { owner, data (Buffer) }; `largestAccounts` maps mint -> [{ address, amount }].
+// Resolves to { url, requests, close }.
+function startJsonRpcServer({ accounts = {}, largestAccounts = {}, failures = {} } = {}) {
+  const requests = [];
+  const toAccount = (address) => {
+    const account = accounts[address];
+    return account ? { owner: account.owner, lamports: 1, executable: false, rentEpoch: 0, data: [account.data.toString('base64'), 'base64'] } : null;
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      requests.push({ method, params });
+
+      const reply = (payload) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+      };
+      const context = { slot: 1 };
+
+      if (failures[params?.[0]]) {
+        return reply({ error: failures[params[0]] });
+      }
+      switch (method) {
+        case 'getAccountInfo':
+          return reply({ result: { context, value: toAccount(params[0]) } });
+        case 'getMultipleAccounts':
+          return reply({ result: { context, value: params[0].map(toAccount) } });
+        case 'getTokenLargestAccounts':
+          return reply({ result: { context, value: largestAccounts[params[0]] || [] } });
+        default:
+          return reply({ error: { code: -32601, message: 'Method not found' } });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startJsonRpcServer };
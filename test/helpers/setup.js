@@ -0,0 +1,7 @@
+// test/helpers/setup.js - Environment for unit tests; require before any config module
+// Tests never write the tracked log files or reach a real database or API
+process.env.LOG_ENABLE_FILE = 'false';
+process.env.LOG_ENABLE_CONSOLE = process.env.LOG_ENABLE_CONSOLE || 'false';
+process.env.DB_HOST = process.env.DB_HOST || '127.0.0.1';
+process.env.DB_USER = process.env.DB_USER || 'test';
+process.env.DB_NAME = process.env.DB_NAME || 'test';
@@ -0,0 +1,83 @@
+// test/helpers/smtpServer.js - Minimal local SMTP stub (no TLS, no auth) that records messages
+const net = require('net');
+
+// Resolves to { host, port, messages, close }; each message is { from, to: [], data }.
+function startSmtpServer() {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null; // collected message lines while in DATA mode
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 OK queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250-localhost');
+          reply('250 8BITMIME');
+        } else if (command === 'MAIL') {
+          envelope.from = line.match(/<([^>]*)>/)?.[1] ?? null;
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          envelope.to.push(line.match(/<([^>]*)>/)?.[1] ?? null);
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'NOOP') {
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+
+    reply('220 localhost SMTP stub');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpServer };
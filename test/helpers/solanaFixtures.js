@@ -0,0 +1,62 @@
+// test/helpers/solanaFixtures.js - Mint and token account buffers laid out as on chain
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('../../config/solanaRpc');
+
+// A 32-byte public key filled with one byte value
+const pubkey = (byte) => Buffer.alloc(32, byte);
+
+// SPL mint (82 bytes); with `extensions` ([[type, value Buffer]]) a Token-2022 mint padded to
+// the token account size, followed by the account type and the TLV entries
+function mintAccountData({ mintAuthority = null, freezeAuthority = null, supply = 1000000n, decimals = 6, extensions = null } = {}) {
+  const base = Buffer.alloc(82);
+  if (mintAuthority) {
+    base.writeUInt32LE(1, 0);
+    mintAuthority.copy(base, 4);
+  }
+  base.writeBigUInt64LE(supply, 36);
+  base[44] = decimals;
+  base[45] = 1;
+  if (freezeAuthority) {
+    base.writeUInt32LE(1, 46);
+    freezeAuthority.copy(base, 50);
+  }
+  if (!extensions) return base;
+
+  const parts = [base, Buffer.alloc(165 - 82), Buffer.from([1])];
+  for (const [type, value] of extensions) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16LE(type, 0);
+    header.writeUInt16LE(value.length, 2);
+    parts.push(header, value);
+  }
+  return Buffer.concat(parts);
+}
+
+// Token account (165 bytes): mint, owner, amount
+function tokenAccountData({ mint, owner, amount }) {
+  const data = Buffer.alloc(165);
+  mint.copy(data, 0);
+  owner.copy(data, 32);
+  data.writeBigUInt64LE(BigInt(amount), 64);
+  return data;
+}
+
+// TransferFeeConfig value: authorities, withheld amount, older and newer fee (epoch, max, bps)
+function transferFeeConfig({ olderBps, newerBps }) {
+  const value = Buffer.alloc(108);
+  pubkey(7).copy(value, 0);
+  value.writeBigUInt64LE(5n, 64);
+  value.writeBigUInt64LE(1n, 72);
+  value.writeUInt16LE(olderBps, 88);
+  value.writeBigUInt64LE(2n, 90);
+  value.writeUInt16LE(newerBps, 106);
+  return value;
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  pubkey,
+  mintAccountData,
+  tokenAccountData,
+  transferFeeConfig
+};
@@ -0,0 +1,79 @@
+// test/helpers/webhookReceiver.js - Local HTTP endpoint that records webhook requests
+const http = require('http');
+
+// Answers each request with the next entry of `statuses` (the last one repeats), and with
+// `body` as JSON when one is given. Resolves to { url, requests, close }; each request is
+// { method, url, headers, body }.
+function startWebhookReceiver({ statuses = [200], body: responseBody = null } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const status = statuses[Math.min(requests.length, statuses.length) - 1];
+      if (responseBody) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(responseBody));
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(status >= 200 && status < 300 ? 'ok' : 'upstream error');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hooks`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// Stand-in for the pool with just the webhook_deliveries INSERT and UPDATE ... WHERE id = $1
+// that WebhookDispatcher.dispatch() and attempt() run; rows are kept in `rows`.
+function memoryDeliveryStore() {
+  const rows = new Map();
+
+  return {
+    rows,
+    async query(sql, params) {
+      if (/INSERT INTO webhook_deliveries/.test(sql)) {
+        const [eventId, eventType, url, payload, maxAttempts] = params;
+        const row = {
+          id: rows.size + 1,
+          event_id: eventId,
+          event_type: eventType,
+          url,
+          payload: JSON.parse(payload),
+          status: 'pending',
+          attempts: 0,
+          max_attempts: maxAttempts
+        };
+        rows.set(row.id, row);
+        return { rows: [{ ...row }] };
+      }
+
+      if (/UPDATE webhook_deliveries SET\s+status = \$2/.test(sql)) {
+        const [id, status, attempts, nextAttemptAt, statusCode, error, responseBody] = params;
+        const row = Object.assign(rows.get(id), {
+          status,
+          attempts,
+          next_attempt_at: nextAttemptAt,
+          last_status_code: statusCode,
+          last_error: error,
+          response_body: responseBody
+        });
+        return { rows: [{ ...row }] };
+      }
+
+      throw new Error(`Unexpected query in memoryDeliveryStore: ${sql.trim().split('\n')[0]}`);
+    }
+  };
+}
+
+module.exports = { startWebhookReceiver, memoryDeliveryStore };
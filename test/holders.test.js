@@ -0,0 +1,65 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeBase58, SolanaRpcClient } = require('../config/solanaRpc');
+const { HolderAnalysisProvider } = require('../config/holders');
+const { SolanaTokenFilter } = require('../config/filter');
+const { TOKEN_PROGRAM_ID, pubkey, tokenAccountData } = require('./helpers/solanaFixtures');
+const { startJsonRpcServer } = require('./helpers/jsonRpcServer');
+
+const noRateLimit = { acquire: async () => {} };
+
+test('holder analysis gives shares from the largest accounts but no holder count', async (t) => {
+  const mint = encodeBase58(pubkey(1));
+  const pool = encodeBase58(pubkey(50));
+  const holders = [
+    // token account byte, owner byte, amount
+    [20, 50, 400n], // the pool's own vault
+    [21, 2, 200n],
+    [22, 3, 100n],
+    [23, 2, 50n] // second account of owner 2
+  ];
+  const accounts = Object.fromEntries(holders.map(([account, owner, amount]) => [
+    encodeBase58(pubkey(account)),
+    { owner: TOKEN_PROGRAM_ID, data: tokenAccountData({ mint: pubkey(1), owner: pubkey(owner), amount }) }
+  ]));
+  const server = await startJsonRpcServer({
+    accounts,
+    largestAccounts: {
+      [mint]: holders.map(([account, , amount]) => ({ address: encodeBase58(pubkey(account)), amount: amount.toString() }))
+    }
+  });
+  t.after(() => server.close());
+
+  const provider = new HolderAnalysisProvider({
+    rpc: new SolanaRpcClient({ url: server.url, rateLimiter: noRateLimit }),
+    filter: new SolanaTokenFilter({}, { chainId: 'solana' })
+  });
+  const analysis = await provider.analyze(mint, { supply: '1000', poolAddresses: [pool] });
+
+  assert.equal(analysis.source, 'rpc-largest');
+  assert.equal(analysis.count, null);
+  assert.equal(analysis.largestHolderCount, 2);
+  assert.equal(analysis.topPercentage, 25);
+  assert.equal(analysis.top10Percentage, 35);
+  assert.equal(analysis.excludedPercentage, 40);
+  assert.deepEqual(analysis.distribution.map(holder => [holder.address, holder.balance, holder.excluded]), [
+    [pool, '400', 'lp'],
+    [encodeBase58(pubkey(2)), '250', null],
+    [encodeBase58(pubkey(3)), '100', null]
+  ]);
+});
+
+test('holders_min skips an unknown holder count and still checks a known one', async () => {
+  const filter = new SolanaTokenFilter({}, { chainId: 'solana' });
+  const pair = { pairAddress: 'PAIR', chainId: 'solana' };
+  const holdersMin = async (count) => {
+    const holderData = { source: 'rpc-largest', count, topPercentage: 5, top10Percentage: 20, top20Percentage: 30 };
+    const result = await filter.evaluateToken(pair, { holderData });
+    return result.report.find(rule => rule.rule === 'holders_min');
+  };
+
+  assert.equal((await holdersMin(null)).passed, true);
+  assert.equal((await holdersMin(2)).passed, false);
+  assert.equal((await holdersMin(5000)).passed, true);
+});
@@ -0,0 +1,263 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload, WebhookDispatcher } = require('../config/webhooks');
+const { DiscordNotifier, TelegramNotifier, EmailNotifier, WebhookNotifier, NotifierRegistry } = require('../config/notifiers');
+const { startWebhookReceiver, memoryDeliveryStore } = require('./helpers/webhookReceiver');
+const { startSmtpServer } = require('./helpers/smtpServer');
+
+const SECRET = 'test-secret';
+
+const alertData = {
+  symbol: 'TEST',
+  name: 'Test Token',
+  dex: 'raydium',
+  dexName: 'Raydium',
+  price: '0.0012',
+  priceSOL: '0.000008',
+  priceChange24h: 12.5,
+  volume24h: 25000,
+  liquidity: 50000,
+  solLiquidity: 330,
+  holders: 420,
+  topHolderPerc: 4.2,
+  rugScore: 2,
+  risks: [],
+  tokenAddress: 'TokenMint1111111111111111111111111111111111',
+  pairAddress: 'PairAddr11111111111111111111111111111111111',
+  dexscreenerUrl: 'https://dexscreener.com/solana/pair',
+  timestamp: '2026-01-01T00:00:00.000Z'
+};
+
+function createDispatcher(url, options = {}) {
+  const db = memoryDeliveryStore();
+  const dispatcher = new WebhookDispatcher({ url, secret: SECRET, timeoutMs: 2000, maxAttempts: 3, retryBaseMs: 1000, db, ...options });
+  return { dispatcher, db };
+}
+
+test('signPayload is HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  assert.equal(
+    signPayload('secret', '1700000000', '{"a":1}'),
+    'sha256=' + require('crypto').createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex')
+  );
+});
+
+test('retry delay doubles per attempt up to the cap', () => {
+  const dispatcher = new WebhookDispatcher({ url: 'http://127.0.0.1', retryBaseMs: 1000, retryMaxMs: 5000, db: memoryDeliveryStore() });
+  assert.deepEqual([1, 2, 3, 4].map(attempts => dispatcher.retryDelayMs(attempts)), [1000, 2000, 4000, 5000]);
+});
+
+test('dispatcher delivers a signed event to a local HTTP endpoint', async (t) => {
+  const receiver = await startWebhookReceiver();
+  t.after(() => receiver.close());
+  const { dispatcher, db } = createDispatcher(receiver.url);
+
+  const delivery = await dispatcher.dispatch('solana_token_alert', alertData);
+
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.last_status_code, 200);
+  assert.equal(db.rows.get(delivery.id).status, 'delivered');
+
+  assert.equal(receiver.requests.length, 1);
+  const [request] = receiver.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-webhook-event'], 'solana_token_alert');
+  assert.equal(request.headers['x-webhook-id'], delivery.event_id);
+  assert.equal(request.headers['x-webhook-attempt'], '1');
+  assert.equal(request.headers['x-webhook-signature'], signPayload(SECRET, request.headers['x-webhook-timestamp'], request.body));
+
+  const body = JSON.parse(request.body);
+  assert.equal(body.id, delivery.event_id);
+  assert.equal(body.type, 'solana_token_alert');
+  assert.deepEqual(body.data, alertData);
+});
+
+test('dispatcher leaves out the signature header without a secret', async (t) => {
+  const receiver = await startWebhookReceiver();
+  t.after(() => receiver.close());
+  const { dispatcher } = createDispatcher(receiver.url, { secret: null });
+
+  await dispatcher.dispatch('solana_token_alert', alertData);
+
+  assert.equal(receiver.requests[0].headers['x-webhook-signature'], undefined);
+});
+
+test('dispatcher schedules a retry on a 5xx and delivers on the next attempt', async (t) => {
+  const receiver = await startWebhookReceiver({ statuses: [503, 200] });
+  t.after(() => receiver.close());
+  const { dispatcher } = createDispatcher(receiver.url);
+
+  const before = Date.now();
+  const first = await dispatcher.dispatch('solana_token_alert', alertData);
+
+  assert.equal(first.status, 'pending');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.last_status_code, 503);
+  assert.equal(first.last_error, 'HTTP 503');
+  assert.equal(first.response_body, 'upstream error');
+  assert.ok(first.next_attempt_at.getTime() >= before + 1000, 'first retry waits retryBaseMs');
+
+  const second = await dispatcher.attempt(first);
+
+  assert.equal(second.status, 'delivered');
+  assert.equal(second.attempts, 2);
+  assert.equal(second.next_attempt_at, null);
+
+  assert.equal(receiver.requests.length, 2);
+  const [attempt1, attempt2] = receiver.requests;
+  assert.equal(attempt2.headers['x-webhook-attempt'], '2');
+  assert.equal(attempt2.headers['x-webhook-id'], attempt1.headers['x-webhook-id']);
+  assert.equal(attempt2.body, attempt1.body);
+  assert.equal(attempt2.headers['x-webhook-signature'], signPayload(SECRET, attempt2.headers['x-webhook-timestamp'], attempt2.body));
+});
+
+test('dispatcher marks a delivery failed once max attempts are used up', async (t) => {
+  const receiver = await startWebhookReceiver({ statuses: [500] });
+  t.after(() => receiver.close());
+  const { dispatcher } = createDispatcher(receiver.url, { maxAttempts: 2 });
+
+  const first = await dispatcher.dispatch('solana_token_alert', alertData);
+  const second = await dispatcher.attempt(first);
+
+  assert.equal(first.status, 'pending');
+  assert.equal(second.status, 'failed');
+  assert.equal(second.attempts, 2);
+  assert.equal(second.next_attempt_at, null);
+  assert.equal(receiver.requests.length, 2);
+});
+
+test('webhook channel reports a pending retry as a failed notification', async (t) => {
+  const receiver = await startWebhookReceiver({ statuses: [502] });
+  t.after(() => receiver.close());
+  const { dispatcher } = createDispatcher(receiver.url);
+  const registry = new NotifierRegistry().register(new WebhookNotifier({ dispatcher }));
+
+  const [result] = await registry.notify(alertData);
+
+  assert.equal(result.channel, 'webhook');
+  assert.equal(result.ok, false);
+  assert.match(result.error, /will be retried: HTTP 502/);
+});
+
+test('discord channel posts an embed to the webhook URL', async (t) => {
+  const receiver = await startWebhookReceiver({ statuses: [204] });
+  t.after(() => receiver.close());
+  const notifier = new DiscordNotifier({ webhookUrl: receiver.url, timeoutMs: 2000 });
+
+  const [result] = await new NotifierRegistry().register(notifier).notify({ ...alertData, rule: 'Fresh pump', message: 'volume spike' });
+
+  assert.deepEqual(result, { channel: 'discord', ok: true });
+  assert.equal(receiver.requests.length, 1);
+  const body = JSON.parse(receiver.requests[0].body);
+  assert.equal(body.username, 'Solana Token Monitor');
+  assert.equal(body.embeds.length, 1);
+
+  const [embed] = body.embeds;
+  assert.equal(embed.title, '🚨 TEST - Test Token');
+  assert.equal(embed.url, alertData.dexscreenerUrl);
+  assert.equal(embed.description, '**Fresh pump**: volume spike');
+  assert.equal(embed.color, 0x14f195);
+  assert.equal(embed.timestamp, alertData.timestamp);
+  assert.deepEqual(embed.footer, { text: `Pair ${alertData.pairAddress}` });
+
+  const fields = Object.fromEntries(embed.fields.map(field => [field.name, field.value]));
+  assert.equal(fields.Price, '$0.0012\n0.000008 SOL');
+  assert.equal(fields['24h Change'], '+12.50%');
+  assert.equal(fields.DEX, 'Raydium');
+  assert.equal(fields['Rug Score'], '2/10');
+  assert.equal(fields.Risks, 'none');
+  assert.equal(fields.Token, `\`${alertData.tokenAddress}\``);
+});
+
+test('discord channel reports a non-2xx response', async (t) => {
+  const receiver = await startWebhookReceiver({ statuses: [429] });
+  t.after(() => receiver.close());
+  const notifier = new DiscordNotifier({ webhookUrl: receiver.url, timeoutMs: 2000 });
+
+  const [result] = await new NotifierRegistry().register(notifier).notify(alertData);
+
+  assert.equal(result.ok, false);
+  assert.match(result.error, /429/);
+});
+
+test('telegram channel calls sendMessage on the configured Bot API URL', async (t) => {
+  const receiver = await startWebhookReceiver();
+  t.after(() => receiver.close());
+  const notifier = new TelegramNotifier({ botToken: '123:abc', chatId: '-10042', apiUrl: `${receiver.url}/`, timeoutMs: 2000 });
+
+  const [result] = await new NotifierRegistry().register(notifier).notify({ ...alertData, name: 'Test <Token> & Co' });
+
+  assert.deepEqual(result, { channel: 'telegram', ok: true });
+  assert.equal(receiver.requests.length, 1);
+  const [request] = receiver.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/hooks/bot123:abc/sendMessage');
+
+  const body = JSON.parse(request.body);
+  assert.equal(body.chat_id, '-10042');
+  assert.equal(body.parse_mode, 'HTML');
+  assert.equal(body.disable_web_page_preview, true);
+  assert.match(body.text, /^🚨 <b>TEST<\/b> - Test &lt;Token&gt; &amp; Co$/m);
+  assert.match(body.text, /^24h change: \+12\.50%$/m);
+  assert.match(body.text, new RegExp(`^Pair: ${alertData.pairAddress}$`, 'm'));
+  assert.match(body.text, /<a href="https:\/\/dexscreener\.com\/solana\/pair">View on DexScreener<\/a>$/);
+});
+
+test('telegram channel treats ok: false in a 200 response as a failure', async (t) => {
+  const receiver = await startWebhookReceiver({ body: { ok: false, description: 'Bad Request: chat not found' } });
+  t.after(() => receiver.close());
+  const notifier = new TelegramNotifier({ botToken: '123:abc', chatId: 'missing', apiUrl: receiver.url, timeoutMs: 2000 });
+
+  const [result] = await new NotifierRegistry().register(notifier).notify(alertData);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'Telegram API error: Bad Request: chat not found');
+});
+
+test('email channel sends the alert through a local SMTP server', async (t) => {
+  const smtp = await startSmtpServer();
+  t.after(() => smtp.close());
+  const notifier = new EmailNotifier({
+    host: smtp.host,
+    port: smtp.port,
+    secure: false,
+    from: 'monitor@example.com',
+    to: 'alerts@example.com',
+    timeoutMs: 2000
+  });
+  t.after(() => notifier.transport.close());
+
+  assert.equal(notifier.isConfigured(), true);
+  const [result] = await new NotifierRegistry().register(notifier).notify(alertData);
+
+  assert.deepEqual(result, { channel: 'email', ok: true });
+  assert.equal(smtp.messages.length, 1);
+  const [message] = smtp.messages;
+  assert.equal(message.from, 'monitor@example.com');
+  assert.deepEqual(message.to, ['alerts@example.com']);
+  assert.match(message.data, /^From: monitor@example\.com$/m);
+  assert.match(message.data, /^To: alerts@example\.com$/m);
+  assert.match(message.data, /^Subject: /m);
+  assert.match(message.data, /TEST - Test Token/);
+  assert.match(message.data, /Content-Type: text\/html/);
+  assert.match(message.data, /PairAddr11111111111111111111111111111111111/);
+});
+
+test('email channel reports an SMTP connection failure', async () => {
+  const smtp = await startSmtpServer();
+  const { port } = smtp;
+  await smtp.close();
+
+  const notifier = new EmailNotifier({ host: '127.0.0.1', port, from: 'monitor@example.com', to: 'alerts@example.com', timeoutMs: 2000 });
+  const [result] = await new NotifierRegistry().register(notifier).notify(alertData);
+
+  assert.equal(result.channel, 'email');
+  assert.equal(result.ok, false);
+  assert.match(result.error, /ECONNREFUSED/);
+});
+
+test('email channel is not configured without a host', () => {
+  assert.equal(new EmailNotifier({ from: 'monitor@example.com', to: 'alerts@example.com' }).isConfigured(), false);
+});
@@ -0,0 +1,100 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setImmediate: tick } = require('node:timers/promises');
+const { Pipeline, BoundedQueue } = require('../config/pipeline');
+const { sleep } = require('../config/api');
+
+// A promise plus the function that resolves it
+function gate() {
+  let open;
+  const opened = new Promise(resolve => { open = resolve; });
+  return { opened, open };
+}
+
+test('a full queue blocks put() until an item is taken', async () => {
+  const queue = new BoundedQueue(2);
+  await queue.put('a');
+  await queue.put('b');
+
+  let thirdPut = false;
+  const put = queue.put('c').then(() => { thirdPut = true; });
+  await tick();
+  assert.equal(thirdPut, false, 'put waits while the queue is full');
+
+  assert.equal(await queue.take(), 'a');
+  await put;
+  assert.equal(thirdPut, true);
+  assert.deepEqual(queue.items, ['b', 'c']);
+});
+
+test('take() waits for an item and ends once the queue is closed and drained', async () => {
+  const queue = new BoundedQueue(1);
+  const taken = queue.take();
+  await queue.put('x');
+  assert.equal(await taken, 'x');
+
+  const idle = queue.take();
+  queue.close();
+  assert.equal(typeof await idle, 'symbol');
+  assert.equal(typeof await queue.take(), 'symbol');
+});
+
+test('a slow stage holds back the stages in front of it', async () => {
+  const release = gate();
+  const firstStage = [];
+
+  const pipeline = new Pipeline([
+    { name: 'fast', concurrency: 1, handler: async (item) => { firstStage.push(item); return item; } },
+    { name: 'slow', concurrency: 1, handler: async (item) => { await release.opened; return item; } }
+  ], { queueSize: 2 });
+
+  const items = Array.from({ length: 20 }, (_, index) => index);
+  const run = pipeline.run(items);
+  await sleep(20);
+
+  // One item in the slow handler, two in the queue between the stages and one
+  // waiting in the fast worker's put(); the rest are held back
+  assert.deepEqual(firstStage, [0, 1, 2, 3]);
+
+  release.open();
+  const { results, stages } = await run;
+  assert.deepEqual(results, items);
+  assert.equal(stages.fast.processed, 20);
+  assert.equal(stages.slow.processed, 20);
+});
+
+test('stages run at most `concurrency` items at once and report their timings', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const errors = [];
+
+  const pipeline = new Pipeline([
+    {
+      name: 'work',
+      concurrency: 3,
+      handler: async (item) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(5);
+        active--;
+        if (item === 0) throw new Error('boom');
+        return item % 2 === 0 ? item : null;
+      }
+    }
+  ], { queueSize: 4, onError: (error, item, stageName) => errors.push([error.message, item, stageName]) });
+
+  const { results, stages } = await pipeline.run(Array.from({ length: 12 }, (_, index) => index));
+
+  assert.equal(maxActive, 3);
+  assert.deepEqual(results.sort((a, b) => a - b), [2, 4, 6, 8, 10]);
+  assert.deepEqual(errors, [['boom', 0, 'work']]);
+  assert.equal(stages.work.concurrency, 3);
+  assert.equal(stages.work.processed, 12);
+  assert.equal(stages.work.passed, 5);
+  assert.equal(stages.work.dropped, 6);
+  assert.equal(stages.work.errors, 1);
+  assert.ok(stages.work.avgMs >= 4);
+  assert.ok(stages.work.maxMs >= stages.work.avgMs);
+  assert.ok(stages.work.wallMs >= stages.work.maxMs);
+});
@@ -0,0 +1,179 @@
+require('./helpers/setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MINT_EXTENSIONS,
+  encodeBase58,
+  decodeMintAccount,
+  decodeTokenAccount,
+  getTransferFeeBasisPoints,
+  SolanaRpcClient
+} = require('../config/solanaRpc');
+const { SolanaTokenFilter } = require('../config/filter');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  pubkey,
+  mintAccountData,
+  tokenAccountData,
+  transferFeeConfig
+} = require('./helpers/solanaFixtures');
+const { startJsonRpcServer } = require('./helpers/jsonRpcServer');
+
+const noRateLimit = { acquire: async () => {} };
+
+test('encodeBase58 matches known vectors', () => {
+  assert.equal(encodeBase58(Buffer.alloc(32)), '11111111111111111111111111111111');
+  assert.equal(encodeBase58(Buffer.from('Hello World!')), '2NEpo7TZRRrLZSi2U');
+  assert.equal(encodeBase58(Buffer.from([0, 0, 1])), '112');
+});
+
+test('decodes an SPL Token mint', () => {
+  const mint = decodeMintAccount(mintAccountData({ mintAuthority: pubkey(8), freezeAuthority: pubkey(9), supply: 123456789n, decimals: 9 }), TOKEN_PROGRAM_ID);
+
+  assert.equal(mint.tokenProgram, 'spl-token');
+  assert.equal(mint.mintAuthority, encodeBase58(pubkey(8)));
+  assert.equal(mint.freezeAuthority, encodeBase58(pubkey(9)));
+  assert.equal(mint.supply, '123456789');
+  assert.equal(mint.decimals, 9);
+  assert.equal(mint.isInitialized, true);
+  assert.deepEqual(mint.extensions, {});
+});
+
+test('reads unset authorities as null', () => {
+  const mint = decodeMintAccount(mintAccountData(), TOKEN_PROGRAM_ID);
+  assert.equal(mint.mintAuthority, null);
+  assert.equal(mint.freezeAuthority, null);
+});
+
+test('rejects accounts that are not mints', () => {
+  assert.throws(() => decodeMintAccount(mintAccountData(), '11111111111111111111111111111111'), /not a token program/);
+  assert.throws(() => decodeMintAccount(Buffer.alloc(165), TOKEN_PROGRAM_ID), /not a mint/);
+});
+
+test('extension table uses the Token-2022 ExtensionType ids', () => {
+  const ids = Object.fromEntries(Object.entries(MINT_EXTENSIONS).map(([type, [name]]) => [name, Number(type)]));
+  assert.deepEqual(ids, {
+    transferFeeConfig: 1,
+    mintCloseAuthority: 3,
+    confidentialTransferMint: 4,
+    defaultAccountState: 6,
+    nonTransferable: 9,
+    interestBearingConfig: 10,
+    permanentDelegate: 12,
+    transferHook: 14,
+    confidentialTransferFeeConfig: 16,
+    metadataPointer: 18,
+    tokenMetadata: 19,
+    groupPointer: 20,
+    tokenGroup: 21,
+    groupMemberPointer: 22,
+    tokenGroupMember: 23,
+    confidentialMintBurn: 24,
+    scaledUiAmount: 25,
+    pausable: 26
+  });
+});
+
+test('decodes Token-2022 mint extensions', () => {
+  const transferHook = Buffer.concat([pubkey(4), pubkey(5)]);
+  const pausable = Buffer.concat([pubkey(6), Buffer.from([1])]);
+  const metadataPointer = Buffer.concat([pubkey(2), pubkey(3)]);
+  const interestBearing = Buffer.alloc(52);
+  pubkey(1).copy(interestBearing, 0);
+  interestBearing.writeInt16LE(-250, 50);
+
+  const mint = decodeMintAccount(mintAccountData({
+    extensions: [
+      [1, transferFeeConfig({ olderBps: 100, newerBps: 300 })],
+      [6, Buffer.from([2])],
+      [9, Buffer.alloc(0)],
+      [10, interestBearing],
+      [12, pubkey(11)],
+      [14, transferHook],
+      [18, metadataPointer],
+      [19, Buffer.from('metadata')],
+      [26, pausable]
+    ]
+  }), TOKEN_2022_PROGRAM_ID);
+
+  assert.equal(mint.tokenProgram, 'token-2022');
+  assert.deepEqual(Object.keys(mint.extensions), [
+    'transferFeeConfig', 'defaultAccountState', 'nonTransferable', 'interestBearingConfig',
+    'permanentDelegate', 'transferHook', 'metadataPointer', 'tokenMetadata', 'pausable'
+  ]);
+  assert.equal(mint.extensions.transferFeeConfig.withheldAmount, '5');
+  assert.equal(mint.extensions.defaultAccountState.state, 'frozen');
+  assert.deepEqual(mint.extensions.nonTransferable, {});
+  assert.deepEqual(mint.extensions.interestBearingConfig, { rateAuthority: encodeBase58(pubkey(1)), currentRate: -250 });
+  assert.deepEqual(mint.extensions.permanentDelegate, { delegate: encodeBase58(pubkey(11)) });
+  assert.deepEqual(mint.extensions.transferHook, { authority: encodeBase58(pubkey(4)), programId: encodeBase58(pubkey(5)) });
+  assert.deepEqual(mint.extensions.metadataPointer, { authority: encodeBase58(pubkey(2)), metadataAddress: encodeBase58(pubkey(3)) });
+  assert.deepEqual(mint.extensions.pausable, { authority: encodeBase58(pubkey(6)), paused: true });
+  assert.equal(getTransferFeeBasisPoints(mint), 300);
+});
+
+test('reports unknown extension types by id', () => {
+  const mint = decodeMintAccount(mintAccountData({ extensions: [[99, Buffer.alloc(4)]] }), TOKEN_2022_PROGRAM_ID);
+  assert.deepEqual(mint.extensions, { unknown_99: {} });
+});
+
+test('rejects truncated extensions', () => {
+  const data = mintAccountData({ extensions: [[12, pubkey(11)]] });
+  assert.throws(() => decodeMintAccount(data.subarray(0, data.length - 1), TOKEN_2022_PROGRAM_ID), /truncated/);
+});
+
+test('decodes a token account', () => {
+  const account = decodeTokenAccount(tokenAccountData({ mint: pubkey(1), owner: pubkey(2), amount: 42n }), TOKEN_PROGRAM_ID);
+  assert.deepEqual(account, { mint: encodeBase58(pubkey(1)), owner: encodeBase58(pubkey(2)), amount: '42' });
+  assert.throws(() => decodeTokenAccount(mintAccountData(), TOKEN_PROGRAM_ID), /not a token account/);
+});
+
+test('blocked extensions reject the mint in the filter rules', async () => {
+  const filter = new SolanaTokenFilter({}, { chainId: 'solana' });
+  for (const [type, name] of [[9, 'nonTransferable'], [12, 'permanentDelegate'], [14, 'transferHook'], [26, 'pausable']]) {
+    const value = type === 9 ? Buffer.alloc(0) : Buffer.alloc(64, 1);
+    const mintAccount = decodeMintAccount(mintAccountData({ extensions: [[type, value]] }), TOKEN_2022_PROGRAM_ID);
+    const result = await filter.evaluateToken({ pairAddress: 'PAIR', chainId: 'solana' }, { mintAccount });
+    const entry = result.report.find(rule => rule.rule === 'mint_extensions');
+    assert.equal(entry.passed, false, name);
+    assert.deepEqual(entry.observed, [name]);
+  }
+});
+
+test('SolanaRpcClient reads mints and token accounts from a JSON-RPC server', async (t) => {
+  const mintAddress = encodeBase58(pubkey(1));
+  const holderAccount = encodeBase58(pubkey(20));
+  const server = await startJsonRpcServer({
+    accounts: {
+      [mintAddress]: { owner: TOKEN_2022_PROGRAM_ID, data: mintAccountData({ freezeAuthority: pubkey(9), extensions: [[12, pubkey(11)]] }) },
+      [holderAccount]: { owner: TOKEN_PROGRAM_ID, data: tokenAccountData({ mint: pubkey(1), owner: pubkey(2), amount: 500n }) }
+    },
+    largestAccounts: {
+      [mintAddress]: [{ address: holderAccount, amount: '500', decimals: 6, uiAmount: 0.0005, uiAmountString: '0.0005' }]
+    },
+    failures: {
+      BROKEN: { code: -32602, message: 'Invalid param' }
+    }
+  });
+  t.after(() => server.close());
+  const client = new SolanaRpcClient({ url: server.url, rateLimiter: noRateLimit });
+
+  const mint = await client.getMint(mintAddress);
+  assert.equal(mint.address, mintAddress);
+  assert.equal(mint.tokenProgram, 'token-2022');
+  assert.equal(mint.freezeAuthority, encodeBase58(pubkey(9)));
+  assert.deepEqual(Object.keys(mint.extensions), ['permanentDelegate']);
+  assert.deepEqual(server.requests[0], { method: 'getAccountInfo', params: [mintAddress, { encoding: 'base64', commitment: 'confirmed' }] });
+
+  assert.equal(await client.getMint(encodeBase58(pubkey(99))), null);
+
+  assert.deepEqual(await client.getTokenLargestAccounts(mintAddress), [{ address: holderAccount, amount: '500' }]);
+
+  const accounts = await client.getMultipleAccounts([holderAccount, encodeBase58(pubkey(98))]);
+  assert.equal(accounts.length, 2);
+  assert.equal(accounts[1], null);
+  assert.equal(decodeTokenAccount(accounts[0].data, accounts[0].owner).owner, encodeBase58(pubkey(2)));
+
+  await assert.rejects(client.getMint('BROKEN'), /RPC getAccountInfo failed: Invalid param \(-32602\)/);
+});
@@ -1,34 +1,126 @@
-// token-monitor.js - Solana-focused token monitoring application
+// token-monitor.js - Token monitoring application (one monitor per chain in MONITOR_CHAINS)
 const cron = require('node-cron');
-const { db, api, filters, solana, logging, appConfig } = require('./config');
+const { db, api, filters, chains, logging, pipeline, notifiers, webhooks, alerts, watchlists, events, rugDetector, dexes, solanaRpc, holders, appConfig } = require('./config');
 
 const { logger } = logging;
-const { dexScreenerAPI, rugCheckAPI, dexScreenerRateLimiter, rugCheckRateLimiter, sleep, retryRequest } = api;
+const { Pipeline } = pipeline;
+const { dexScreener: dexScreenerAPI, rugCheck: rugCheckAPI } = api;
+const { dexScreener: dexScreenerRateLimiter, rugCheck: rugCheckRateLimiter } = api.rateLimiters;
+const { retryRequest } = api.utils;
 
+// Max pair addresses per DexScreener /latest/dex/pairs request
+const DEXSCREENER_PAIRS_PER_REQUEST = 30;
+
+// Payload of token.saved / token.updated stream events
+function tokenEventData(row) {
+  return {
+    tokenId: row.id,
+    pairAddress: row.pair_address,
+    tokenAddress: row.base_token_address,
+    symbol: row.base_token_symbol,
+    name: row.base_token_name,
+    dex: row.dex_id,
+    priceUsd: parseFloat(row.price_usd),
+    liquidityUsd: parseFloat(row.liquidity_usd),
+    volume24h: parseFloat(row.volume_24h),
+    priceChange24h: parseFloat(row.price_change_24h),
+    holders: row.holders_count,
+    rugScore: row.rug_score,
+    status: row.status
+  };
+}
+
+// Build "($1, $2), ($3, $4)" style placeholders for a multi-row INSERT
+function buildValuesPlaceholders(rowCount, columnCount) {
+  const rows = [];
+  for (let row = 0; row < rowCount; row++) {
+    const placeholders = [];
+    for (let column = 1; column <= columnCount; column++) {
+      placeholders.push(`$${row * columnCount + column}`);
+    }
+    rows.push(`(${placeholders.join(', ')})`);
+  }
+  return rows.join(',\n        ');
+}
+
+// Scans one chain. Monitors for several chains can share a webhook dispatcher; only the
+// monitor that created it runs its retry loop.
 class SolanaTokenMonitor {
-  constructor() {
+  constructor({ chainId = chains.defaultChain, webhookDispatcher = null } = {}) {
+    if (!chains.isSupportedChain(chainId)) {
+      throw new Error(`Unsupported chain: ${chainId}. Supported: ${chains.getSupportedChains().join(', ')}`);
+    }
+
     // Use centralized database pool
     this.pool = db.pool;
+
+    // Chain configuration from the registry
+    this.chainId = chainId;
+    this.chain = chains.getChainConfig(chainId);
     
-    // Use Solana-specific filter
-    this.tokenFilter = new filters.SolanaTokenFilter(filters.config); // Pass the filterConfig here
+    // Use the chain's rule file
+    this.tokenFilter = new filters.SolanaTokenFilter({}, { chainId }); // Rules and thresholds come from the rule file
+    this.filterProfileVersion = null; // updated_at of the applied filter profile
+
+    // Alert channels (webhook, Discord, Telegram, email) configured in appConfig
+    this.ownsWebhookDispatcher = !webhookDispatcher;
+    this.webhookDispatcher = webhookDispatcher || webhooks.createWebhookDispatcher(appConfig);
+    this.notifiers = notifiers.createNotifiers(appConfig, { webhookDispatcher: this.webhookDispatcher });
+    this.alertManager = new alerts.AlertManager({
+      notifiers: this.notifiers,
+      cooldownMinutes: appConfig.alertCooldownMinutes,
+      realertImprovementPct: appConfig.alertRealertImprovementPct,
+      realertMetric: appConfig.alertRealertMetric,
+      chainId
+    });
+    this.alertRules = new alerts.rules.AlertRuleEvaluator({ alertManager: this.alertManager, chainId });
+
+    // Re-checks saved tokens and sets rug/delisted/flagged automatically
+    this.rugDetector = new rugDetector.RugDetector({
+      alertManager: this.alertManager,
+      fetchPairs: (pairAddresses) => this.fetchSolanaPairsByAddress(pairAddresses),
+      checkRugScore: (tokenAddress) => this.checkSolanaRugScore(tokenAddress, { analyzeHolders: false }),
+      chainId,
+      batchSize: appConfig.rugDetectionBatchSize,
+      liquidityDropPct: appConfig.rugLiquidityDropPct,
+      missingChecks: appConfig.rugMissingChecks
+    });
+
+    // Refresh job for saved tokens (see refreshSavedTokens)
+    this.refreshingTokens = false;
+
+    // Watchlist refresh loop (runs alongside the scan schedule)
+    this.watchlistTimer = null;
+    this.checkingWatchlists = false;
     
-    // Solana configuration
-    this.chainId = 'solana';
-    this.supportedDEXs = solana.getSupportedDEXs();
-    this.priorityDEXs = appConfig.priorityDEXs;
+    // DEX registry (dexes table); reloaded from each fetch, which also records unknown dexIds
+    this.dexRegistry = new dexes.DexRegistry(chainId);
+
+    // Mint accounts are read over the chain's RPC (VERIFY_MINT_ON_CHAIN=false turns this off)
+    this.solanaRpc = this.chain.splMints && appConfig.verifyMintOnChain
+      ? new solanaRpc.SolanaRpcClient({ url: this.chain.rpcUrl })
+      : null;
+
+    // Holder concentration from the largest token accounts (HOLDER_ANALYSIS_ON_CHAIN=false turns this off)
+    this.holderAnalysis = this.solanaRpc && appConfig.holderAnalysisOnChain
+      ? new holders.HolderAnalysisProvider({ rpc: this.solanaRpc, filter: this.tokenFilter })
+      : null;
     
     // Monitoring configuration
     this.config = {
       maxTokensPerScan: appConfig.maxTokensPerScan,
       scanInterval: appConfig.scanInterval,
-      rateLimitDelay: 150 // Faster for Solana
+      pipeline: appConfig.pipeline,
+      bulkUpsertSize: appConfig.bulkUpsertSize,
+      stalenessWindows: appConfig.stalenessWindows,
+      defaultStalenessMinutes: appConfig.defaultStalenessMinutes,
+      tokenRefreshBatchSize: appConfig.tokenRefreshBatchSize
     };
 
-    logger.info('🟣 Solana Token Monitor initialized', {
-      supportedDEXs: this.supportedDEXs,
-      priorityDEXs: this.priorityDEXs,
-      maxTokensPerScan: this.config.maxTokensPerScan
+    logger.info(`🟣 ${this.chain.name} Token Monitor initialized`, {
+      maxTokensPerScan: this.config.maxTokensPerScan,
+      pipeline: this.config.pipeline,
+      alertChannels: this.notifiers.configuredChannels()
     });
   }
 
@@ -37,39 +129,128 @@ class SolanaTokenMonitor {
       await dexScreenerRateLimiter.acquire();
       
       const response = await retryRequest(async () => {
-        return await dexScreenerAPI.get('/latest/dex/pairs/solana');
+        return await dexScreenerAPI.get(`/latest/dex/pairs/${this.chain.dexscreenerPath}`);
       });
 
-      const pairs = response.data.pairs || [];
-      
-      // Filter by supported DEXs and prioritize
+      const seenPairs = new Set();
+      const pairs = (response.data.pairs || []).filter(pair => {
+        if (seenPairs.has(pair.pairAddress)) return false;
+        seenPairs.add(pair.pairAddress);
+        return true;
+      });
+
+      // Count pairs per DEX (recording new dexIds), then drop disabled DEXs
+      await this.dexRegistry.recordSeen(pairs);
+
       const filteredPairs = pairs
-        .filter(pair => this.supportedDEXs.includes(pair.dexId))
+        .filter(pair => this.dexRegistry.isEnabled(pair.dexId))
         .sort((a, b) => {
-          // Prioritize based on DEX preference
-          const aPriority = this.priorityDEXs.indexOf(a.dexId);
-          const bPriority = this.priorityDEXs.indexOf(b.dexId);
-          
-          if (aPriority !== -1 && bPriority !== -1) {
-            return aPriority - bPriority;
-          }
-          if (aPriority !== -1) return -1;
-          if (bPriority !== -1) return 1;
-          
-          // Sort by volume if no priority preference
+          // Prioritize by registry priority, then by volume
+          const priorityDiff = this.dexRegistry.get(a.dexId).priority - this.dexRegistry.get(b.dexId).priority;
+          if (priorityDiff !== 0) return priorityDiff;
           return (b.volume?.h24 || 0) - (a.volume?.h24 || 0);
         });
 
-      logger.info(`Fetched ${pairs.length} Solana pairs, ${filteredPairs.length} from supported DEXs`);
+      logger.info(`Fetched ${pairs.length} ${this.chain.name} pairs, ${filteredPairs.length} from enabled DEXs`);
       return filteredPairs.slice(0, this.config.maxTokensPerScan);
       
     } catch (error) {
-      logger.error('Error fetching Solana pairs from DexScreener:', error);
-      return [];
+      logger.error(`Error fetching ${this.chain.name} pairs from DexScreener:`, error);
+      throw error;
+    }
+  }
+
+  // Fetch specific pairs by address (DexScreener accepts up to 30 per request).
+  // Returns a Map of pair address -> pair; pairs DexScreener no longer knows are absent.
+  async fetchSolanaPairsByAddress(pairAddresses) {
+    const pairs = new Map();
+
+    for (let i = 0; i < pairAddresses.length; i += DEXSCREENER_PAIRS_PER_REQUEST) {
+      const chunk = pairAddresses.slice(i, i + DEXSCREENER_PAIRS_PER_REQUEST);
+      await dexScreenerRateLimiter.acquire();
+
+      const response = await retryRequest(async () => {
+        return await dexScreenerAPI.get(`/latest/dex/pairs/${this.chain.dexscreenerPath}/${chunk.join(',')}`);
+      });
+
+      for (const pair of response.data.pairs || []) {
+        pairs.set(pair.pairAddress, pair);
+      }
+    }
+
+    return pairs;
+  }
+
+  // RugCheck report with the mint account read over RPC on top. On-chain authorities replace
+  // RugCheck's; authoritySource says which one answered ('none' when neither did).
+  // With analyzeHolders the holder stats (rugData.holderData) also come from RPC; poolAddresses
+  // are the mint's pools, whose vaults are not counted as holders.
+  async checkSolanaRugScore(tokenAddress, { poolAddresses = [], analyzeHolders = true } = {}) {
+    const mintAccountRequest = this.fetchMintAccount(tokenAddress);
+    const [rugData, mintAccount, holderData] = await Promise.all([
+      this.fetchRugCheckReport(tokenAddress),
+      mintAccountRequest,
+      analyzeHolders ? mintAccountRequest.then(mint => this.fetchHolderAnalysis(tokenAddress, mint, poolAddresses)) : null
+    ]);
+
+    if (mintAccount) {
+      return {
+        ...rugData,
+        freezeAuthority: mintAccount.freezeAuthority,
+        mintAuthority: mintAccount.mintAuthority,
+        mintAccount,
+        authoritySource: 'rpc',
+        authorityVerified: true,
+        // The largest accounts give no holder count; take RugCheck's when it has one
+        ...(holderData && { holderData: { ...holderData, count: rugData.holders?.count || null } })
+      };
+    }
+
+    const authoritySource = this.chain.rugCheck && !rugData.dataUnavailable ? 'rugcheck' : 'none';
+    return { ...rugData, mintAccount: null, authoritySource, authorityVerified: authoritySource !== 'none' };
+  }
+
+  // The decoded mint account, or null without an RPC client, when the account does not exist or on error
+  async fetchMintAccount(tokenAddress) {
+    if (!this.solanaRpc) return null;
+
+    try {
+      return await this.solanaRpc.getMint(tokenAddress);
+    } catch (error) {
+      logger.warn(`Error reading mint account ${tokenAddress} over RPC:`, error.message);
+      return null;
     }
   }
 
-  async checkSolanaRugScore(tokenAddress) {
+  // Holder stats from the largest token accounts, or null without a provider or mint account, or
+  // on error (the filter then falls back to RugCheck's holder list)
+  async fetchHolderAnalysis(tokenAddress, mintAccount, poolAddresses) {
+    if (!this.holderAnalysis || !mintAccount) return null;
+
+    try {
+      return await this.holderAnalysis.analyze(tokenAddress, { supply: mintAccount.supply, poolAddresses });
+    } catch (error) {
+      logger.warn(`Error analyzing holders of ${tokenAddress} over RPC:`, error.message);
+      return null;
+    }
+  }
+
+  async fetchRugCheckReport(tokenAddress) {
+    // RugCheck only covers Solana; other chains are filtered on market data alone
+    if (!this.chain.rugCheck) {
+      return {
+        score: null,
+        risks: [],
+        holders: {},
+        freezeAuthority: null,
+        mintAuthority: null,
+        updateAuthority: null,
+        isMutable: null,
+        supply: {},
+        markets: []
+      };
+    }
+
     try {
       await rugCheckRateLimiter.acquire();
       
@@ -96,6 +277,7 @@ class SolanaTokenMonitor {
       return {
         score: 5, // Default medium risk when data unavailable
         risks: ['data_unavailable'],
+        dataUnavailable: true,
         holders: {},
         freezeAuthority: null,
         mintAuthority: null,
@@ -107,44 +289,188 @@ class SolanaTokenMonitor {
     }
   }
 
-  async checkExistingToken(pairAddress) {
+  // Minutes after which a saved token is re-processed, based on the pair's age
+  getStalenessWindowMinutes(pair) {
+    const ageHours = (Date.now() - (pair.pairCreatedAt || Date.now())) / (1000 * 60 * 60);
+    const bucket = this.config.stalenessWindows.find(window => ageHours <= window.maxAgeHours);
+    return bucket ? bucket.staleAfterMinutes : this.config.defaultStalenessMinutes;
+  }
+
+  // Look up every pair of a scan in one query and return the ones that are still fresh
+  async getFreshTokens(pairs) {
+    const freshTokens = new Map();
+    if (pairs.length === 0) {
+      return freshTokens;
+    }
+
     try {
       const result = await this.pool.query(
-        'SELECT id, updated_at FROM tokens WHERE pair_address = $1',
-        [pairAddress]
+        `SELECT id, pair_address, updated_at, holders_count, top_holder_percentage,
+           top10_holder_percentage, top20_holder_percentage, rug_score, freeze_authority,
+           mint_authority, authority_source
+         FROM pair_details WHERE pair_address = ANY($1)`,
+        [pairs.map(pair => pair.pairAddress)]
       );
 
-      if (result.rows.length === 0) {
-        return null;
-      }
+      const tokensByPair = new Map(result.rows.map(row => [row.pair_address, row]));
+      const now = Date.now();
 
-      const token = result.rows[0];
-      const lastUpdate = new Date(token.updated_at);
-      const now = new Date();
-      const hoursSinceUpdate = (now - lastUpdate) / (1000 * 60 * 60);
+      for (const pair of pairs) {
+        const token = tokensByPair.get(pair.pairAddress);
+        if (!token) continue;
 
-      // Update if more than 1 hour old
-      return hoursSinceUpdate < 1 ? token : null;
+        const minutesSinceUpdate = (now - new Date(token.updated_at)) / (1000 * 60);
+        if (minutesSinceUpdate < this.getStalenessWindowMinutes(pair)) {
+          freshTokens.set(pair.pairAddress, token);
+        }
+      }
       
     } catch (error) {
-      logger.error('Error checking existing token:', error);
-      return null;
+      logger.error('Error checking existing tokens:', error);
     }
+
+    return freshTokens;
   }
 
-  async saveSolanaToken(pair, rugData, filterResult) {
-    const query = `
+  // Pools per mint: the saved active pairs of each mint in the scan, overlaid with the
+  // liquidity just fetched. Returns a Map of mint address -> Map of pair address -> liquidity USD.
+  async getMintPools(pairs) {
+    const poolsByMint = new Map();
+    const addPool = (mint, pairAddress, liquidity) => {
+      if (!poolsByMint.has(mint)) poolsByMint.set(mint, new Map());
+      poolsByMint.get(mint).set(pairAddress, liquidity);
+    };
+
+    try {
+      const result = await this.pool.query(`
+        SELECT t.address, p.pair_address, p.liquidity_usd
+        FROM pairs p
+        JOIN tokens t ON t.id = p.token_id
+        WHERE t.chain_id = $1 AND t.address = ANY($2) AND p.status = 'active'
+      `, [this.chainId, [...new Set(pairs.map(pair => pair.baseToken.address))]]);
+      result.rows.forEach(row => addPool(row.address, row.pair_address, parseFloat(row.liquidity_usd) || 0));
+    } catch (error) {
+      logger.warn('Failed to load saved pools for mint liquidity:', error.message);
+    }
+
+    pairs.forEach(pair => addPool(pair.baseToken.address, pair.pairAddress, pair.liquidity?.usd || 0));
+    return poolsByMint;
+  }
+
+  // Upsert the mints of a batch (RugCheck data is stored once per mint); a mint with
+  // several pools in the batch takes the values of its last entry. Returns mint address -> id.
+  async saveMints(entries) {
+    const byMint = new Map(entries.map(entry => [entry.pair.baseToken.address, entry]));
+
+    const values = [];
+    for (const [address, { pair, rugData, filterResult }] of byMint) {
+      values.push(
+        this.chainId,
+        address,
+        pair.baseToken.name,
+        pair.baseToken.symbol,
+        this.chain.rugCheck ? filterResult.holderData.count : null, // no holder data without RugCheck
+        this.chain.rugCheck ? filterResult.holderData.topPercentage : null,
+        this.chain.rugCheck ? filterResult.holderData.top10Percentage ?? null : null,
+        this.chain.rugCheck ? filterResult.holderData.top20Percentage ?? null : null,
+        this.chain.rugCheck ? filterResult.holderData.source || null : null,
+        rugData.score,
+        rugData.risks,
+        rugData.freezeAuthority,
+        rugData.mintAuthority,
+        rugData.updateAuthority,
+        rugData.isMutable,
+        this.chain.rugCheck && !rugData.dataUnavailable ? new Date() : null,
+        rugData.mintAccount?.tokenProgram ?? null,
+        rugData.mintAccount?.decimals ?? null,
+        rugData.mintAccount?.supply ?? null,
+        rugData.mintAccount ? JSON.stringify(rugData.mintAccount.extensions) : null,
+        rugData.authoritySource || null,
+        rugData.mintAccount ? new Date() : null
+      );
+    }
+
+    const result = await this.pool.query(`
       INSERT INTO tokens (
-        pair_address, chain_id, dex_id, base_token_address, base_token_name, 
+        chain_id, address, name, symbol, holders_count, top_holder_percentage,
+        top10_holder_percentage, top20_holder_percentage, holder_source, rug_score, rug_risks,
+        freeze_authority, mint_authority, update_authority, is_mutable, rug_checked_at,
+        token_program, decimals, supply, mint_extensions, authority_source, mint_checked_at
+      ) VALUES ${buildValuesPlaceholders(byMint.size, 22)}
+      ON CONFLICT (chain_id, address) DO UPDATE SET
+        name = EXCLUDED.name,
+        symbol = EXCLUDED.symbol,
+        holders_count = EXCLUDED.holders_count,
+        top_holder_percentage = EXCLUDED.top_holder_percentage,
+        top10_holder_percentage = EXCLUDED.top10_holder_percentage,
+        top20_holder_percentage = EXCLUDED.top20_holder_percentage,
+        holder_source = EXCLUDED.holder_source,
+        rug_score = EXCLUDED.rug_score,
+        rug_risks = EXCLUDED.rug_risks,
+        freeze_authority = EXCLUDED.freeze_authority,
+        mint_authority = EXCLUDED.mint_authority,
+        update_authority = EXCLUDED.update_authority,
+        is_mutable = EXCLUDED.is_mutable,
+        rug_checked_at = COALESCE(EXCLUDED.rug_checked_at, tokens.rug_checked_at),
+        token_program = COALESCE(EXCLUDED.token_program, tokens.token_program),
+        decimals = COALESCE(EXCLUDED.decimals, tokens.decimals),
+        supply = COALESCE(EXCLUDED.supply, tokens.supply),
+        mint_extensions = COALESCE(EXCLUDED.mint_extensions, tokens.mint_extensions),
+        authority_source = EXCLUDED.authority_source,
+        mint_checked_at = COALESCE(EXCLUDED.mint_checked_at, tokens.mint_checked_at)
+      RETURNING id, address
+    `, values);
+
+    return new Map(result.rows.map(row => [row.address, row.id]));
+  }
+
+  // Upsert a batch of filtered pairs (and their mints) with multi-row INSERTs
+  async saveSolanaTokens(entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const mintIds = await this.saveMints(entries);
+
+    const values = [];
+    for (const { pair, filterResult } of entries) {
+      values.push(
+        pair.pairAddress,
+        mintIds.get(pair.baseToken.address),
+        this.chainId,
+        pair.dexId,
+        pair.baseToken.address,
+        pair.baseToken.name,
+        pair.baseToken.symbol,
+        pair.quoteToken.address,
+        pair.quoteToken.symbol,
+        parseFloat(pair.priceUsd) || 0,
+        parseFloat(pair.priceNative) || 0, // price_sol
+        pair.volume?.h24 || 0,
+        pair.volume?.h6 || 0,
+        pair.volume?.h1 || 0,
+        pair.volume?.m5 || 0, // volume_5m
+        pair.priceChange?.h24 || 0,
+        pair.priceChange?.h6 || 0,
+        pair.priceChange?.h1 || 0,
+        pair.priceChange?.m5 || 0, // price_change_5m
+        pair.liquidity?.usd || 0,
+        this.calculateSOLLiquidity(pair), // sol_liquidity
+        new Date(pair.pairCreatedAt),
+        filterResult.netTraders,
+        JSON.stringify(filterResult.report || null)
+      );
+    }
+
+    const query = `
+      INSERT INTO pairs (
+        pair_address, token_id, chain_id, dex_id, base_token_address, base_token_name, 
         base_token_symbol, quote_token_address, quote_token_symbol, price_usd, price_sol,
         volume_24h, volume_6h, volume_1h, volume_5m, price_change_24h, price_change_6h, 
         price_change_1h, price_change_5m, liquidity_usd, sol_liquidity, pair_created_at, 
-        holders_count, top_holder_percentage, net_traders, rug_score, rug_risks,
-        freeze_authority, mint_authority, update_authority, is_mutable
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 
-        $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30
-      ) ON CONFLICT (pair_address) DO UPDATE SET
+        net_traders, filter_report
+      ) VALUES ${buildValuesPlaceholders(entries.length, 24)}
+      ON CONFLICT (pair_address) DO UPDATE SET
         price_usd = EXCLUDED.price_usd,
         price_sol = EXCLUDED.price_sol,
         volume_24h = EXCLUDED.volume_24h,
@@ -157,134 +483,559 @@ class SolanaTokenMonitor {
         price_change_5m = EXCLUDED.price_change_5m,
         liquidity_usd = EXCLUDED.liquidity_usd,
         sol_liquidity = EXCLUDED.sol_liquidity,
-        holders_count = EXCLUDED.holders_count,
-        top_holder_percentage = EXCLUDED.top_holder_percentage,
         net_traders = EXCLUDED.net_traders,
-        rug_score = EXCLUDED.rug_score,
-        rug_risks = EXCLUDED.rug_risks,
-        freeze_authority = EXCLUDED.freeze_authority,
-        mint_authority = EXCLUDED.mint_authority,
-        update_authority = EXCLUDED.update_authority,
-        is_mutable = EXCLUDED.is_mutable,
+        filter_report = EXCLUDED.filter_report,
+        last_refreshed_at = CURRENT_TIMESTAMP,
         updated_at = CURRENT_TIMESTAMP
-      RETURNING id, base_token_symbol
+      RETURNING id, token_id, pair_address, base_token_address, base_token_symbol, base_token_name, dex_id,
+        price_usd, liquidity_usd, volume_24h, price_change_24h, status,
+        (xmax = 0) AS inserted
     `;
 
-    // Calculate SOL liquidity
+    const result = await this.pool.query(query, values);
+
+    // Events carry the mint's holder and rug values
+    const mints = new Map(entries.map(({ pair, rugData, filterResult }) => [pair.baseToken.address, {
+      holders_count: this.chain.rugCheck ? filterResult.holderData.count : null,
+      rug_score: rugData.score
+    }]));
+    return result.rows.map(row => ({ ...row, ...mints.get(row.base_token_address) }));
+  }
+
+  // Active tokens past their staleness window (by pair age, as in scans). Younger pairs come
+  // first since they move fastest, then higher volume within the same age bucket.
+  async getTokensDueForRefresh(limit) {
+    const result = await this.pool.query(`
+      SELECT id, pair_address, pair_created_at, last_refreshed_at, volume_24h,
+        holders_count, top_holder_percentage, top10_holder_percentage, top20_holder_percentage, rug_score,
+        freeze_authority, mint_authority, authority_source
+      FROM pair_details
+      WHERE chain_id = $1 AND status = 'active'
+    `, [this.chainId]);
+
+    const now = Date.now();
+    return result.rows
+      .map(token => ({
+        token,
+        windowMinutes: this.getStalenessWindowMinutes({ pairCreatedAt: new Date(token.pair_created_at).getTime() })
+      }))
+      .filter(({ token, windowMinutes }) => (now - new Date(token.last_refreshed_at || 0)) / (1000 * 60) >= windowMinutes)
+      .sort((a, b) => a.windowMinutes - b.windowMinutes || parseFloat(b.token.volume_24h) - parseFloat(a.token.volume_24h))
+      .slice(0, limit)
+      .map(({ token }) => token);
+  }
+
+  // Re-fetch saved tokens by pair address so their market data keeps moving after they
+  // leave the latest-pairs feed. Pairs DexScreener no longer returns are left as they
+  // are and show up as stale. Returns { due, refreshed, missing }.
+  async refreshSavedTokens() {
+    const tokens = await this.getTokensDueForRefresh(this.config.tokenRefreshBatchSize);
+    if (tokens.length === 0) {
+      return { due: 0, refreshed: 0, missing: 0 };
+    }
+
+    const pairs = await this.fetchSolanaPairsByAddress(tokens.map(token => token.pair_address));
+    const found = tokens.filter(token => pairs.has(token.pair_address));
+
+    if (found.length > 0) {
+      const updates = found.map(token => {
+        const pair = pairs.get(token.pair_address);
+        return {
+          id: token.id,
+          price_usd: parseFloat(pair.priceUsd) || 0,
+          price_sol: parseFloat(pair.priceNative) || 0,
+          volume_24h: pair.volume?.h24 || 0,
+          volume_6h: pair.volume?.h6 || 0,
+          volume_1h: pair.volume?.h1 || 0,
+          volume_5m: pair.volume?.m5 || 0,
+          price_change_24h: pair.priceChange?.h24 || 0,
+          price_change_6h: pair.priceChange?.h6 || 0,
+          price_change_1h: pair.priceChange?.h1 || 0,
+          price_change_5m: pair.priceChange?.m5 || 0,
+          liquidity_usd: pair.liquidity?.usd || 0,
+          sol_liquidity: this.calculateSOLLiquidity(pair)
+        };
+      });
+
+      await this.pool.query(`
+        UPDATE pairs t SET
+          price_usd = u.price_usd,
+          price_sol = u.price_sol,
+          volume_24h = u.volume_24h,
+          volume_6h = u.volume_6h,
+          volume_1h = u.volume_1h,
+          volume_5m = u.volume_5m,
+          price_change_24h = u.price_change_24h,
+          price_change_6h = u.price_change_6h,
+          price_change_1h = u.price_change_1h,
+          price_change_5m = u.price_change_5m,
+          liquidity_usd = u.liquidity_usd,
+          sol_liquidity = u.sol_liquidity,
+          last_refreshed_at = CURRENT_TIMESTAMP
+        FROM jsonb_to_recordset($1::jsonb) AS u(
+          id INTEGER, price_usd DECIMAL, price_sol DECIMAL, volume_24h DECIMAL, volume_6h DECIMAL,
+          volume_1h DECIMAL, volume_5m DECIMAL, price_change_24h DECIMAL, price_change_6h DECIMAL,
+          price_change_1h DECIMAL, price_change_5m DECIMAL, liquidity_usd DECIMAL, sol_liquidity DECIMAL
+        )
+        WHERE t.id = u.id
+      `, [JSON.stringify(updates)]);
+
+      // Holder and rug values are carried forward, as for fresh tokens in scans
+      await this.saveTokenSnapshots(found.map(token => ({
+        tokenId: token.id,
+        pair: pairs.get(token.pair_address),
+        metrics: {
+          holdersCount: token.holders_count,
+          topHolderPercentage: token.top_holder_percentage,
+          top10HolderPercentage: token.top10_holder_percentage,
+          top20HolderPercentage: token.top20_holder_percentage,
+          rugScore: token.rug_score,
+          freezeAuthority: token.freeze_authority,
+          mintAuthority: token.mint_authority,
+          authoritySource: token.authority_source
+        }
+      })));
+
+      const refreshed = await this.pool.query('SELECT * FROM pair_details WHERE id = ANY($1)', [found.map(token => token.id)]);
+      await this.publishEvents(refreshed.rows.map(row => ({ type: 'token.updated', data: tokenEventData(row) })));
+    }
+
+    return { due: tokens.length, refreshed: found.length, missing: tokens.length - found.length };
+  }
+
+  // Scheduled wrapper: skips a run while the previous one is still going, never throws
+  async runTokenRefresh() {
+    if (this.refreshingTokens) return null;
+    this.refreshingTokens = true;
+
+    try {
+      const startTime = Date.now();
+      const result = await this.refreshSavedTokens();
+      logger.info(`♻️ Token refresh: ${result.refreshed}/${result.due} due token(s) refreshed, ${result.missing} not returned by DexScreener`, {
+        duration: `${Date.now() - startTime}ms`
+      });
+      return result;
+    } catch (error) {
+      logger.error('Token refresh failed:', error.message);
+      return null;
+    } finally {
+      this.refreshingTokens = false;
+    }
+  }
+
+  // Calculate SOL liquidity from the pair's USD liquidity and native price
+  calculateSOLLiquidity(pair) {
     const solPrice = parseFloat(pair.priceNative) || 0;
     const liquidityUSD = pair.liquidity?.usd || 0;
-    const solLiquidity = solPrice > 0 ? (liquidityUSD / solPrice) : 0;
-
-    const values = [
-      pair.pairAddress,
-      'solana', // Always Solana
-      pair.dexId,
-      pair.baseToken.address,
-      pair.baseToken.name,
-      pair.baseToken.symbol,
-      pair.quoteToken.address,
-      pair.quoteToken.symbol,
-      parseFloat(pair.priceUsd) || 0,
-      parseFloat(pair.priceNative) || 0, // price_sol
-      pair.volume?.h24 || 0,
-      pair.volume?.h6 || 0,
-      pair.volume?.h1 || 0,
-      pair.volume?.m5 || 0, // volume_5m
-      pair.priceChange?.h24 || 0,
-      pair.priceChange?.h6 || 0,
-      pair.priceChange?.h1 || 0,
-      pair.priceChange?.m5 || 0, // price_change_5m
-      liquidityUSD,
-      solLiquidity, // sol_liquidity
-      new Date(pair.pairCreatedAt),
-      filterResult.holderData.count,
-      filterResult.holderData.topPercentage,
-      filterResult.netTraders,
-      rugData.score,
-      rugData.risks,
-      rugData.freezeAuthority,
-      rugData.mintAuthority,
-      rugData.updateAuthority,
-      rugData.isMutable
-    ];
+    return solPrice > 0 ? (liquidityUSD / solPrice) : 0;
+  }
 
-    const result = await this.pool.query(query, values);
-    return result.rows[0];
+  // Record point-in-time snapshots so price/liquidity history survives the upsert.
+  // Each entry is { tokenId, pair, metrics: { holdersCount, topHolderPercentage,
+  // top10HolderPercentage, top20HolderPercentage, rugScore, freezeAuthority,
+  // mintAuthority, authoritySource } }.
+  async saveTokenSnapshots(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const values = [];
+    for (const { tokenId, pair, metrics = {} } of entries) {
+      values.push(
+        tokenId,
+        pair.pairAddress,
+        parseFloat(pair.priceUsd) || 0,
+        parseFloat(pair.priceNative) || 0,
+        pair.liquidity?.usd || 0,
+        this.calculateSOLLiquidity(pair),
+        pair.volume?.h24 || 0,
+        pair.volume?.h6 || 0,
+        pair.volume?.h1 || 0,
+        pair.volume?.m5 || 0,
+        pair.priceChange?.h24 || 0,
+        pair.priceChange?.h1 || 0,
+        pair.priceChange?.m5 || 0,
+        metrics.holdersCount ?? null,
+        metrics.topHolderPercentage ?? null,
+        metrics.top10HolderPercentage ?? null,
+        metrics.top20HolderPercentage ?? null,
+        metrics.rugScore ?? null,
+        metrics.freezeAuthority ?? null,
+        metrics.mintAuthority ?? null,
+        metrics.authoritySource ?? null
+      );
+    }
+
+    const query = `
+      INSERT INTO token_snapshots (
+        token_id, pair_address, price_usd, price_sol, liquidity_usd, sol_liquidity,
+        volume_24h, volume_6h, volume_1h, volume_5m, price_change_24h, price_change_1h,
+        price_change_5m, holders_count, top_holder_percentage, top10_holder_percentage,
+        top20_holder_percentage, rug_score, freeze_authority, mint_authority, authority_source
+      ) VALUES ${buildValuesPlaceholders(entries.length, 21)}
+    `;
+
+    await this.pool.query(query, values);
   }
 
-  async processSolanaTokens() {
-    logger.info('🟣 Starting Solana token processing...');
-    
-    const startTime = Date.now();
-    let processedCount = 0;
-    let savedCount = 0;
-    let filteredCount = 0;
+  // Build the scan pipeline: rugcheck -> filter.
+  // Each stage has its own worker count; API stages are paced by their rate limiters.
+  // Tokens that pass come out of the pipeline and are saved in batches afterwards.
+  // mintPools maps each mint to its pools and their liquidity (see getMintPools).
+  createScanPipeline(stats, rejections, mintPools = new Map()) {
+    const { pipeline: pipelineConfig } = this.config;
+    // RugCheck reports are per mint, so pools of the same mint share one request
+    const rugChecks = new Map();
 
-    try {
-      const pairs = await this.fetchLatestSolanaPairs();
-      logger.info(`Processing ${pairs.length} Solana pairs`);
+    const stages = [
+      {
+        name: 'rugcheck',
+        concurrency: pipelineConfig.rugCheckConcurrency,
+        handler: async (pair) => {
+          stats.processed++;
 
-      for (const pair of pairs) {
-        try {
-          processedCount++;
-          
-          // Check if we already have recent data for this token
-          const existingToken = await this.checkExistingToken(pair.pairAddress);
-          if (existingToken) {
-            logger.trace(`Skipping recently updated token: ${pair.baseToken.symbol}`);
-            continue;
+          // Get rug data (RugCheck on Solana; empty on chains it does not cover)
+          const mint = pair.baseToken.address;
+          const pools = mintPools.get(mint) || new Map([[pair.pairAddress, pair.liquidity?.usd || 0]]);
+          if (!rugChecks.has(mint)) {
+            rugChecks.set(mint, this.checkSolanaRugScore(mint, { poolAddresses: [...pools.keys()] }));
           }
+          const rugData = await rugChecks.get(mint);
+          if (rugData.dataUnavailable) {
+            stats.apiFailures++;
+          }
+          const totalLiquidityUSD = [...pools.values()].reduce((sum, liquidity) => sum + liquidity, 0);
+          return { pair, rugData, totalLiquidityUSD };
+        }
+      },
+      {
+        name: 'filter',
+        concurrency: pipelineConfig.filterConcurrency,
+        handler: async (item) => {
+          const { pair, rugData, totalLiquidityUSD } = item;
 
-          // Get Solana-specific rug data
-          const rugData = await this.checkSolanaRugScore(pair.baseToken.address);
-          
-          // Apply Solana-optimized filters
-          const filterResult = await this.tokenFilter.filterToken(pair, rugData);
-          
-          if (filterResult.passed) {
-            const savedToken = await this.saveSolanaToken(pair, rugData, filterResult);
-            savedCount++;
-            
-            logger.logTokenProcessing('SAVED', pair.baseToken.symbol, 'Passed all filters', {
-              dex: pair.dexId,
-              volume24h: pair.volume?.h24 || 0,
-              liquidity: pair.liquidity?.usd || 0,
-              holders: filterResult.holderData.count,
-              rugScore: rugData.score
-            });
-            
-            // Send alert for high-quality tokens
-            if (this.shouldAlert(pair, rugData, filterResult)) {
-              await this.sendAlert(pair, rugData, filterResult);
-            }
-            
-          } else {
-            filteredCount++;
+          // Apply the chain's filter rules
+          const filterResult = await this.tokenFilter.filterToken(pair, rugData, { totalLiquidityUSD });
+
+          if (!filterResult.passed) {
+            stats.filtered++;
+            rejections.push({ pair, rugData, totalLiquidityUSD, filterResult });
             logger.logTokenProcessing('FILTERED', pair.baseToken.symbol, filterResult.reason, {
               dex: pair.dexId,
               filters: filterResult.filters
             });
+            return null;
           }
 
-          // Solana-optimized rate limiting
-          await sleep(this.config.rateLimitDelay);
-          
-        } catch (error) {
-          logger.logTokenProcessing('ERROR', pair.baseToken?.symbol || 'Unknown', error.message);
+          return { ...item, filterResult };
         }
       }
+    ];
 
-      const duration = Date.now() - startTime;
-      logger.info('🎉 Solana token processing complete', {
-        duration: `${duration}ms`,
-        processed: processedCount,
-        saved: savedCount,
-        filtered: filteredCount,
-        successRate: `${((savedCount / processedCount) * 100).toFixed(1)}%`
+    return new Pipeline(stages, {
+      queueSize: pipelineConfig.queueSize,
+      onError: (error, item) => {
+        stats.errors++;
+        const pair = item.pair || item;
+        logger.logTokenProcessing('ERROR', pair.baseToken?.symbol || 'Unknown', error.message);
+      }
+    });
+  }
+
+  // Persist filter rejections for the scan so thresholds can be analysed later
+  async saveRejections(scanId, rejections) {
+    const { bulkUpsertSize } = this.config;
+
+    for (let i = 0; i < rejections.length; i += bulkUpsertSize) {
+      const batch = rejections.slice(i, i + bulkUpsertSize);
+      const values = [];
+
+      for (const { pair, rugData, totalLiquidityUSD, filterResult } of batch) {
+        // What the filter saw (its holder stats fall back to RugCheck's holder list), for simulations
+        const holderData = rugData.holderData || this.tokenFilter.calculateHolderDistribution(rugData.holders);
+        values.push(
+          scanId,
+          this.chainId,
+          pair.pairAddress,
+          pair.baseToken?.address || null,
+          pair.baseToken?.symbol || null,
+          pair.dexId || null,
+          filterResult.filters[0] || 'unknown',
+          filterResult.reason,
+          JSON.stringify(filterResult.observed ?? null),
+          JSON.stringify(filterResult.threshold ?? null),
+          JSON.stringify(filters.backtest.toReplayInputs(pair, rugData, holderData, totalLiquidityUSD))
+        );
+      }
+
+      await this.pool.query(`
+        INSERT INTO token_rejections (
+          scan_id, chain_id, pair_address, base_token_address, base_token_symbol,
+          dex_id, filter_code, reason, observed_value, threshold, filter_inputs
+        ) VALUES ${buildValuesPlaceholders(batch.length, 11)}
+      `, values);
+    }
+  }
+
+  // Save passed tokens in chunks, record their snapshots and send alerts.
+  // Saved token ids are added to `tokenIds` (pair address -> id).
+  async savePassedTokens(entries, stats, tokenIds = new Map()) {
+    const { bulkUpsertSize } = this.config;
+    let batches = 0;
+
+    for (let i = 0; i < entries.length; i += bulkUpsertSize) {
+      const batch = entries.slice(i, i + bulkUpsertSize);
+      batches++;
+
+      let savedRows;
+      try {
+        savedRows = await this.saveSolanaTokens(batch);
+      } catch (error) {
+        stats.errors += batch.length;
+        logger.error(`Error saving batch of ${batch.length} ${this.chain.name} tokens:`, error.message);
+        continue;
+      }
+
+      const idsByPair = new Map(savedRows.map(row => [row.pair_address, row.id]));
+      idsByPair.forEach((id, pairAddress) => tokenIds.set(pairAddress, id));
+      try {
+        await this.rugDetector.forgetChecks([...idsByPair.values()]);
+      } catch (error) {
+        logger.warn('Failed to reset rug detection baselines:', error.message);
+      }
+      await this.saveTokenSnapshots(batch.map(({ pair, rugData, filterResult }) => ({
+        tokenId: idsByPair.get(pair.pairAddress),
+        pair,
+        metrics: {
+          holdersCount: this.chain.rugCheck ? filterResult.holderData.count : null,
+          topHolderPercentage: this.chain.rugCheck ? filterResult.holderData.topPercentage : null,
+          top10HolderPercentage: this.chain.rugCheck ? filterResult.holderData.top10Percentage : null,
+          top20HolderPercentage: this.chain.rugCheck ? filterResult.holderData.top20Percentage : null,
+          rugScore: rugData.score,
+          freezeAuthority: rugData.freezeAuthority,
+          mintAuthority: rugData.mintAuthority,
+          authoritySource: rugData.authoritySource
+        }
+      })));
+      stats.saved += savedRows.length;
+      await this.publishEvents(savedRows.map(row => ({
+        type: row.inserted ? 'token.saved' : 'token.updated',
+        data: tokenEventData(row)
+      })));
+
+      for (const { pair, rugData, filterResult } of batch) {
+        logger.logTokenProcessing('SAVED', pair.baseToken.symbol, 'Passed all filters', {
+          dex: pair.dexId,
+          volume24h: pair.volume?.h24 || 0,
+          liquidity: pair.liquidity?.usd || 0,
+          holders: filterResult.holderData.count,
+          rugScore: rugData.score
+        });
+
+        // Send alert for high-quality tokens (cooldowns are applied by the alert manager)
+        if (this.shouldAlert(pair, rugData, filterResult)) {
+          try {
+            await this.sendAlert(pair, rugData, filterResult, idsByPair.get(pair.pairAddress));
+          } catch (error) {
+            logger.warn(`⚠️ Alert for ${pair.baseToken.symbol} failed:`, error.message);
+          }
+        }
+      }
+    }
+
+    return batches;
+  }
+
+  // Publish live events for the dashboard stream; like the scan ledger, this never stops a scan
+  async publishEvents(eventList) {
+    try {
+      await events.publishEvents(eventList, this.chainId);
+    } catch (error) {
+      logger.warn(`Failed to publish ${eventList.length} event(s):`, error.message);
+    }
+  }
+
+  // Open a scan_runs row; the ledger must never stop a scan, so failures only log
+  async startScanRun(trigger) {
+    try {
+      const result = await this.pool.query(
+        'INSERT INTO scan_runs (chain_id, triggered_by) VALUES ($1, $2) RETURNING id',
+        [this.chainId, trigger]
+      );
+      return result.rows[0].id;
+    } catch (error) {
+      logger.warn('Failed to record scan run start:', error.message);
+      return null;
+    }
+  }
+
+  async finishScanRun(scanId, status, stats, stageTimings, errorMessage = null) {
+    await this.publishEvents([{
+      type: 'scan.completed',
+      data: { scanId, status, ...stats, error: errorMessage }
+    }]);
+
+    if (!scanId) return;
+
+    try {
+      await this.pool.query(
+        `UPDATE scan_runs SET
+          status = $2,
+          finished_at = CURRENT_TIMESTAMP,
+          duration_ms = $3,
+          pairs_fetched = $4,
+          processed_count = $5,
+          skipped_count = $6,
+          saved_count = $7,
+          filtered_count = $8,
+          error_count = $9,
+          api_failures = $10,
+          stage_timings = $11,
+          error_message = $12
+        WHERE id = $1`,
+        [
+          scanId,
+          status,
+          stats.durationMs,
+          stats.fetched,
+          stats.processed,
+          stats.skipped,
+          stats.saved,
+          stats.filtered,
+          stats.errors,
+          stats.apiFailures,
+          stageTimings ? JSON.stringify(stageTimings) : null,
+          errorMessage
+        ]
+      );
+    } catch (error) {
+      logger.warn(`Failed to record scan run ${scanId} result:`, error.message);
+    }
+  }
+
+  async processSolanaTokens(trigger = 'manual') {
+    logger.info(`🟣 Starting ${this.chain.name} token processing...`, { trigger });
+    
+    const startTime = Date.now();
+    const stats = {
+      fetched: 0,
+      processed: 0,
+      skipped: 0,
+      saved: 0,
+      filtered: 0,
+      errors: 0,
+      apiFailures: 0,
+      durationMs: 0
+    };
+    const scanId = await this.startScanRun(trigger);
+    await this.refreshFilterProfile();
+    await this.refreshAlertRules();
+
+    let pairs;
+    try {
+      pairs = await this.fetchLatestSolanaPairs();
+    } catch (error) {
+      stats.apiFailures++;
+      stats.durationMs = Date.now() - startTime;
+      await this.finishScanRun(scanId, 'failed', stats, null, `DexScreener fetch failed: ${error.message}`);
+      return { scanId, status: 'failed', ...stats };
+    }
+
+    try {
+      stats.fetched = pairs.length;
+      logger.info(`Processing ${pairs.length} ${this.chain.name} pairs`, { scanId });
+
+      // One query for the whole scan to find tokens that were updated recently, one for mint totals
+      const lookupStart = Date.now();
+      const freshTokens = await this.getFreshTokens(pairs);
+      const pairsToProcess = pairs.filter(pair => !freshTokens.has(pair.pairAddress));
+      const mintPools = await this.getMintPools(pairs);
+
+      // Still record market data for fresh tokens, carrying forward the last rug/holder values
+      const freshSnapshots = pairs
+        .filter(pair => freshTokens.has(pair.pairAddress))
+        .map(pair => {
+          const token = freshTokens.get(pair.pairAddress);
+          return {
+            tokenId: token.id,
+            pair,
+            metrics: {
+              holdersCount: token.holders_count,
+              topHolderPercentage: token.top_holder_percentage,
+              top10HolderPercentage: token.top10_holder_percentage,
+              top20HolderPercentage: token.top20_holder_percentage,
+              rugScore: token.rug_score,
+              freezeAuthority: token.freeze_authority,
+              mintAuthority: token.mint_authority,
+              authoritySource: token.authority_source
+            }
+          };
+        });
+      await this.saveTokenSnapshots(freshSnapshots);
+      stats.skipped = freshSnapshots.length;
+      const lookupMs = Date.now() - lookupStart;
+
+      const rejections = [];
+      const scanPipeline = this.createScanPipeline(stats, rejections, mintPools);
+      const { results: passed, stages } = await scanPipeline.run(pairsToProcess);
+
+      try {
+        await this.saveRejections(scanId, rejections);
+      } catch (error) {
+        logger.warn(`Failed to record ${rejections.length} filter rejections:`, error.message);
+      }
+
+      const saveStart = Date.now();
+      const tokenIds = new Map();
+      const saveBatches = await this.savePassedTokens(passed, stats, tokenIds);
+
+      const snapshotTokenIds = [...freshSnapshots.map(snapshot => snapshot.tokenId), ...tokenIds.values()];
+      await this.evaluateAlertRules([...passed, ...rejections], tokenIds, snapshotTokenIds);
+
+      const stageTimings = {
+        lookup: { queries: 2, fresh: freshTokens.size, wallMs: lookupMs },
+        ...stages,
+        save: { batches: saveBatches, wallMs: Date.now() - saveStart }
+      };
+
+      stats.durationMs = Date.now() - startTime;
+      await this.finishScanRun(scanId, 'completed', stats, stageTimings);
+      await this.pruneEvents();
+
+      logger.info(`🎉 ${this.chain.name} token processing complete`, {
+        scanId,
+        trigger,
+        duration: `${stats.durationMs}ms`,
+        fetched: stats.fetched,
+        processed: stats.processed,
+        skipped: stats.skipped,
+        saved: stats.saved,
+        filtered: stats.filtered,
+        errors: stats.errors,
+        apiFailures: stats.apiFailures,
+        successRate: stats.processed > 0 ? `${((stats.saved / stats.processed) * 100).toFixed(1)}%` : 'n/a',
+        stages: stageTimings
       });
 
+      return { scanId, status: 'completed', ...stats };
+
     } catch (error) {
-      logger.error('Error in Solana token processing:', error);
+      logger.error(`Error in ${this.chain.name} token processing:`, error);
+      stats.durationMs = Date.now() - startTime;
+      await this.finishScanRun(scanId, 'failed', stats, null, error.message);
+      return { scanId, status: 'failed', ...stats };
+    }
+  }
+
+  // Drop stream events older than EVENT_RETENTION_HOURS
+  async pruneEvents() {
+    try {
+      const removed = await events.pruneEvents(appConfig.eventRetentionHours);
+      if (removed > 0) {
+        logger.debug(`🧹 Pruned ${removed} old stream events`);
+      }
+    } catch (error) {
+      logger.warn('Failed to prune stream events:', error.message);
     }
   }
 
@@ -295,25 +1046,31 @@ class SolanaTokenMonitor {
     const rugScore = rugData.score || 10;
     const holders = filterResult.holderData.count;
 
-    // Alert criteria for promising Solana tokens - using filterConfig now
+    // Alert criteria from the chain's rule file; thresholds it leaves null (e.g. holder
+    // and rug checks on chains RugCheck does not cover) are not applied, nor is minHolders
+    // when the holder count is unknown
+    const config = this.tokenFilter.ruleSet.params;
+    const unset = (value) => value === null || value === undefined;
     return (
-      volume24h > filters.config.minVolume24h && 
-      liquidity > filters.config.minLiquidity &&
-      rugScore <= filters.config.maxRugScore && 
-      holders >= filters.config.minHolders && 
-      filterResult.holderData.topPercentage <= filters.config.maxTopHolderPercentage
+      volume24h > config.minVolume24h && 
+      liquidity > config.minLiquidity &&
+      (unset(config.maxRugScore) || rugScore <= config.maxRugScore) && 
+      (unset(config.minHolders) || unset(holders) || holders >= config.minHolders) && 
+      (unset(config.maxTopHolderPercentage) || filterResult.holderData.topPercentage <= config.maxTopHolderPercentage)
     );
   }
 
-  // Send alert for promising tokens
-  async sendAlert(pair, rugData, filterResult) {
-    const alertData = {
+  // Alert payload shared by every channel; `filterResult` needs solLiquidity and holderData
+  buildAlertData(pair, rugData, filterResult) {
+    return {
       symbol: pair.baseToken.symbol,
       name: pair.baseToken.name,
       dex: pair.dexId,
-      dexName: solana.getDEXConfig(pair.dexId).name,
+      dexName: this.dexRegistry.get(pair.dexId).name,
+      chain: this.chainId,
+      nativeCurrency: this.chain.nativeCurrency,
       price: pair.priceUsd,
-      priceSOL: pair.priceNative,
+      priceSOL: pair.priceNative, // in the chain's native currency
       volume24h: pair.volume?.h24 || 0,
       priceChange24h: pair.priceChange?.h24 || 0,
       liquidity: pair.liquidity?.usd || 0,
@@ -324,24 +1081,19 @@ class SolanaTokenMonitor {
       risks: rugData.risks,
       pairAddress: pair.pairAddress,
       tokenAddress: pair.baseToken.address,
-      dexscreenerUrl: `https://dexscreener.com/solana/${pair.pairAddress}`,
+      dexscreenerUrl: `https://dexscreener.com/${this.chain.dexscreenerPath}/${pair.pairAddress}`,
       timestamp: new Date().toISOString()
     };
+  }
 
-    logger.info('🚨 SOLANA ALERT: Promising token detected!', alertData);
-
-    // TODO: Implement webhook, Discord, Telegram notifications here
-    // Example webhook call:
-    if (appConfig.webhookUrl) {
-      try {
-        await api.dexScreenerAPI.post(appConfig.webhookUrl, {
-          type: 'solana_token_alert',
-          data: alertData
-        });
-      } catch (error) {
-        logger.warn('Failed to send webhook alert:', error.message);
-      }
+  // Send alert for promising tokens; returns { sent, reason, alert } from the alert manager
+  async sendAlert(pair, rugData, filterResult, tokenId = null) {
+    const alertData = this.buildAlertData(pair, rugData, filterResult);
+    const result = await this.alertManager.fire({ tokenId, rule: 'promising_token', alertData });
+    if (result.sent) {
+      logger.info(`🚨 ${this.chain.name.toUpperCase()} ALERT: Promising token detected!`, alertData);
     }
+    return result;
   }
 
   async getSolanaTokens(limit = 50, filters = {}) {
@@ -384,13 +1136,14 @@ class SolanaTokenMonitor {
     }
   }
 
-  async getSolanaStats() {
+  // Active pair counts, volume/liquidity totals and rug risk levels for this monitor's chain
+  async getChainStats() {
     try {
       const queries = {
-        total: 'SELECT COUNT(*) as count FROM tokens WHERE status = $1 AND chain_id = $2',
+        total: 'SELECT COUNT(*) as count FROM pairs WHERE status = $1 AND chain_id = $2',
         byDEX: `
           SELECT dex_id, COUNT(*) as count, SUM(volume_24h) as total_volume, AVG(rug_score) as avg_rug_score
-          FROM tokens WHERE status = $1 AND chain_id = $2
+          FROM pair_details WHERE status = $1 AND chain_id = $2
           GROUP BY dex_id 
           ORDER BY total_volume DESC
         `,
@@ -404,11 +1157,19 @@ class SolanaTokenMonitor {
             AVG(sol_liquidity) as avg_sol_liquidity,
             AVG(holders_count) as avg_holders,
             AVG(rug_score) as avg_rug_score
-          FROM tokens WHERE status = $1 AND chain_id = $2
+          FROM pair_details WHERE status = $1 AND chain_id = $2
         `,
         riskDistribution: `
           SELECT risk_level, COUNT(*) as count
-          FROM solana_token_risks
+          FROM (
+            SELECT CASE
+              WHEN rug_score <= 2 THEN 'Low'
+              WHEN rug_score <= 5 THEN 'Medium'
+              WHEN rug_score <= 7 THEN 'High'
+              ELSE 'Very High'
+            END AS risk_level
+            FROM pair_details WHERE status = $1 AND chain_id = $2
+          ) risks
           GROUP BY risk_level
           ORDER BY 
             CASE risk_level
@@ -421,7 +1182,7 @@ class SolanaTokenMonitor {
       };
 
       const results = {};
-      const params = ['active', 'solana'];
+      const params = ['active', this.chainId];
       
       for (const [key, query] of Object.entries(queries)) {
         const result = await this.pool.query(query, params);
@@ -430,12 +1191,12 @@ class SolanaTokenMonitor {
 
       return {
         ...results,
-        chain: 'solana',
+        chain: this.chainId,
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
-      logger.error('Error fetching Solana stats:', error);
+      logger.error(`Error fetching ${this.chain.name} stats:`, error);
       return null;
     }
   }
@@ -445,17 +1206,253 @@ class SolanaTokenMonitor {
     const cronExpression = `*/${appConfig.scanInterval} * * * *`;
     
     cron.schedule(cronExpression, async () => {
-      logger.info('🔄 Running scheduled Solana token scan...');
-      await this.processSolanaTokens();
+      logger.info(`🔄 Running scheduled ${this.chain.name} token scan...`);
+      await this.processSolanaTokens('cron');
+      await this.detectRugs();
+    });
+
+    // Keep saved tokens current once they drop out of the latest-pairs feed
+    cron.schedule(`*/${appConfig.tokenRefreshIntervalMinutes} * * * *`, async () => {
+      await this.runTokenRefresh();
     });
 
-    logger.info(`🟣 Solana scheduler started - running every ${appConfig.scanInterval} minutes`);
+    // Pick up rule file edits without a restart
+    this.tokenFilter.watchRules();
+
+    // Resend failed webhook deliveries once they are due
+    if (this.ownsWebhookDispatcher) {
+      this.webhookDispatcher.startRetryLoop(appConfig.webhookRetryIntervalMs);
+    }
+
+    // Re-fetch watched pairs on their own schedule
+    this.startWatchlistLoop(appConfig.watchlistIntervalSeconds * 1000);
+
+    logger.info(`🟣 ${this.chain.name} scheduler started - running every ${appConfig.scanInterval} minutes`);
+  }
+
+  // Re-check a batch of saved tokens for rugs; never throws so the schedule keeps running
+  async detectRugs() {
+    if (!appConfig.rugDetectionEnabled) return null;
+
+    try {
+      const result = await this.rugDetector.run({
+        blockedRisks: this.tokenFilter.getConfig().blockedRiskTypes || [],
+        toAlertData: (token, pair, rugData) => this.buildAlertData(pair || this.tokenToPair(token), rugData || {}, {
+          solLiquidity: pair ? this.tokenFilter.getSOLLiquidity(pair) : parseFloat(token.sol_liquidity),
+          holderData: { count: token.holders_count, topPercentage: token.top_holder_percentage }
+        })
+      });
+      logger.info(`🔎 Rug detection: ${result.checked} token(s) checked, ${result.missing} missing, ${result.changed} status change(s)`);
+      return result;
+    } catch (error) {
+      logger.error('Rug detection pass failed:', error.message);
+      return null;
+    }
+  }
+
+  // Pair-shaped view of a stored token, for alerts about pairs DexScreener no longer returns
+  tokenToPair(token) {
+    return {
+      pairAddress: token.pair_address,
+      dexId: token.dex_id,
+      baseToken: { address: token.base_token_address, name: token.base_token_name, symbol: token.base_token_symbol },
+      priceUsd: token.price_usd,
+      priceNative: token.price_sol,
+      volume: { h24: parseFloat(token.volume_24h) },
+      priceChange: { h24: parseFloat(token.price_change_24h) },
+      liquidity: { usd: parseFloat(token.liquidity_usd) }
+    };
   }
 
   // Manual scan trigger
   async runScan() {
-    logger.info('🔄 Manual Solana token scan initiated');
-    await this.processSolanaTokens();
+    logger.info(`🔄 Manual ${this.chain.name} token scan initiated`);
+    return this.processSolanaTokens('manual');
+  }
+
+  // Load the active filter profile so switches made through the API apply to the next scan
+  async refreshFilterProfile() {
+    try {
+      const profile = await filters.profiles.getActiveProfile(this.chainId);
+      const current = this.tokenFilter.profile;
+      const changed = profile
+        ? !current || current.id !== profile.id || this.filterProfileVersion !== String(profile.updated_at)
+        : current !== null;
+
+      if (changed) {
+        this.tokenFilter.setProfile(profile);
+        this.filterProfileVersion = profile ? String(profile.updated_at) : null;
+        logger.info(`🎛️ Filter profile: ${profile ? profile.name : 'rule file defaults'}`);
+      }
+    } catch (error) {
+      logger.warn('⚠️ Could not load active filter profile, keeping current filters:', error.message);
+    }
+  }
+
+  // Load the enabled alert rules so API changes apply to the next scan
+  async refreshAlertRules() {
+    try {
+      await this.alertRules.refresh();
+    } catch (error) {
+      logger.warn('⚠️ Could not load alert rules, keeping the previous set:', error.message);
+    }
+  }
+
+  // Run the user-defined alert rules: pair rules over every pair the pipeline processed,
+  // delta rules over every token that got a snapshot. Alerting never fails a scan.
+  async evaluateAlertRules(processed, tokenIds, snapshotTokenIds) {
+    if (this.alertRules.rules.length === 0) return;
+
+    try {
+      const now = Date.now();
+      const pairEntries = processed.map(({ pair, rugData, totalLiquidityUSD, filterResult }) => {
+        const { scope } = this.tokenFilter.buildContext(pair, rugData, now, { totalLiquidityUSD });
+        return {
+          tokenId: tokenIds.get(pair.pairAddress) || null,
+          scope: { ...scope, filter: { passed: filterResult.passed, failedRules: filterResult.filters } }
+        };
+      });
+
+      const pairAlerts = await this.alertRules.evaluatePairs(pairEntries, ({ pair, rugData, metrics }) =>
+        this.buildAlertData(pair, rugData, {
+          solLiquidity: metrics.solLiquidity,
+          holderData: { count: metrics.holdersCount, topPercentage: metrics.topHolderPercentage }
+        })
+      );
+
+      const deltaAlerts = await this.alertRules.evaluateDeltas(snapshotTokenIds, (pair, rugData, row) =>
+        this.buildAlertData(pair, rugData, {
+          solLiquidity: row.sol_liquidity === null ? null : parseFloat(row.sol_liquidity),
+          holderData: rugData.holderData
+        })
+      );
+
+      if (pairAlerts + deltaAlerts > 0) {
+        logger.info(`🔔 Alert rules sent ${pairAlerts + deltaAlerts} alert(s)`, { pairAlerts, deltaAlerts });
+      }
+    } catch (error) {
+      logger.warn('⚠️ Alert rule evaluation failed:', error.message);
+    }
+  }
+
+  // Re-fetch every watched pair (whatever its age) and notify on price, liquidity,
+  // authority or status changes. Watched pairs that have a tokens row also get a snapshot.
+  async checkWatchlists() {
+    const items = await watchlists.getWatchedItems(this.chainId);
+    if (items.length === 0) return { items: 0, notified: 0 };
+
+    const pairs = await this.fetchSolanaPairsByAddress([...new Set(items.map(item => item.pair_address))]);
+
+    // One RugCheck call per mint, for the authority checks
+    const rugDataByMint = new Map();
+    for (const pair of pairs.values()) {
+      const mint = pair.baseToken.address;
+      if (!rugDataByMint.has(mint)) {
+        rugDataByMint.set(mint, await this.checkSolanaRugScore(mint, { analyzeHolders: false }));
+      }
+    }
+
+    // Snapshots carry forward the holder and rug values of the tokens row, as for fresh tokens,
+    // and take the authorities just read
+    const snapshots = new Map();
+    for (const item of items) {
+      const pair = pairs.get(item.pair_address);
+      if (pair && item.token_id && !snapshots.has(item.token_id)) {
+        const rugData = rugDataByMint.get(pair.baseToken.address);
+        snapshots.set(item.token_id, {
+          tokenId: item.token_id,
+          pair,
+          metrics: {
+            holdersCount: item.holders_count,
+            topHolderPercentage: item.top_holder_percentage,
+            top10HolderPercentage: item.top10_holder_percentage,
+            top20HolderPercentage: item.top20_holder_percentage,
+            rugScore: item.token_rug_score,
+            freezeAuthority: rugData.freezeAuthority,
+            mintAuthority: rugData.mintAuthority,
+            authoritySource: rugData.authoritySource
+          }
+        });
+      }
+    }
+    await this.saveTokenSnapshots([...snapshots.values()]);
+
+    let notified = 0;
+    for (const item of items) {
+      const pair = pairs.get(item.pair_address) || null;
+      const rugData = pair ? rugDataByMint.get(pair.baseToken.address) : null;
+      const status = pair ? (item.token_status || 'untracked') : 'missing';
+
+      const { changes, state } = watchlists.evaluateItem(item, { pair, rugData, status });
+
+      if (changes.length > 0) {
+        // Pairs DexScreener dropped are described from the last stored values
+        const alertPair = pair || {
+          pairAddress: item.pair_address,
+          dexId: state.dexId || 'unknown',
+          baseToken: { address: state.baseTokenAddress, name: state.baseTokenName, symbol: state.baseTokenSymbol },
+          priceUsd: state.priceUsd,
+          volume: { h24: state.volume24h },
+          priceChange: { h24: state.priceChange24h },
+          liquidity: { usd: state.liquidityUsd }
+        };
+        const alertData = this.buildAlertData(alertPair, rugData || {}, {
+          solLiquidity: pair ? this.tokenFilter.getSOLLiquidity(pair) : null,
+          holderData: { count: item.holders_count, topPercentage: item.top_holder_percentage }
+        });
+
+        for (const change of changes) {
+          try {
+            // Changes are measured from the last notification, so no cooldown is needed
+            const result = await this.alertManager.fire({
+              tokenId: item.token_id,
+              rule: `watchlist_${change.kind}`,
+              alertData: {
+                ...alertData,
+                rule: `watchlist_${change.kind}`,
+                message: `[${item.watchlist_name}] ${change.message}`,
+                watchlist: item.watchlist_name,
+                change
+              },
+              channels: item.channels,
+              cooldownMinutes: 0,
+              realertImprovementPct: 0
+            });
+            if (result.sent) notified++;
+          } catch (error) {
+            logger.warn(`⚠️ Watchlist alert for ${item.pair_address} failed:`, error.message);
+          }
+        }
+      }
+
+      await watchlists.saveItemState(item.id, state);
+    }
+
+    logger.info(`👀 Watchlists checked: ${items.length} item(s), ${pairs.size} pair(s) found, ${notified} notification(s)`);
+    return { items: items.length, notified };
+  }
+
+  startWatchlistLoop(intervalMs) {
+    if (this.watchlistTimer) return;
+
+    this.watchlistTimer = setInterval(async () => {
+      if (this.checkingWatchlists) return;
+      this.checkingWatchlists = true;
+      try {
+        await this.checkWatchlists();
+      } catch (error) {
+        logger.warn('⚠️ Watchlist check failed:', error.message);
+      } finally {
+        this.checkingWatchlists = false;
+      }
+    }, intervalMs);
+  }
+
+  stopWatchlistLoop() {
+    if (this.watchlistTimer) {
+      clearInterval(this.watchlistTimer);
+      this.watchlistTimer = null;
+    }
   }
 
   // Get filter statistics
@@ -469,10 +1466,20 @@ class SolanaTokenMonitor {
     logger.info('Filter configuration updated', newConfig);
   }
 
+  // Stop this monitor's loops and watchers; the database pool stays open for other monitors
+  stop() {
+    this.tokenFilter.unwatchRules();
+    if (this.ownsWebhookDispatcher) {
+      this.webhookDispatcher.stopRetryLoop();
+    }
+    this.stopWatchlistLoop();
+  }
+
   async close() {
-    logger.info('🔄 Closing Solana Token Monitor...');
+    logger.info(`🔄 Closing ${this.chain.name} Token Monitor...`);
+    this.stop();
     await db.closeDatabase();
-    logger.info('✅ Solana Token Monitor closed');
+    logger.info(`✅ ${this.chain.name} Token Monitor closed`);
   }
 }
 
@@ -480,7 +1487,11 @@ module.exports = SolanaTokenMonitor;
 
 // Usage example
 if (require.main === module) {
-  const monitor = new SolanaTokenMonitor();
+  // One monitor per chain in MONITOR_CHAINS, sharing the first one's webhook dispatcher
+  const monitors = [];
+  for (const chainId of appConfig.monitorChains) {
+    monitors.push(new SolanaTokenMonitor({ chainId, webhookDispatcher: monitors[0]?.webhookDispatcher }));
+  }
   
   // Initialize and run
   (async () => {
@@ -488,30 +1499,31 @@ if (require.main === module) {
       // Test database connection
       await db.testConnection();
       
-      // Run initial scan
-      await monitor.runScan();
+      // Run initial scans one chain at a time (they share the API rate limiters)
+      for (const monitor of monitors) {
+        await monitor.runScan();
+        await monitor.detectRugs();
+      }
       
       // Start scheduled scanning
-      monitor.startScheduler();
+      monitors.forEach(monitor => monitor.startScheduler());
       
-      logger.info('🟣 Solana Token Monitor running successfully');
+      logger.info(`🟣 Token Monitor running successfully for ${appConfig.monitorChains.join(', ')}`);
       
     } catch (error) {
-      logger.error('Failed to start Solana Token Monitor:', error);
+      logger.error('Failed to start Token Monitor:', error);
       process.exit(1);
     }
   })();
   
   // Graceful shutdown
-  process.on('SIGINT', async () => {
-    logger.info('🔄 Shutting down Solana Token Monitor...');
-    await monitor.close();
+  const shutdown = async () => {
+    logger.info('🔄 Shutting down Token Monitor...');
+    monitors.forEach(monitor => monitor.stop());
+    await db.closeDatabase();
     process.exit(0);
-  });
+  };
 
-  process.on('SIGTERM', async () => {
-    logger.info('🔄 Shutting down Solana Token Monitor...');
-    await monitor.close();
-    process.exit(0);
-  });
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
\ No newline at end of file